@@ -1,134 +1,645 @@
-const admin = require("firebase-admin");
 const crypto = require("crypto");
+const { hashPasswordSync } = require("./server/utils/password");
+const { DEFAULT_ROLES } = require("./server/utils/permissions");
+const { createStorage } = require("./server/storage");
 
-// In-memory fallback
-let users = [];
-let sessions = new Map();
+// Storage adapter (memory, JSON file or Firebase), created on first use
+// so it sees Firebase once server.js has initialized it
+let storage = null;
+let initPromise = null;
 let nextUserId = 1;
 
-// Default users for fallback/initialization
+// Session lifetimes: absolute cap from sign-in, and maximum inactivity
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_IDLE_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Avoid a storage write on every request just to bump lastSeenAt
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Auth audit entries kept in storage (newest first); older ones are pruned
+const MAX_AUTH_EVENTS = 1000;
+const AUTH_EVENT_PRUNE_EVERY = 50;
+let authEventsSincePrune = 0;
+
+// Passwords the default accounts are seeded with
+const SEEDED_PASSWORDS = ["admin123", "member123"];
+
+// Default users seeded into empty storage.
+// They ship with well-known passwords, so they are flagged to change them on first login.
 const defaultUsers = [
     {
         id: 1,
         name: "Ravi Sharma",
         email: "ravi.sharma@tsap.club",
-        passwordHash: crypto.createHash("sha256").update("admin123").digest("hex"),
+        passwordHash: hashPasswordSync(SEEDED_PASSWORDS[0]),
+        mustChangePassword: true,
         role: "admin",
-        handles: { codeforces: "ravisharma-09", leetcode: "", codechef: "ravisharma_09" }
+        handles: { codeforces: "ravisharma-09", leetcode: "", codechef: "ravisharma_09", atcoder: "" }
     },
     {
         id: 2,
         name: "Aarpan Lohora",
         email: "aarpan.lohora@tsap.club",
-        passwordHash: crypto.createHash("sha256").update("member123").digest("hex"),
+        passwordHash: hashPasswordSync(SEEDED_PASSWORDS[1]),
+        mustChangePassword: true,
         role: "member",
-        handles: { codeforces: "AarpanLohora", leetcode: "", codechef: "aarpanlohora" }
+        handles: { codeforces: "AarpanLohora", leetcode: "", codechef: "aarpanlohora", atcoder: "" }
     }
 ];
 
-// Initialize default users
-users = [...defaultUsers];
-nextUserId = users.length + 1;
+// Handles are case-insensitive; "." is not allowed in Firebase keys
+function handleRecordId(platform, handle) {
+    return `${platform}_${encodeURIComponent(String(handle).toLowerCase()).replace(/\./g, "%2E")}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function isSessionExpired(session, now = Date.now()) {
+    return now >= session.expiresAt || now - session.lastSeenAt >= SESSION_IDLE_TIMEOUT_MS;
+}
+
+// RTDB drops empty arrays, so a role with no permissions comes back without the key
+function normalizeRole(role) {
+    return {
+        name: role.name,
+        label: role.label || role.name,
+        permissions: Array.isArray(role.permissions) ? role.permissions.slice() : []
+    };
+}
+
+// RTDB drops empty arrays, so a token with no scopes comes back without the key
+function normalizeApiToken(record) {
+    return { ...record, scopes: Array.isArray(record.scopes) ? record.scopes : [] };
+}
+
+// The built-in permissions each built-in role was last given, so a permission
+// an admin has since taken away is not handed back on the next start
+const DEFAULT_ROLE_PERMISSIONS_SETTING = "defaultRolePermissions";
+
+// Give existing built-in roles the built-in permissions added since they were seeded
+async function mergeDefaultRolePermissions(store, roles) {
+    const applied = (await store.get("settings", DEFAULT_ROLE_PERMISSIONS_SETTING)) || {};
+    for (const role of DEFAULT_ROLES) {
+        const existing = roles.find(r => r.name === role.name);
+        if (!existing) continue;
 
-// Check if Firebase is active
-function isFirebaseActive() {
-    return admin.apps.length > 0;
+        const permissions = Array.isArray(existing.permissions) ? existing.permissions : [];
+        const seen = Array.isArray(applied[role.name]) ? applied[role.name] : [];
+        const added = role.permissions.filter(p => !permissions.includes(p) && !seen.includes(p));
+        if (added.length > 0) {
+            console.log(`[DB] Adding ${added.join(", ")} to the ${role.name} role`);
+            await store.set("roles", role.name, { ...existing, permissions: permissions.concat(added) });
+        }
+    }
+}
+
+// Seed empty storage and work out the next user id
+async function initStorage(store) {
+    await store.init();
+    console.log(`[DB] Using ${store.name} storage`);
+
+    const current = await store.list("users");
+    if (current.length === 0) {
+        console.log("[DB] Seeding default users...");
+        for (const u of defaultUsers) {
+            await store.set("users", u.id, u);
+        }
+        nextUserId = defaultUsers.length + 1;
+    } else {
+        const maxId = current.reduce((max, u) => Math.max(max, u.id || 0), 0);
+        nextUserId = maxId + 1;
+    }
+
+    const roles = await store.list("roles");
+    if (roles.length === 0) {
+        console.log("[DB] Seeding default roles...");
+        for (const role of DEFAULT_ROLES) {
+            await store.set("roles", role.name, role);
+        }
+    } else {
+        await mergeDefaultRolePermissions(store, roles);
+    }
+    await store.set("settings", DEFAULT_ROLE_PERMISSIONS_SETTING, Object.fromEntries(DEFAULT_ROLES.map(r => [r.name, r.permissions])));
+}
+
+
+// Returns the storage adapter once it has been initialized and seeded
+async function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    if (!initPromise) {
+        initPromise = initStorage(storage);
+    }
+    await initPromise;
+    return storage;
 }
 
 // Data Access Layer
 const db = {
 
+    // Exposed so the session cookie can carry a matching Max-Age
+    SESSION_MAX_AGE_MS,
+
     // User Methods
     async getUserById(id) {
-        if (isFirebaseActive()) {
-            try {
-                const snap = await admin.database().ref(`users/${id}`).once('value');
-                return snap.val();
-            } catch (e) { console.error("Firebase Read Error:", e); }
-        }
-        return users.find(u => u.id === id);
+        const store = await getStorage();
+        return store.get("users", id);
     },
 
     async getUserByEmail(email) {
-        // Normalizing email
-        const target = email.toLowerCase();
-
-        if (isFirebaseActive()) {
-            try {
-                // In RTDB, cannot query easily by email without index. 
-                // For prototype, fetching all (inefficient) or using Firestore is better.
-                // Switching to Firestore for this query if possible? No, sticking to one DB.
-                // Let's assume fetching all for now as user base is small (<100).
-                const snap = await admin.database().ref('users').once('value');
-                const val = snap.val();
-                if (!val) return null;
-                return Object.values(val).find(u => u.email.toLowerCase() === target);
-            } catch (e) { console.error("Firebase Query Error:", e); }
-        }
-        return users.find(u => u.email.toLowerCase() === target);
+        // Emails are stored lower-cased, so this is an indexed lookup
+        const store = await getStorage();
+        const matches = await store.findBy("users", "email", email.trim().toLowerCase());
+        return matches[0] || null;
     },
 
     async createUser(userData) {
-        const newUser = { ...userData, id: nextUserId++ };
-
-        if (isFirebaseActive()) {
-            try {
-                // Using RTDB
-                await admin.database().ref(`users/${newUser.id}`).set(newUser);
-            } catch (e) {
-                console.error("Firebase Write Error:", e);
-                // Fallback to memory so app doesn't break
-            }
-        }
-        users.push(newUser);
-        return newUser;
+        const store = await getStorage();
+        const newUser = { createdAt: Date.now(), ...userData, id: nextUserId++ };
+        return store.set("users", newUser.id, newUser);
+    },
+
+    async updateUser(id, updates) {
+        const existing = await this.getUserById(id);
+        if (!existing) return null;
+
+        const store = await getStorage();
+        const updated = { ...existing, ...updates, id: existing.id };
+        return store.set("users", existing.id, updated);
+    },
+
+    // Insert or replace a user with a known id (used by backup import)
+    async saveUser(user) {
+        const store = await getStorage();
+        nextUserId = Math.max(nextUserId, user.id + 1);
+        return store.set("users", user.id, user);
+    },
+
+    async deleteUser(id) {
+        const store = await getStorage();
+        await store.delete("users", id);
+
+        // Drop any live sessions and API tokens belonging to the removed account
+        await this.deleteUserSessions(id);
+        await this.deleteUserApiTokens(id);
+        return true;
     },
 
     async getAllUsers() {
-        if (isFirebaseActive()) {
-            try {
-                const snap = await admin.database().ref('users').once('value');
-                const val = snap.val();
-                return val ? Object.values(val) : [];
-            } catch (e) { console.error("Firebase List Error:", e); }
-        }
-        return users;
+        const store = await getStorage();
+        const list = await store.list("users");
+        return list.sort((a, b) => a.id - b.id);
     },
 
     // Session Methods
-    async createSession(userId) {
+    // Sessions are keyed by a SHA-256 of the cookie token so the raw token is never stored.
+    async createSession(userId, meta = {}) {
         const token = crypto.randomBytes(32).toString("hex");
-        sessions.set(token, userId);
+        const now = Date.now();
+        const session = {
+            id: hashToken(token),
+            userId,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: now + SESSION_MAX_AGE_MS,
+            userAgent: meta.userAgent || "",
+            ip: meta.ip || ""
+        };
+
+        const store = await getStorage();
+        await store.set("sessions", session.id, session);
         return token;
     },
 
+    async getSessionById(id) {
+        const store = await getStorage();
+        return store.get("sessions", id);
+    },
+
+    // Returns the live session for a token, or null if missing/expired. Refreshes lastSeenAt.
+    async getSession(token) {
+        if (!token) return null;
+        const session = await this.getSessionById(hashToken(token));
+        if (!session) return null;
+
+        const now = Date.now();
+        if (isSessionExpired(session, now)) {
+            await this.deleteSessionById(session.id);
+            return null;
+        }
+
+        if (now - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+            session.lastSeenAt = now;
+            const store = await getStorage();
+            await store.set("sessions", session.id, session);
+        }
+        return session;
+    },
+
     async getSessionUser(token) {
-        const userId = sessions.get(token);
-        if (!userId) return null;
-        return this.getUserById(userId);
+        const session = await this.getSession(token);
+        if (!session) return null;
+        return this.getUserById(session.userId);
+    },
+
+    async listSessions(userId) {
+        const store = await getStorage();
+        const list = await store.findBy("sessions", "userId", userId);
+
+        const now = Date.now();
+        const live = [];
+        for (const session of list) {
+            if (isSessionExpired(session, now)) {
+                await this.deleteSessionById(session.id);
+            } else {
+                live.push(session);
+            }
+        }
+        return live.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
     },
 
     async deleteSession(token) {
-        sessions.delete(token);
+        await this.deleteSessionById(hashToken(token));
     },
 
-    // Init helper
-    async init() {
-        if (isFirebaseActive()) {
-            // Sync initial users if DB is empty
-            const current = await this.getAllUsers();
-            if (current.length === 0) {
-                console.log("[DB] Seeding default users to Firebase...");
-                for (const u of defaultUsers) {
-                    await admin.database().ref(`users/${u.id}`).set(u);
-                }
-                nextUserId = defaultUsers.length + 1;
-            } else {
-                // Update nextUserId based on max ID
-                const maxId = current.reduce((max, u) => Math.max(max, u.id || 0), 0);
-                nextUserId = maxId + 1;
+    async deleteSessionById(id) {
+        const store = await getStorage();
+        await store.delete("sessions", id);
+    },
+
+    // Revoke every session for a user, optionally keeping one (e.g. the caller's own)
+    async deleteUserSessions(userId, exceptId = null) {
+        const list = await this.listSessions(userId);
+        let revoked = 0;
+        for (const session of list) {
+            if (session.id === exceptId) continue;
+            await this.deleteSessionById(session.id);
+            revoked += 1;
+        }
+        return revoked;
+    },
+
+    async pruneExpiredSessions() {
+        const store = await getStorage();
+        const now = Date.now();
+        let pruned = 0;
+        for (const session of await store.list("sessions")) {
+            if (isSessionExpired(session, now)) {
+                await this.deleteSessionById(session.id);
+                pruned += 1;
             }
         }
+        return pruned;
+    },
+
+    // API Token Methods
+    // Personal access tokens are shown once and only their hash is stored.
+    async createApiToken(userId, tokenData) {
+        const token = `tsap_pat_${crypto.randomBytes(24).toString("hex")}`;
+        const record = {
+            ...tokenData,
+            id: hashToken(token),
+            userId,
+            prefix: token.slice(0, 13),
+            createdAt: Date.now(),
+            lastUsedAt: null
+        };
+
+        const store = await getStorage();
+        await store.set("apiTokens", record.id, record);
+        return { token, record };
+    },
+
+    async getApiTokenById(id) {
+        const store = await getStorage();
+        const record = await store.get("apiTokens", id);
+        return record ? normalizeApiToken(record) : null;
+    },
+
+    // Returns the token record if it exists and has not expired
+    async getApiToken(token) {
+        if (!token) return null;
+        const record = await this.getApiTokenById(hashToken(token));
+        if (!record) return null;
+        if (record.expiresAt && Date.now() >= record.expiresAt) return null;
+        return record;
+    },
+
+    async listApiTokens(userId) {
+        const store = await getStorage();
+        const list = await store.findBy("apiTokens", "userId", userId);
+        return list.map(normalizeApiToken);
+    },
+
+    async touchApiToken(id) {
+        const record = await this.getApiTokenById(id);
+        if (!record) return;
+        const store = await getStorage();
+        await store.set("apiTokens", id, { ...record, lastUsedAt: Date.now() });
+    },
+
+    async deleteApiToken(id) {
+        const store = await getStorage();
+        await store.delete("apiTokens", id);
+    },
+
+    async deleteUserApiTokens(userId) {
+        const list = await this.listApiTokens(userId);
+        for (const record of list) {
+            await this.deleteApiToken(record.id);
+        }
+        return list.length;
+    },
+
+    // Invite Methods
+    // Like sessions, invites are keyed by a hash of their token.
+    async createInvite(inviteData) {
+        const token = crypto.randomBytes(24).toString("hex");
+        const invite = {
+            ...inviteData,
+            id: hashToken(token),
+            createdAt: Date.now(),
+            usedAt: null,
+            usedBy: null,
+            revokedAt: null
+        };
+
+        const store = await getStorage();
+        await store.set("invites", invite.id, invite);
+        return { invite, token };
+    },
+
+    async getInviteById(id) {
+        const store = await getStorage();
+        return store.get("invites", id);
+    },
+
+    async getInviteByToken(token) {
+        if (!token) return null;
+        return this.getInviteById(hashToken(token));
+    },
+
+    async listInvites() {
+        const store = await getStorage();
+        return store.list("invites");
+    },
+
+    async updateInvite(id, updates) {
+        const existing = await this.getInviteById(id);
+        if (!existing) return null;
+
+        const store = await getStorage();
+        const updated = { ...existing, ...updates, id: existing.id };
+        return store.set("invites", id, updated);
+    },
+
+    // Auth Audit Methods
+    async logAuthEvent(eventData) {
+        const event = {
+            id: `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+            timestamp: new Date().toISOString(),
+            ...eventData
+        };
+
+        const store = await getStorage();
+        await store.set("authAudit", event.id, event);
+
+        authEventsSincePrune += 1;
+        if (authEventsSincePrune >= AUTH_EVENT_PRUNE_EVERY) {
+            authEventsSincePrune = 0;
+            await this.pruneAuthEvents();
+        }
+        return event;
+    },
+
+    // Newest first. Filters: email, ip, outcome, since (ISO), limit
+    async getAuthEvents(filters = {}) {
+        const limit = Math.min(Number(filters.limit) || 100, MAX_AUTH_EVENTS);
+        const store = await getStorage();
+        // Ids start with the creation time, so they sort chronologically
+        const list = (await store.list("authAudit")).sort((a, b) => (a.id < b.id ? 1 : -1));
+
+        const email = filters.email ? String(filters.email).toLowerCase() : null;
+        return list.filter(event => {
+            if (email && String(event.email || "").toLowerCase() !== email) return false;
+            if (filters.ip && event.ip !== filters.ip) return false;
+            if (filters.outcome && event.outcome !== filters.outcome) return false;
+            if (filters.since && event.timestamp < filters.since) return false;
+            return true;
+        }).slice(0, limit);
+    },
+
+    // Keep only the newest MAX_AUTH_EVENTS audit entries
+    async pruneAuthEvents() {
+        const store = await getStorage();
+        const list = (await store.list("authAudit")).sort((a, b) => (a.id < b.id ? 1 : -1));
+        for (const event of list.slice(MAX_AUTH_EVENTS)) {
+            await store.delete("authAudit", event.id);
+        }
+        return Math.max(list.length - MAX_AUTH_EVENTS, 0);
+    },
+
+    // Role Methods
+    async getRoles() {
+        const store = await getStorage();
+        return (await store.list("roles")).map(normalizeRole);
+    },
+
+    async getRole(name) {
+        const store = await getStorage();
+        const role = await store.get("roles", name);
+        return role ? normalizeRole(role) : null;
+    },
+
+    async saveRole(role) {
+        const saved = normalizeRole(role);
+        const store = await getStorage();
+        await store.set("roles", saved.name, saved);
+        return saved;
+    },
+
+    async deleteRole(name) {
+        const store = await getStorage();
+        await store.delete("roles", name);
+        return true;
+    },
+
+    // Activity Feed Methods
+    async saveActivity(activity) {
+        const store = await getStorage();
+        return store.set("activities", activity.id, activity);
+    },
+
+    // Newest first
+    async listActivities() {
+        const store = await getStorage();
+        const list = await store.list("activities");
+        return list.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+    },
+
+    async deleteActivity(id) {
+        const store = await getStorage();
+        await store.delete("activities", id);
+    },
+
+    // Club Data Methods
+    // The latest aggregated club stats are stored as a single record
+    async getClubData() {
+        const store = await getStorage();
+        return store.get("clubData", "current");
+    },
+
+    async saveClubData(clubData) {
+        const store = await getStorage();
+        return store.set("clubData", "current", clubData);
+    },
+
+    // Settings Methods
+    // Admin-configurable settings, one record per name
+    async getSetting(name) {
+        const store = await getStorage();
+        return store.get("settings", name);
+    },
+
+    async saveSetting(name, value) {
+        const store = await getStorage();
+        return store.set("settings", name, value);
+    },
+
+    // Snapshot Methods
+    // Point-in-time copies of computed data (e.g. leaderboards), grouped by kind
+    async saveSnapshot(kind, data) {
+        const createdAt = Date.now();
+        const snapshot = {
+            ...data,
+            id: `${kind}_${createdAt}_${crypto.randomBytes(3).toString("hex")}`,
+            kind,
+            createdAt
+        };
+        const store = await getStorage();
+        return store.set("snapshots", snapshot.id, snapshot);
+    },
+
+    // Store a snapshot as-is, keeping its id (used by backup import)
+    async restoreSnapshot(snapshot) {
+        const store = await getStorage();
+        return store.set("snapshots", snapshot.id, snapshot);
+    },
+
+    // Oldest first. Lists every kind when kind is omitted.
+    async listSnapshots(kind) {
+        const store = await getStorage();
+        const list = kind ? await store.findBy("snapshots", "kind", kind) : await store.list("snapshots");
+        return list.sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async deleteSnapshot(id) {
+        const store = await getStorage();
+        await store.delete("snapshots", id);
+    },
+
+    // Contest Methods
+    // Club contests, with the submissions polled for them while they run
+    async createContest(contestData) {
+        const contest = {
+            ...contestData,
+            id: crypto.randomBytes(6).toString("hex"),
+            createdAt: Date.now()
+        };
+        const store = await getStorage();
+        return store.set("contests", contest.id, contest);
+    },
+
+    // Store a contest as-is, keeping its id (used by backup import)
+    async restoreContest(contest) {
+        const store = await getStorage();
+        return store.set("contests", contest.id, contest);
+    },
+
+    async getContest(id) {
+        const store = await getStorage();
+        return store.get("contests", id);
+    },
+
+    // Latest start first
+    async listContests() {
+        const store = await getStorage();
+        const list = await store.list("contests");
+        return list.sort((a, b) => b.startTime - a.startTime);
+    },
+
+    async updateContest(id, updates) {
+        const existing = await this.getContest(id);
+        if (!existing) return null;
+
+        const store = await getStorage();
+        return store.set("contests", id, { ...existing, ...updates, id: existing.id });
+    },
+
+    async deleteContest(id) {
+        const store = await getStorage();
+        await store.delete("contests", id);
+    },
+
+    // Cached Stats Methods
+    // Persisted platform stats cache entries (when STATS_CACHE_PERSIST is set)
+    async getCachedStats(platform, handle) {
+        const store = await getStorage();
+        return store.get("statsCache", handleRecordId(platform, handle));
+    },
+
+    async saveCachedStats(entry) {
+        const store = await getStorage();
+        return store.set("statsCache", handleRecordId(entry.platform, entry.handle), entry);
+    },
+
+    async deleteCachedStats(platform, handle) {
+        const store = await getStorage();
+        await store.delete("statsCache", handleRecordId(platform, handle));
+    },
+
+    // Submission Store Methods
+    // Normalized submissions synced from a platform, one record per handle,
+    // with a cursor so later syncs only fetch newer submissions
+    async getSubmissionStore(platform, handle) {
+        const store = await getStorage();
+        return store.get("submissions", handleRecordId(platform, handle));
+    },
+
+    async saveSubmissionStore(record) {
+        const store = await getStorage();
+        const id = handleRecordId(record.platform, record.handle);
+        return store.set("submissions", id, { ...record, id });
+    },
+
+    async deleteSubmissionStore(platform, handle) {
+        const store = await getStorage();
+        await store.delete("submissions", handleRecordId(platform, handle));
+    },
+
+    // True if the password is one of the well-known seed passwords
+    isSeededPassword(password) {
+        return SEEDED_PASSWORDS.includes(password);
+    },
+
+    // Init helper: connects storage, seeds it if empty and clears out stale records
+    async init() {
+        await getStorage();
+
+        const pruned = await this.pruneExpiredSessions();
+        if (pruned > 0) {
+            console.log(`[DB] Pruned ${pruned} expired sessions`);
+        }
+        await this.pruneAuthEvents();
+    },
+
+    // Shutdown helper: writes out anything the storage backend is still holding back
+    async close() {
+        if (storage && typeof storage.close === "function") {
+            await storage.close();
+        }
     }
 };
 
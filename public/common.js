@@ -3,6 +3,15 @@ function qs(id) {
   return document.getElementById(id);
 }
 
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // Check if user is logged in
 async function checkAuth(redirectIfUnauth = true) {
   try {
@@ -14,6 +23,10 @@ async function checkAuth(redirectIfUnauth = true) {
       return null;
     }
     const user = await res.json();
+    if (user.mustChangePassword && redirectIfUnauth) {
+      window.location.href = "profile.html";
+      return null;
+    }
     window.currentUser = user;
     return user;
   } catch (e) {
@@ -24,6 +37,29 @@ async function checkAuth(redirectIfUnauth = true) {
   }
 }
 
+// Permissions that unlock at least one section of the admin panel
+const ADMIN_PANEL_PERMISSIONS = ["members.read", "members.write", "sync.trigger", "milestones.edit", "contests.manage", "roles.manage", "data.backup", "leaderboard.manage"];
+
+function hasPermission(user, permission) {
+  return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+}
+
+function canAccessAdminPanel(user) {
+  return ADMIN_PANEL_PERMISSIONS.some(p => hasPermission(user, p));
+}
+
+// Platforms members can link handles for, in display order
+let platformsPromise = null;
+
+function loadPlatforms() {
+  if (!platformsPromise) {
+    platformsPromise = fetch("/api/platforms")
+      .then(res => (res.ok ? res.json() : []))
+      .catch(() => []);
+  }
+  return platformsPromise;
+}
+
 async function logout() {
   await fetch("/api/auth/logout", { method: "POST" });
   window.location.href = "index.html";
@@ -47,9 +83,10 @@ function renderNav(activePage) {
     { id: "dashboard", label: "Dashboard", href: "dashboard.html" },
     { id: "leaderboard", label: "Leaderboard", href: "leaderboard.html" },
     { id: "analytics", label: "Analytics", href: "analytics.html" },
+    { id: "contests", label: "Contests", href: "contests.html" },
   ];
 
-  if (user.role === "admin") {
+  if (canAccessAdminPanel(user)) {
     pages.push({ id: "admin", label: "Admin", href: "admin.html" });
   }
 
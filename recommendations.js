@@ -1,4 +1,4 @@
-const fetchModule = (...args) => import("node-fetch").then(m => m.default(...args));
+const { httpClient } = require("./server/utils/httpClient");
 
 // Cache the problem set to avoid hitting CF API on every request
 let problemSetCache = {
@@ -12,7 +12,7 @@ async function getProblemSet() {
     }
 
     try {
-        const res = await fetchModule("https://codeforces.com/api/problemset.problems");
+        const res = await httpClient.fetch("https://codeforces.com/api/problemset.problems");
         const data = await res.json();
         if (data.status === "OK") {
             problemSetCache.problems = data.result.problems;
@@ -0,0 +1,112 @@
+/**
+ * Backup CLI
+ * Export or import a club data archive against the configured storage
+ * (STORAGE_BACKEND / STORAGE_FILE / SERVICE_ACCOUNT_KEY, as for the server).
+ *
+ * Usage:
+ *   node scripts/backup.js export [--secrets] [--out <file>]
+ *   node scripts/backup.js import <file> [--apply]
+ *
+ * Import is a dry run that prints what would change unless --apply is given.
+ * Stop the server before importing into the file backend, or it will
+ * overwrite the imported data with its own copy.
+ */
+
+const fs = require('fs');
+const { initFirebase } = require('../server/utils/firebase');
+
+function usage() {
+    console.error('Usage:');
+    console.error('  node scripts/backup.js export [--secrets] [--out <file>]');
+    console.error('  node scripts/backup.js import <file> [--apply]');
+    process.exit(2);
+}
+
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+function printDiff(name, diff) {
+    console.log(`${name}: ${diff.add.length} to add, ${diff.overwrite.length} to overwrite, ${diff.unchanged} unchanged`);
+    diff.add.forEach(r => console.log(`  + ${r.label}`));
+    diff.overwrite.forEach(r => console.log(`  ~ ${r.label} (${r.fields.join(', ')})`));
+}
+
+async function runExport(db, backup, args) {
+    const archive = await backup.exportArchive(db, { includeSecrets: args.includes('--secrets') });
+    const json = JSON.stringify(archive, null, 2);
+    const out = optionValue(args, '--out');
+    if (out) {
+        fs.writeFileSync(out, json);
+        console.error(`[Backup] Wrote ${archive.data.users.length} members to ${out}`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+async function runImport(db, backup, args) {
+    const file = args[0];
+    if (!file || file.startsWith('--')) usage();
+
+    let archive;
+    try {
+        archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.error(`[Backup] Could not read ${file}: ${e.message}`);
+        return 1;
+    }
+
+    const apply = args.includes('--apply');
+    const result = apply ? await backup.applyImport(db, archive) : await backup.planImport(db, archive);
+
+    if (!result.valid) {
+        console.error('[Backup] Invalid archive:');
+        result.errors.forEach(e => console.error(`  ${e}`));
+        return 1;
+    }
+
+    const { changes } = result;
+    printDiff('Members', changes.users);
+    printDiff('Roles', changes.roles);
+    printDiff('Activities', changes.activities);
+    printDiff('Snapshots', changes.snapshots);
+    printDiff('Settings', changes.settings);
+    printDiff('Contests', changes.contests);
+    console.log(`Club milestones: ${changes.clubData}`);
+    if (!result.includesSecrets) {
+        console.log('Archive has no password hashes; new members will need a password reset.');
+    }
+
+    if (result.conflicts.length > 0) {
+        console.error('[Backup] Conflicts:');
+        result.conflicts.forEach(c => console.error(`  ${c}`));
+        return 1;
+    }
+
+    console.log(apply ? '[Backup] Import applied.' : '[Backup] Dry run only. Re-run with --apply to import.');
+    return 0;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (command !== 'export' && command !== 'import') usage();
+
+    // Startup logs go to stderr so an export to stdout stays valid JSON
+    if (command === 'export') {
+        console.log = console.error;
+    }
+    initFirebase();
+    const db = require('../db');
+    const backup = require('../server/services/backup');
+    await db.init();
+
+    return command === 'export' ? runExport(db, backup, args) : runImport(db, backup, args);
+}
+
+main()
+    .then(code => process.exit(code || 0))
+    .catch(e => {
+        console.error('[Backup] Failed:', e);
+        process.exit(1);
+    });
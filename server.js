@@ -1,119 +1,81 @@
 const express = require("express");
 const path = require("path");
 const crypto = require("crypto");
-const admin = require("firebase-admin");
+const { initFirebase } = require("./server/utils/firebase");
 
 // Initialize Firebase Admin (Note: Requires SERVICE_ACCOUNT_KEY env var or default credentials)
-// For now, we'll try to initialize, but fall back gracefully if not configured to avoid checking app crash during dev
-try {
-  if (process.env.SERVICE_ACCOUNT_KEY) {
-    const serviceAccount = JSON.parse(process.env.SERVICE_ACCOUNT_KEY);
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: "https://tsap-club-default-rtdb.firebaseio.com" // Replace with actual
-    });
-    console.log("[Firebase] Initialized with Service Account");
-  } else {
-    console.log("[Firebase] No credentials found. Running in Memory Mode.");
-  }
-} catch (e) {
-  console.warn("[Firebase] Initialization failed. Some features may not work:", e.message);
-}
-
-const fetchModule = (...args) => import("node-fetch").then(m => m.default(...args));
+// Falls back gracefully if not configured so the app still starts during dev
+initFirebase();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, "public")));
-
-function hashPassword(password) {
-  return crypto.createHash("sha256").update(password).digest("hex");
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip and
+// req.secure reflect the real client - login throttling is keyed on req.ip.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
 }
 
+// Backup imports can be much larger than the default body limit,
+// so they are parsed by their own route once the caller is authorized
+const BACKUP_IMPORT_PATH = "/api/admin/backup/import";
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === BACKUP_IMPORT_PATH ? next() : jsonParser(req, res, next)));
+app.use(express.static(path.join(__dirname, "public")));
+
 const db = require("./db");
+const { hashPassword, verifyPassword, validatePassword } = require("./server/utils/password");
 const recommendations = require("./recommendations");
+const activityLogger = require("./server/utils/activityLogger");
+const loginThrottle = require("./server/utils/loginThrottle");
+const handleVerification = require("./server/services/handleVerification");
+const leaderboard = require("./server/services/leaderboard");
+const leaderboardHistory = require("./server/services/leaderboardHistory");
+const scoring = require("./server/utils/scoring");
+const timeWindows = require("./server/utils/timeWindows");
+const leaderboardRender = require("./server/utils/leaderboardRender");
+const contests = require("./server/services/contests");
+const platforms = require("./server/platforms");
+const { httpClient } = require("./server/utils/httpClient");
+const {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  resolvePermissions,
+  hasPermissions,
+  isValidRoleName
+} = require("./server/utils/permissions");
 
 // Initialize DB abstraction (Handles seeding / Firebase connection)
 db.init().catch(console.error);
-
-// LEADERBOARD CACHE
-const leaderboardCache = {
-  data: [],
-  lastUpdated: 0,
-  isUpdating: false
-};
-
-async function updateGlobalLeaderboard() {
-  if (leaderboardCache.isUpdating) return;
-  leaderboardCache.isUpdating = true;
-  console.log("[Leaderboard] Starting update...");
-
-  const results = [];
-
-  const allUsers = await db.getAllUsers();
-
-  for (const user of allUsers) {
-    if (!user.handles.codeforces) continue;
-
-    try {
-      console.log(`[Leaderboard] Fetching for ${user.name} (${user.handles.codeforces})...`);
-      // Add a small delay to be nice to Codeforces API
-      await new Promise(r => setTimeout(r, 500));
-
-      const stats = await fetchCodeforcesStats(user.handles.codeforces);
-      if (stats) {
-        results.push({
-          userId: user.id,
-          name: user.name,
-          handle: user.handles.codeforces,
-          platform: "codeforces",
-          totalSolved: stats.totalProblemsSolved,
-          rating: stats.ratingHistory.length > 0 ? stats.ratingHistory[stats.ratingHistory.length - 1].rating : 0,
-          maxRating: stats.ratingHistory.reduce((max, r) => Math.max(max, r.rating), 0)
-        });
-      }
-    } catch (e) {
-      console.error(`[Leaderboard] Failed for ${user.name}:`, e.message);
-      // Keep existing data if available or push error state
-      results.push({
-        userId: user.id,
-        name: user.name,
-        handle: user.handles.codeforces,
-        platform: "codeforces",
-        totalSolved: 0,
-        rating: 0,
-        error: "Failed to fetch"
-      });
-    }
-  }
-
-  // Sort by rating (desc) then totalSolved (desc)
-  results.sort((a, b) => {
-    if (b.rating !== a.rating) return b.rating - a.rating;
-    return b.totalSolved - a.totalSolved;
-  });
-
-  leaderboardCache.data = results;
-  leaderboardCache.lastUpdated = Date.now();
-  leaderboardCache.isUpdating = false;
-  console.log("[Leaderboard] Update complete.");
-}
+// Adapters that sync incrementally (Codeforces) keep submissions in the same storage
+platforms.attachStorage(db);
 
 // Trigger initial update shortly after start
-setTimeout(updateGlobalLeaderboard, 5000);
+setTimeout(() => leaderboard.updateGlobalLeaderboard(db).catch(console.error), 5000);
 
 // function list removed (handled in db.js or not needed)
 
-function setSessionCookie(res, token) {
+function isSecureRequest(req) {
+  return req.secure || req.headers["x-forwarded-proto"] === "https";
+}
+
+function setSessionCookie(req, res, token) {
   const cookie = [
     `tsap_session=${token}`,
     "HttpOnly",
     "Path=/",
-    "SameSite=Lax"
-  ].join("; ");
-  res.setHeader("Set-Cookie", cookie);
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(db.SESSION_MAX_AGE_MS / 1000)}`
+  ];
+  if (isSecureRequest(req)) cookie.push("Secure");
+  res.setHeader("Set-Cookie", cookie.join("; "));
+}
+
+function clearSessionCookie(req, res) {
+  const cookie = ["tsap_session=", "HttpOnly", "Path=/", "Max-Age=0", "SameSite=Lax"];
+  if (isSecureRequest(req)) cookie.push("Secure");
+  res.setHeader("Set-Cookie", cookie.join("; "));
 }
 
 function getSessionTokenFromRequest(req) {
@@ -130,321 +92,663 @@ function getSessionTokenFromRequest(req) {
   return null;
 }
 
+const PASSWORD_CHANGE_ALLOWED_PATHS = ["/api/me", "/api/me/password", "/api/me/sessions", "/api/auth/logout"];
+
+// Scopes a personal access token can carry besides the holder's own permissions
+const TOKEN_SCOPES = {
+  read: "Read-only (GET) access to the API as you",
+  write: "Make changes (POST, PATCH, PUT, DELETE) as you"
+};
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) {
+    return null;
+  }
+  return header.slice("Bearer ".length).trim() || null;
+}
+
+async function authenticateApiToken(req, res, bearer) {
+  const apiToken = await db.getApiToken(bearer);
+  if (!apiToken) {
+    res.status(401).json({ error: "Invalid or expired API token" });
+    return null;
+  }
+
+  const isRead = req.method === "GET" || req.method === "HEAD";
+  const needed = isRead ? "read" : "write";
+  if (!apiToken.scopes.includes(needed) && !(isRead && apiToken.scopes.includes("write"))) {
+    res.status(403).json({ error: `This API token lacks the "${needed}" scope` });
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > API_TOKEN_TOUCH_INTERVAL_MS) {
+    await db.touchApiToken(apiToken.id);
+  }
+  return apiToken;
+}
+
 async function authMiddleware(req, res, next) {
-  const token = getSessionTokenFromRequest(req);
-  if (!token) {
-    return res.status(401).json({ error: "Unauthorized" });
+  let userId;
+  const bearer = getBearerToken(req);
+
+  if (bearer) {
+    const apiToken = await authenticateApiToken(req, res, bearer);
+    if (!apiToken) return;
+    req.apiToken = apiToken;
+    userId = apiToken.userId;
+  } else {
+    const token = getSessionTokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const session = await db.getSession(token);
+    if (!session) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    req.session = session;
+    req.sessionToken = token;
+    userId = session.userId;
   }
 
-  const user = await db.getSessionUser(token);
-  if (!user) {
+  const user = await db.getUserById(userId);
+  if (!user || user.active === false) {
     return res.status(401).json({ error: "Unauthorized" });
   }
   req.user = user;
-  req.sessionToken = token;
+
+  // Accounts on a temporary/default password may only change it or sign out
+  if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+    return res.status(403).json({ error: "Password change required", code: "PASSWORD_CHANGE_REQUIRED" });
+  }
   next();
 }
 
-function adminMiddleware(req, res, next) {
-  if (!req.user || req.user.role !== "admin") {
-    return res.status(403).json({ error: "Forbidden" });
+// Account-security routes (passwords, sessions, tokens) are not reachable with an API token
+function sessionOnly(req, res, next) {
+  if (!req.session) {
+    return res.status(403).json({ error: "This endpoint requires a signed-in browser session" });
   }
   next();
 }
 
-function toDateKey(timestampSeconds) {
-  const d = new Date(timestampSeconds * 1000);
-  const year = d.getUTCFullYear();
-  const month = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    handles: user.handles,
+    handlesVerified: getHandleVerificationStatus(user),
+    active: user.active !== false,
+    mustChangePassword: Boolean(user.mustChangePassword)
+  };
 }
 
-async function fetchCodeforcesStats(handle) {
-  if (!handle) {
-    return null;
+function getHandleVerificationStatus(user) {
+  const status = {};
+  for (const platform of platforms.getPlatformIds()) {
+    status[platform] = handleVerification.isHandleVerified(user, platform);
   }
+  return status;
+}
 
-  const base = "https://codeforces.com/api";
-
-  const [infoRes, ratingRes, statusRes] = await Promise.all([
-    fetchModule(`${base}/user.info?handles=${encodeURIComponent(handle)}`),
-    fetchModule(`${base}/user.rating?handle=${encodeURIComponent(handle)}`),
-    fetchModule(`${base}/user.status?handle=${encodeURIComponent(handle)}`)
-  ]);
+function normalizeHandles(handles, base = {}) {
+  const result = {};
+  for (const platform of platforms.getPlatformIds()) {
+    const value = handles && handles[platform] !== undefined ? handles[platform] : base[platform];
+    result[platform] = typeof value === "string" ? value.trim() : "";
+  }
+  return result;
+}
 
-  const infoJson = await infoRes.json();
-  const ratingJson = await ratingRes.json();
-  const statusJson = await statusRes.json();
+function isValidEmail(email) {
+  return typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
 
-  if (infoJson.status !== "OK") {
-    throw new Error("Failed to fetch Codeforces user info");
-  }
+const MAX_MEMBER_NAME_LENGTH = 64;
 
-  const submissions = statusJson.status === "OK" ? statusJson.result : [];
-  const ratingUpdates = ratingJson.status === "OK" ? ratingJson.result : [];
+// Trimmed display name, or null if empty or too long
+function normalizeMemberName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  return trimmed && trimmed.length <= MAX_MEMBER_NAME_LENGTH ? trimmed : null;
+}
 
-  const solvedSet = new Set();
-  let acceptedCount = 0;
-  let totalSubmissions = 0;
-  const tagCounts = {};
-  const activityCalendar = {};
-  const solvedProblems = {};
+async function getUserPermissions(user, apiToken = null) {
+  const role = await db.getRole(user.role);
+  const permissions = resolvePermissions(role);
+  // A token only carries the role permissions it was explicitly scoped to
+  return apiToken ? permissions.filter(p => apiToken.scopes.includes(p)) : permissions;
+}
 
-  for (const sub of submissions) {
-    if (!sub.problem) {
-      continue;
+// Must run after authMiddleware. Passes only if the user's role grants every listed permission.
+function requirePermission(...required) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(403).json({ error: "Forbidden" });
     }
-    totalSubmissions += 1;
-    const problem = sub.problem;
-    const problemKey = `${problem.contestId || "custom"}-${problem.index || problem.name}`;
-    const verdict = sub.verdict;
-    if (verdict === "OK") {
-      acceptedCount += 1;
-      solvedSet.add(problemKey);
-      const dateKey = toDateKey(sub.creationTimeSeconds);
-      activityCalendar[dateKey] = (activityCalendar[dateKey] || 0) + 1;
-      if (!solvedProblems[problemKey]) {
-        solvedProblems[problemKey] = {
-          id: problemKey,
-          title: problem.name,
-          rating: problem.rating || null,
-          tags: Array.isArray(problem.tags) ? problem.tags.slice() : []
-        };
-      }
-      if (Array.isArray(problem.tags)) {
-        for (const tag of problem.tags) {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        }
-      }
+    if (!req.permissions) {
+      req.permissions = await getUserPermissions(req.user, req.apiToken);
     }
-  }
-
-  const totalProblemsSolved = solvedSet.size;
-  const submissionAccuracy = totalSubmissions > 0 ? acceptedCount / totalSubmissions : null;
-
-  const ratingHistory = ratingUpdates.map(update => ({
-    contestName: update.contestName,
-    rating: update.newRating,
-    timeSeconds: update.ratingUpdateTimeSeconds
-  }));
+    if (!hasPermissions(req.permissions, required)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  };
+}
 
-  const contestFrequencyMap = {};
-  for (const update of ratingUpdates) {
-    const key = toDateKey(update.ratingUpdateTimeSeconds).slice(0, 7);
-    contestFrequencyMap[key] = (contestFrequencyMap[key] || 0) + 1;
+// Returns an error message if the caller may not hand out this role, else null.
+// A role can only be assigned by someone who already holds all of its permissions.
+async function checkAssignableRole(req, roleName) {
+  const role = await db.getRole(roleName);
+  if (!role) {
+    const roles = await db.getRoles();
+    return `Role must be one of: ${roles.map(r => r.name).join(", ")}`;
   }
-  const contestFrequency = Object.entries(contestFrequencyMap).map(([month, count]) => ({
-    month,
-    contests: count
-  }));
-
-  const tagStrengths = Object.entries(tagCounts)
-    .map(([tag, count]) => ({ tag, solved: count }))
-    .sort((a, b) => b.solved - a.solved);
+  if (!hasPermissions(req.permissions || [], resolvePermissions(role))) {
+    return "You cannot assign a role with more permissions than your own";
+  }
+  return null;
+}
 
-  return {
-    platform: "codeforces",
-    handle,
-    totalProblemsSolved,
-    submissionAccuracy,
-    ratingHistory,
-    contestFrequency,
-    tagStrengths,
-    solvedProblems: Object.values(solvedProblems),
-    activityCalendar
-  };
+// Returns an error message if the target member's role outranks the caller, else null
+async function checkManageableMember(req, member) {
+  const role = await db.getRole(member.role);
+  if (!hasPermissions(req.permissions || [], resolvePermissions(role))) {
+    return "You cannot manage a member with more permissions than your own";
+  }
+  return null;
 }
 
-async function fetchLeetCodeStats(username) {
-  if (!username) return null;
-
-  const query = `
-    query customerProfile($username: String!) {
-      matchedUser(username: $username) {
-        username
-        submitStats: submitStatsGlobal {
-          acSubmissionNum {
-            difficulty
-            count
-            submissions
-          }
-        }
-        profile {
-          ranking
-          reputation
-        }
-      }
+// Picks each registered platform's handle out of query params (?codeforces=...&leetcode=...)
+function handlesFromQuery(query) {
+  const handles = {};
+  for (const id of platforms.getPlatformIds()) {
+    if (typeof query[id] === "string" && query[id]) {
+      handles[id] = query[id];
     }
-  `;
+  }
+  return handles;
+}
 
-  try {
-    const response = await fetchModule("https://leetcode.com/graphql", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Referer": "https://leetcode.com"
-      },
-      body: JSON.stringify({
-        query: query,
-        variables: { username }
-      })
-    });
+const INVITE_TTL_DAYS = 7;
+const MAX_INVITE_TTL_DAYS = 30;
 
-    const json = await response.json();
-    if (!json.data || !json.data.matchedUser) {
-      console.warn(`[LeetCode] User not found: ${username}`);
-      return null;
-    }
+function getInviteStatus(invite, now = Date.now()) {
+  if (invite.usedAt) return "used";
+  if (invite.revokedAt) return "revoked";
+  if (now >= invite.expiresAt) return "expired";
+  return "pending";
+}
 
-    const stats = json.data.matchedUser.submitStats.acSubmissionNum;
-    const totalSolved = stats.find(s => s.difficulty === "All").count;
+function toPublicInvite(invite) {
+  return {
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    status: getInviteStatus(invite),
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    usedAt: invite.usedAt,
+    usedBy: invite.usedBy,
+    revokedAt: invite.revokedAt
+  };
+}
 
-    return {
-      platform: "leetcode",
-      handle: username,
-      totalProblemsSolved: totalSolved,
-      breakdown: stats,
-      ranking: json.data.matchedUser.profile.ranking,
-      supported: true
-    };
-  } catch (e) {
-    console.error(`[LeetCode] Error fetching ${username}:`, e.message);
+// Look up an invite by its token, returning it only while it can still be used
+async function getPendingInvite(token) {
+  const invite = await db.getInviteByToken(token);
+  if (!invite || getInviteStatus(invite) !== "pending") {
     return null;
   }
+  return invite;
 }
 
-async function fetchCodechefStats(username) {
-  if (!username) return null;
+// Tokens and emails with a registration in flight. Checked and added with no await
+// in between, so two concurrent submits cannot both get past them.
+const invitesBeingClaimed = new Set();
+const emailsBeingRegistered = new Set();
 
+// Marks a pending invite used before the account exists, so it can only be redeemed once
+async function claimInvite(token) {
+  if (!token || invitesBeingClaimed.has(token)) {
+    return null;
+  }
+  invitesBeingClaimed.add(token);
   try {
-    // Scraping public profile as no easy public API exists
-    const response = await fetchModule(`https://codechef.com/users/${username}`);
-    const html = await response.text();
-
-    // Simple regex to extract rating (very brittle, but standard for this kind of "integration")
-    // Looking for <div class="rating-number">1650</div>
-    const ratingMatch = html.match(/<div class="rating-number">(\d+)<\/div>/);
-    // Looking for global rank
-    const globalRankMatch = html.match(/<strong>Global Rank:<\/strong>\s*(\d+)/);
-
-    // For problems solved, CodeChef page structure is complex. 
-    // We might look for "Fully Solved (123)"
-    const solvedMatch = html.match(/Fully Solved \(\s*(\d+)\s*\)/);
-
-    const rating = ratingMatch ? parseInt(ratingMatch[1], 10) : 0;
-    const totalSolved = solvedMatch ? parseInt(solvedMatch[1], 10) : 0;
-
-    return {
-      platform: "codechef",
-      handle: username,
-      rating: rating,
-      totalProblemsSolved: totalSolved,
-      supported: true
-    };
-  } catch (e) {
-    console.warn(`[CodeChef] Error fetching ${username}:`, e.message);
-    return {
-      platform: "codechef",
-      handle: username,
-      error: "Failed to scrape",
-      supported: false
-    };
+    const invite = await getPendingInvite(token);
+    return invite ? await db.updateInvite(invite.id, { usedAt: Date.now() }) : null;
+  } finally {
+    invitesBeingClaimed.delete(token);
   }
 }
 
-async function aggregateStatsForHandles(handles) {
-  const [cf, lc, cc] = await Promise.all([
-    fetchCodeforcesStats(handles.codeforces),
-    fetchLeetCodeStats(handles.leetcode),
-    fetchCodechefStats(handles.codechef)
-  ]);
-
-  const platforms = [cf, lc, cc].filter(Boolean);
+// Public: lets the registration page show which email/role an invite is for
+app.get("/api/auth/invite/:token", async (req, res) => {
+  const invite = await getPendingInvite(req.params.token);
+  if (!invite) {
+    return res.status(404).json({ error: "This invite link is invalid or has expired" });
+  }
+  res.json({ email: invite.email, role: invite.role, expiresAt: invite.expiresAt });
+});
 
-  const totalProblemsSolved = platforms.reduce((sum, p) => {
-    return sum + (p.totalProblemsSolved || 0);
-  }, 0);
+// Registration is invite-only - the admin issues a single-use link bound to an email and role
+app.post("/api/auth/register", async (req, res) => {
+  const { token, name, password, handles } = req.body || {};
 
-  let totalAccepted = 0;
-  let totalSubmissions = 0;
-  if (cf && cf.submissionAccuracy !== null && cf.submissionAccuracy !== undefined) {
-    totalAccepted += cf.submissionAccuracy * (cf.totalProblemsSolved || 0);
-    totalSubmissions += cf.totalProblemsSolved || 0;
+  const invite = await getPendingInvite(token);
+  if (!invite) {
+    return res.status(403).json({
+      error: "A valid invite is required to register. Please contact the club admin for an invite link."
+    });
   }
-  const aggregatedAccuracy = totalSubmissions > 0 ? totalAccepted / totalSubmissions : null;
 
-  const leaderboardEntry = platforms.map(p => ({
-    platform: p.platform,
-    handle: p.handle,
-    totalProblemsSolved: p.totalProblemsSolved || 0
-  })).sort((a, b) => b.totalProblemsSolved - a.totalProblemsSolved);
+  const memberName = normalizeMemberName(name);
+  if (!memberName) {
+    return res.status(400).json({ error: `Name is required (max ${MAX_MEMBER_NAME_LENGTH} characters)` });
+  }
+  const invalidPassword = validatePassword(password);
+  if (invalidPassword) {
+    return res.status(400).json({ error: invalidPassword });
+  }
+  if (await db.getUserByEmail(invite.email)) {
+    return res.status(409).json({ error: "An account with this email already exists" });
+  }
 
-  return {
-    totalProblemsSolved,
-    aggregatedAccuracy,
-    platforms,
-    leaderboardByProblemsSolved: leaderboardEntry
-  };
-}
+  // Hash first so the slow part is done before the invite is claimed
+  const passwordHash = await hashPassword(password);
+  const claimed = await claimInvite(token);
+  if (!claimed) {
+    return res.status(409).json({ error: "This invite has already been used" });
+  }
+  if (emailsBeingRegistered.has(claimed.email)) {
+    return res.status(409).json({ error: "An account with this email already exists" });
+  }
+  emailsBeingRegistered.add(claimed.email);
+  let user;
+  try {
+    if (await db.getUserByEmail(claimed.email)) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+    user = await db.createUser({
+      name: memberName,
+      email: claimed.email,
+      passwordHash,
+      role: claimed.role,
+      handles: normalizeHandles(handles),
+      // Self-entered handles stay off the leaderboard until the member proves ownership
+      verifiedHandles: normalizeHandles({}),
+      active: true
+    });
+  } finally {
+    emailsBeingRegistered.delete(claimed.email);
+  }
+  await db.updateInvite(claimed.id, { usedBy: user.id });
+  activityLogger.logMemberJoin(user);
+  console.log(`[Auth] ${user.email} registered via invite`);
 
-app.post("/api/auth/register", async (req, res) => {
-  // Registration is disabled - users must be created by admin
-  return res.status(403).json({
-    error: "Registration is disabled. Please contact the club admin for account creation."
+  const sessionToken = await db.createSession(user.id, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip
   });
+  setSessionCookie(req, res, sessionToken);
+  res.status(201).json(toPublicUser(user));
 });
 
+// Hash compared against when the account does not exist, so response time doesn't reveal it
+let dummyPasswordHash = null;
+
+async function auditLogin(req, email, outcome, reason, userId = null) {
+  try {
+    await db.logAuthEvent({
+      type: "login",
+      email: typeof email === "string" ? email.trim().toLowerCase() : null,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || "",
+      userId,
+      outcome,
+      reason
+    });
+  } catch (e) {
+    console.error("[Auth] Failed to write audit log:", e);
+  }
+}
+
 app.post("/api/auth/login", async (req, res) => {
   const { email, password } = req.body || {};
-  console.log(`[Login Attempt] Email: ${email}, Password provided: ${!!password}`);
 
   if (!email || !password) {
+    await auditLogin(req, email, "failure", "missing_fields");
     return res.status(400).json({ error: "Email and password are required" });
   }
+  if (typeof email !== "string" || typeof password !== "string") {
+    await auditLogin(req, email, "failure", "invalid_fields");
+    return res.status(400).json({ error: "Email and password must be strings" });
+  }
+
+  // Counts as a failure from here until the password checks out
+  const throttle = loginThrottle.checkLogin(email, req.ip);
+  if (!throttle.allowed) {
+    await auditLogin(req, email, "blocked", throttle.reason);
+    const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+    res.setHeader("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    });
+  }
 
   const user = await db.getUserByEmail(email);
-  console.log(`[Login Debug] User found: ${user ? user.name : "No"}`);
 
   if (!user) {
+    dummyPasswordHash = dummyPasswordHash || await hashPassword(crypto.randomBytes(16).toString("hex"));
+    await verifyPassword(password, dummyPasswordHash);
+    await auditLogin(req, email, "failure", "unknown_account");
     return res.status(401).json({ error: "Invalid credentials" });
   }
 
-  const hash = hashPassword(password);
-  const match = hash === user.passwordHash;
-  console.log(`[Login Debug] Hash match: ${match}`);
+  const { match, needsRehash } = await verifyPassword(password, user.passwordHash);
 
   if (!match) {
+    await auditLogin(req, email, "failure", "bad_password", user.id);
     return res.status(401).json({ error: "Invalid credentials" });
   }
 
-  const token = await db.createSession(user.id);
-  setSessionCookie(res, token);
+  if (user.active === false) {
+    loginThrottle.releaseAttempt(email, req.ip);
+    await auditLogin(req, email, "failure", "deactivated", user.id);
+    return res.status(403).json({ error: "This account has been deactivated. Please contact the club admin." });
+  }
+
+  loginThrottle.recordSuccess(email, req.ip);
+  await auditLogin(req, email, "success", "ok", user.id);
+
+  // Transparently upgrade legacy hashes and flag accounts still on a seed password
+  const updates = {};
+  if (needsRehash) {
+    updates.passwordHash = await hashPassword(password);
+  }
+  if (!user.mustChangePassword && db.isSeededPassword(password)) {
+    updates.mustChangePassword = true;
+  }
+  const current = Object.keys(updates).length > 0 ? await db.updateUser(user.id, updates) : user;
+
+  const token = await db.createSession(user.id, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip
+  });
+  setSessionCookie(req, res, token);
   res.json({
-    id: user.id,
-    name: user.name,
-    email: user.email,
-    role: user.role,
-    handles: user.handles
+    id: current.id,
+    name: current.name,
+    email: current.email,
+    role: current.role,
+    handles: current.handles,
+    mustChangePassword: Boolean(current.mustChangePassword)
   });
 });
 
-app.post("/api/auth/logout", authMiddleware, async (req, res) => {
+app.post("/api/auth/logout", authMiddleware, sessionOnly, async (req, res) => {
   if (req.sessionToken) {
     await db.deleteSession(req.sessionToken);
   }
-  res.setHeader("Set-Cookie", "tsap_session=; HttpOnly; Path=/; Max-Age=0; SameSite=Lax");
+  clearSessionCookie(req, res);
   res.json({ ok: true });
 });
 
-app.get("/api/me", authMiddleware, (req, res) => {
+app.get("/api/me", authMiddleware, async (req, res) => {
   res.json({
     id: req.user.id,
     name: req.user.name,
     email: req.user.email,
     role: req.user.role,
-    handles: req.user.handles
+    handles: req.user.handles,
+    handlesVerified: getHandleVerificationStatus(req.user),
+    permissions: await getUserPermissions(req.user, req.apiToken),
+    mustChangePassword: Boolean(req.user.mustChangePassword)
+  });
+});
+
+app.post("/api/me/password", authMiddleware, sessionOnly, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: "Current and new password are required" });
+  }
+
+  const { match } = await verifyPassword(currentPassword, req.user.passwordHash);
+  if (!match) {
+    return res.status(401).json({ error: "Current password is incorrect" });
+  }
+
+  const invalid = validatePassword(newPassword);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (newPassword === currentPassword || db.isSeededPassword(newPassword)) {
+    return res.status(400).json({ error: "Please choose a new password" });
+  }
+
+  await db.updateUser(req.user.id, {
+    passwordHash: await hashPassword(newPassword),
+    mustChangePassword: false
+  });
+  // Sign out every other device that knew the old password
+  await db.deleteUserSessions(req.user.id, req.session.id);
+  res.json({ ok: true });
+});
+
+// Public: which judges members can link, so clients don't hard-code the list
+app.get("/api/platforms", (req, res) => {
+  res.json(platforms.listPlatforms().map(platforms.describePlatform));
+});
+
+function toHandleState(user) {
+  const pending = user.pendingHandles || {};
+  const now = Date.now();
+  return platforms.listPlatforms().map(adapter => {
+    const platform = adapter.id;
+    const challenge = pending[platform] && pending[platform].expiresAt > now ? pending[platform] : null;
+    return {
+      platform,
+      name: adapter.name,
+      handle: (user.handles && user.handles[platform]) || "",
+      verified: handleVerification.isHandleVerified(user, platform),
+      pending: challenge ? {
+        handle: challenge.handle,
+        code: challenge.code,
+        expiresAt: challenge.expiresAt,
+        instructions: adapter.verification.instructions
+      } : null
+    };
+  });
+}
+
+app.get("/api/me/handles", authMiddleware, async (req, res) => {
+  res.json(toHandleState(req.user));
+});
+
+// Request handle changes. Clearing a handle applies immediately; a new handle only
+// replaces the old one once the member proves ownership via /verify.
+app.patch("/api/me/handles", authMiddleware, async (req, res) => {
+  const body = req.body || {};
+  const requested = Object.keys(body).filter(p => platforms.getPlatform(p));
+  if (requested.length === 0) {
+    return res.status(400).json({ error: `Provide at least one of: ${platforms.getPlatformIds().join(", ")}` });
+  }
+
+  const handles = { ...normalizeHandles(req.user.handles) };
+  const verifiedHandles = { ...normalizeHandles(req.user.verifiedHandles || req.user.handles) };
+  const pendingHandles = { ...(req.user.pendingHandles || {}) };
+
+  for (const platform of requested) {
+    const handle = typeof body[platform] === "string" ? body[platform].trim() : "";
+
+    if (!handle) {
+      handles[platform] = "";
+      verifiedHandles[platform] = "";
+      delete pendingHandles[platform];
+      continue;
+    }
+    if (!handleVerification.isValidHandle(platform, handle)) {
+      return res.status(400).json({ error: `"${handle}" is not a valid ${platforms.getPlatform(platform).name} handle` });
+    }
+    if (handle.toLowerCase() === handles[platform].toLowerCase() && handleVerification.isHandleVerified(req.user, platform)) {
+      delete pendingHandles[platform];
+      continue;
+    }
+    pendingHandles[platform] = handleVerification.createChallenge(platform, handle);
+  }
+
+  const updated = await db.updateUser(req.user.id, { handles, verifiedHandles, pendingHandles });
+  res.json(toHandleState(updated));
+});
+
+app.post("/api/me/handles/:platform/verify", authMiddleware, async (req, res) => {
+  const platform = req.params.platform;
+  if (!platforms.getPlatform(platform)) {
+    return res.status(404).json({ error: "Unknown platform" });
+  }
+
+  const challenge = (req.user.pendingHandles || {})[platform];
+  if (!challenge) {
+    return res.status(400).json({ error: "No pending handle change for this platform" });
+  }
+
+  const result = await handleVerification.verifyChallenge(platform, challenge);
+  if (!result.verified) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  // A handle can only be verified by one member
+  const allUsers = await db.getAllUsers();
+  const owner = allUsers.find(u => u.id !== req.user.id
+    && handleVerification.isHandleVerified(u, platform)
+    && u.handles[platform].toLowerCase() === result.handle.toLowerCase());
+  if (owner) {
+    return res.status(409).json({ error: "This handle is already linked to another member" });
+  }
+
+  const pendingHandles = { ...req.user.pendingHandles };
+  delete pendingHandles[platform];
+  const updated = await db.updateUser(req.user.id, {
+    handles: { ...normalizeHandles(req.user.handles), [platform]: result.handle },
+    verifiedHandles: { ...normalizeHandles(req.user.verifiedHandles || req.user.handles), [platform]: result.handle },
+    pendingHandles
+  });
+  console.log(`[Handles] ${req.user.email} verified ${platform} handle ${result.handle}`);
+  res.json(toHandleState(updated));
+});
+
+app.delete("/api/me/handles/:platform/pending", authMiddleware, async (req, res) => {
+  const pendingHandles = { ...(req.user.pendingHandles || {}) };
+  delete pendingHandles[req.params.platform];
+  const updated = await db.updateUser(req.user.id, { pendingHandles });
+  res.json(toHandleState(updated));
+});
+
+const MAX_API_TOKENS_PER_USER = 20;
+const API_TOKEN_DEFAULT_DAYS = 30;
+const API_TOKEN_MAX_DAYS = 365;
+
+function toPublicApiToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt,
+    expired: Boolean(record.expiresAt && Date.now() >= record.expiresAt)
+  };
+}
+
+app.get("/api/me/tokens", authMiddleware, sessionOnly, async (req, res) => {
+  const tokens = await db.listApiTokens(req.user.id);
+  res.json({
+    scopes: { ...TOKEN_SCOPES, ...Object.fromEntries((await getUserPermissions(req.user)).map(p => [p, PERMISSIONS[p]])) },
+    tokens: tokens.map(toPublicApiToken).sort((a, b) => b.createdAt - a.createdAt)
+  });
+});
+
+app.post("/api/me/tokens", authMiddleware, sessionOnly, async (req, res) => {
+  const { name, scopes, expiresInDays = API_TOKEN_DEFAULT_DAYS } = req.body || {};
+
+  if (!name || !String(name).trim() || String(name).length > 64) {
+    return res.status(400).json({ error: "Token name is required (max 64 characters)" });
+  }
+  const permissions = await getUserPermissions(req.user);
+  const allowed = [...Object.keys(TOKEN_SCOPES), ...permissions];
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !allowed.includes(scope))) {
+    return res.status(400).json({ error: `Scopes must be a non-empty list drawn from: ${allowed.join(", ")}` });
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > API_TOKEN_MAX_DAYS) {
+    return res.status(400).json({ error: `Expiry must be between 1 and ${API_TOKEN_MAX_DAYS} days` });
+  }
+  const existing = await db.listApiTokens(req.user.id);
+  if (existing.length >= MAX_API_TOKENS_PER_USER) {
+    return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS_PER_USER} tokens. Revoke an old one first.` });
+  }
+
+  const { token, record } = await db.createApiToken(req.user.id, {
+    name: String(name).trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
   });
+  console.log(`[Auth] ${req.user.email} created API token "${record.name}" (${record.scopes.join(", ")})`);
+
+  // The raw token is only ever returned here
+  res.status(201).json({ token, ...toPublicApiToken(record) });
+});
+
+app.delete("/api/me/tokens/:id", authMiddleware, sessionOnly, async (req, res) => {
+  const record = await db.getApiTokenById(req.params.id);
+  if (!record || record.userId !== req.user.id) {
+    return res.status(404).json({ error: "Token not found" });
+  }
+
+  await db.deleteApiToken(record.id);
+  res.json({ ok: true });
+});
+
+function toPublicSession(session, currentId) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    current: session.id === currentId
+  };
+}
+
+app.get("/api/me/sessions", authMiddleware, sessionOnly, async (req, res) => {
+  const sessions = await db.listSessions(req.user.id);
+  res.json(sessions.map(s => toPublicSession(s, req.session.id)));
+});
+
+// Sign out all other devices
+app.delete("/api/me/sessions", authMiddleware, sessionOnly, async (req, res) => {
+  const revoked = await db.deleteUserSessions(req.user.id, req.session.id);
+  res.json({ ok: true, revoked });
+});
+
+app.delete("/api/me/sessions/:id", authMiddleware, sessionOnly, async (req, res) => {
+  const session = await db.getSessionById(req.params.id);
+  if (!session || session.userId !== req.user.id) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  await db.deleteSessionById(session.id);
+  if (session.id === req.session.id) {
+    clearSessionCookie(req, res);
+  }
+  res.json({ ok: true });
 });
 
 app.get("/api/members", authMiddleware, async (req, res) => {
@@ -465,8 +769,8 @@ app.get("/api/dashboard/members", async (req, res) => {
     const { INDIVIDUAL_MILESTONES } = require("./server/utils/milestones");
     const dataSync = require("./server/services/dataSync");
 
-    // Get all members (use sample data if DB not available)
-    const members = await dataSync.getSampleMembers();
+    // Registered members and their synced stats (sample members in demo mode)
+    const members = await dataSync.getMembers(db);
 
     // Calculate tier distribution
     const tiers = INDIVIDUAL_MILESTONES.map(tier => {
@@ -503,7 +807,7 @@ app.get("/api/members/:id/dashboard", authMiddleware, async (req, res) => {
     return res.status(404).json({ error: "Member not found" });
   }
   try {
-    const data = await aggregateStatsForHandles(member.handles);
+    const data = await leaderboard.aggregateStatsForHandles(member.handles);
     res.json({
       member: {
         id: member.id,
@@ -519,42 +823,504 @@ app.get("/api/members/:id/dashboard", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leaderboard
+ * Lifetime composite leaderboard, or with ?window=week|month|semester or
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD, solves and rating gained in that window
+ */
 app.get("/api/leaderboard", async (req, res) => {
+  let window = null;
+  if (req.query.window || req.query.from || req.query.to) {
+    const stored = await db.getSetting(timeWindows.SEMESTERS_SETTING);
+    const resolved = timeWindows.resolveWindow(req.query, (stored && stored.semesters) || []);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    window = resolved.window;
+  }
+
   // If data is older than 15 minutes, trigger update
-  if (Date.now() - leaderboardCache.lastUpdated > 15 * 60 * 1000) {
-    updateGlobalLeaderboard().catch(console.error);
+  if (leaderboard.isLeaderboardStale()) {
+    leaderboard.updateGlobalLeaderboard(db).catch(console.error);
   }
 
-  res.json({
-    updatedAt: leaderboardCache.lastUpdated,
-    isUpdating: leaderboardCache.isUpdating,
-    data: leaderboardCache.data
-  });
+  if (window) {
+    return res.json(leaderboard.getWindowedLeaderboard(window));
+  }
+
+  // ?compare=previous|7d|<snapshot id> adds rank movement since that snapshot
+  const board = leaderboard.getLeaderboard();
+  if (req.query.compare) {
+    const snapshots = await db.listSnapshots(leaderboardHistory.SNAPSHOT_KIND);
+    const snapshot = leaderboardHistory.findComparisonSnapshot(snapshots, String(req.query.compare));
+    if (snapshot) {
+      board.data = leaderboardHistory.applyRankDeltas(board.data, snapshot);
+    }
+    board.compareTo = snapshot ? { id: snapshot.id, createdAt: snapshot.createdAt } : null;
+  }
+  res.json(board);
 });
 
-app.get("/api/admin/members", authMiddleware, adminMiddleware, async (req, res) => {
-  const allUsers = await db.getAllUsers();
-  const list = allUsers.map(u => ({
-    id: u.id,
-    name: u.name,
-    email: u.email,
-    role: u.role,
-    handles: u.handles
-  }));
-  res.json(list);
+/**
+ * GET /api/leaderboard/snapshots
+ * Stored leaderboard builds, newest first, for picking a comparison point
+ */
+app.get("/api/leaderboard/snapshots", async (req, res) => {
+  const snapshots = await db.listSnapshots(leaderboardHistory.SNAPSHOT_KIND);
+  res.json(snapshots.reverse().map(s => ({
+    id: s.id,
+    createdAt: s.createdAt,
+    members: (s.entries || []).length
+  })));
 });
 
-app.get("/api/dashboard/overview", async (req, res) => {
-  const codeforcesHandle = req.query.codeforces;
-  const leetcodeUsername = req.query.leetcode;
-  const codechefUsername = req.query.codechef;
+/**
+ * GET /api/leaderboard/history/:userId
+ * One member's rank, score, rating and solved count in every snapshot
+ */
+app.get("/api/leaderboard/history/:userId", async (req, res) => {
+  const userId = Number(req.params.userId);
+  const member = await db.getUserById(userId);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  res.json({
+    userId,
+    name: member.name,
+    history: await leaderboardHistory.getRankHistory(db, userId)
+  });
+});
+
+// Embeds, badges and exports are loaded by other sites and README files, so
+// they only ever read the last built leaderboard and never start a rebuild.
+// Browsers and CDNs may keep them for a while; Express answers conditional
+// requests from its ETag.
+const EMBED_MAX_AGE_SECONDS = 5 * 60;
+
+function setLeaderboardCacheHeaders(res, board) {
+  res.set("Cache-Control", `public, max-age=${EMBED_MAX_AGE_SECONDS}, stale-while-revalidate=${EMBED_MAX_AGE_SECONDS}`);
+  if (board.updatedAt) {
+    res.set("Last-Modified", new Date(board.updatedAt).toUTCString());
+  }
+}
+
+/**
+ * GET /api/leaderboard/export?format=csv|json
+ * Download the lifetime leaderboard, one row per member
+ */
+app.get("/api/leaderboard/export", (req, res) => {
+  const format = req.query.format || "csv";
+  if (format !== "csv" && format !== "json") {
+    return res.status(400).json({ error: "format must be csv or json" });
+  }
+  const board = leaderboard.getLeaderboard();
+  const rows = leaderboardRender.toExportRows(board.data);
+  const filename = `tsap-leaderboard-${new Date(board.updatedAt || Date.now()).toISOString().slice(0, 10)}.${format}`;
+
+  setLeaderboardCacheHeaders(res, board);
+  res.attachment(filename);
+  if (format === "json") {
+    return res.json({ updatedAt: board.updatedAt, data: rows });
+  }
+  res.type("text/csv").send(leaderboardRender.toCsv(rows));
+});
+
+/**
+ * GET /embed/leaderboard
+ * Script-free leaderboard page for iframes. Query: theme=light|dark,
+ * accent and bg (hex colours, bg may be "transparent"), limit, title
+ */
+app.get("/embed/leaderboard", (req, res) => {
+  const board = leaderboard.getLeaderboard();
+  setLeaderboardCacheHeaders(res, board);
+  res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *");
+  res.type("html").send(leaderboardRender.renderEmbedPage(board, leaderboardRender.parseEmbedOptions(req.query)));
+});
+
+/**
+ * GET /badge/:userId.svg
+ * Shields-style badge with the member's club rank, milestone tier and best rating
+ */
+app.get("/badge/:userId.svg", (req, res) => {
+  const board = leaderboard.getLeaderboard();
+  setLeaderboardCacheHeaders(res, board);
+  res.type("image/svg+xml").send(leaderboardRender.renderMemberBadge(board.data, Number(req.params.userId)));
+});
+
+app.get("/api/admin/members", authMiddleware, requirePermission("members.read"), async (req, res) => {
+  const allUsers = await db.getAllUsers();
+  res.json(allUsers.map(u => ({
+    ...toPublicUser(u),
+    lockout: loginThrottle.getAccountStatus(u.email)
+  })));
+});
+
+app.post("/api/admin/members", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const { name, email, password, role = "member", handles } = req.body || {};
+
+  const memberName = normalizeMemberName(name);
+  if (!memberName) {
+    return res.status(400).json({ error: `Name is required (max ${MAX_MEMBER_NAME_LENGTH} characters)` });
+  }
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "A valid email is required" });
+  }
+  const invalidPassword = validatePassword(password);
+  if (invalidPassword) {
+    return res.status(400).json({ error: invalidPassword });
+  }
+  const roleError = await checkAssignableRole(req, role);
+  if (roleError) {
+    return res.status(400).json({ error: roleError });
+  }
+  if (await db.getUserByEmail(email)) {
+    return res.status(409).json({ error: "A member with this email already exists" });
+  }
+
+  const user = await db.createUser({
+    name: memberName,
+    email: email.trim().toLowerCase(),
+    passwordHash: await hashPassword(password),
+    role,
+    handles: normalizeHandles(handles),
+    // Handles entered by an admin are trusted as verified
+    verifiedHandles: normalizeHandles(handles),
+    active: true
+  });
+  console.log(`[Admin] ${req.user.name} created member ${user.id} (${user.email})`);
+  res.status(201).json(toPublicUser(user));
+});
+
+app.patch("/api/admin/members/:id", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const id = Number(req.params.id);
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  const manageError = await checkManageableMember(req, member);
+  if (manageError) {
+    return res.status(403).json({ error: manageError });
+  }
+
+  const { name, email, role, handles, active } = req.body || {};
+  const updates = {};
+
+  if (name !== undefined) {
+    updates.name = normalizeMemberName(name);
+    if (!updates.name) {
+      return res.status(400).json({ error: `Name cannot be empty or longer than ${MAX_MEMBER_NAME_LENGTH} characters` });
+    }
+  }
+  if (email !== undefined) {
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    const existing = await db.getUserByEmail(email);
+    if (existing && existing.id !== id) {
+      return res.status(409).json({ error: "A member with this email already exists" });
+    }
+    updates.email = email.trim().toLowerCase();
+  }
+  if (role !== undefined) {
+    if (id === req.user.id && role !== member.role) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+    // Both the current and the new role must be within the caller's own permissions
+    const roleError = await checkAssignableRole(req, role) || await checkAssignableRole(req, member.role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+    updates.role = role;
+  }
+  if (handles !== undefined) {
+    updates.handles = normalizeHandles(handles, member.handles);
+    // Handles entered by an admin are trusted as verified
+    updates.verifiedHandles = { ...updates.handles };
+  }
+  if (active !== undefined) {
+    if (id === req.user.id && !active) {
+      return res.status(400).json({ error: "You cannot deactivate your own account" });
+    }
+    updates.active = Boolean(active);
+  }
+
+  const updated = await db.updateUser(id, updates);
+  if (updates.active === false) {
+    await db.deleteUserSessions(id);
+  }
+  console.log(`[Admin] ${req.user.name} updated member ${id}: ${Object.keys(updates).join(", ") || "no changes"}`);
+  res.json(toPublicUser(updated));
+});
+
+// Refetch a member's platform history from scratch, e.g. after a handle change
+app.post("/api/admin/members/:id/resync", authMiddleware, requirePermission("sync.trigger"), async (req, res) => {
+  const id = Number(req.params.id);
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  const handles = leaderboard.getVerifiedHandles(member);
+  if (Object.keys(handles).length === 0) {
+    return res.status(400).json({ error: "This member has no verified handles" });
+  }
+
+  const results = [];
+  for (const [platform, handle] of Object.entries(handles)) {
+    try {
+      const stats = await platforms.resyncHandle(platform, handle);
+      results.push({ platform, handle, totalProblemsSolved: stats.totalProblemsSolved });
+    } catch (e) {
+      results.push({ platform, handle, error: e.message });
+    }
+  }
+  // Update the member's leaderboard row from the stats just fetched
+  await leaderboard.refreshMember(member, { fresh: false }).catch(e => {
+    console.error(`[Leaderboard] Could not refresh member ${id}:`, e.message);
+  });
+  console.log(`[Admin] ${req.user.name} resynced platform history for member ${id}`);
+  res.json({ results });
+});
+
+/**
+ * POST /api/admin/leaderboard/members/:id/refresh
+ * Refetch one member's stats and update their leaderboard row right away,
+ * without waiting for the next rebuild
+ */
+app.post("/api/admin/leaderboard/members/:id/refresh", authMiddleware, requirePermission("sync.trigger"), async (req, res) => {
+  const id = Number(req.params.id);
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+
+  const result = await leaderboard.refreshMember(member);
+  console.log(`[Admin] ${req.user.name} refreshed the leaderboard row for member ${id}`);
+  res.json(result || { row: null, rank: null });
+});
+
+app.post("/api/admin/members/:id/password", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const id = Number(req.params.id);
+  const { password } = req.body || {};
+  const invalidPassword = validatePassword(password);
+  if (invalidPassword) {
+    return res.status(400).json({ error: invalidPassword });
+  }
+
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  const manageError = await checkManageableMember(req, member);
+  if (manageError) {
+    return res.status(403).json({ error: manageError });
+  }
+
+  // The admin knows the new password, so the member must pick their own at next sign-in
+  await db.updateUser(id, { passwordHash: await hashPassword(password), mustChangePassword: true });
+  // Sign out every device and revoke every token that got in with the old password
+  const revoked = await db.deleteUserSessions(id, id === req.user.id && req.session ? req.session.id : null);
+  await db.deleteUserApiTokens(id);
+  console.log(`[Admin] ${req.user.name} reset the password for member ${id} (${revoked} sessions revoked)`);
+  res.json({ ok: true, revoked });
+});
+
+// Role definitions are needed by anyone filling in a role picker
+app.get("/api/roles", authMiddleware, async (req, res) => {
+  const roles = await db.getRoles();
+  res.json({
+    permissions: PERMISSIONS,
+    roles: roles.map(r => ({ ...r, permissions: resolvePermissions(r), editable: r.name !== ADMIN_ROLE }))
+  });
+});
+
+app.put("/api/admin/roles/:name", authMiddleware, requirePermission("roles.manage"), async (req, res) => {
+  const name = req.params.name;
+  const { label, permissions } = req.body || {};
+
+  if (!isValidRoleName(name)) {
+    return res.status(400).json({ error: "Role names must be 2-32 lowercase letters, digits, - or _" });
+  }
+  if (name === ADMIN_ROLE) {
+    return res.status(400).json({ error: "The admin role always has every permission" });
+  }
+  if (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS[p])) {
+    return res.status(400).json({ error: `Permissions must be a list drawn from: ${Object.keys(PERMISSIONS).join(", ")}` });
+  }
+  if (!hasPermissions(req.permissions, permissions)) {
+    return res.status(400).json({ error: "You cannot grant permissions you do not hold" });
+  }
+
+  const role = await db.saveRole({
+    name,
+    label: label ? String(label).trim() : name,
+    permissions: [...new Set(permissions)]
+  });
+  console.log(`[Admin] ${req.user.name} saved role ${name}: ${role.permissions.join(", ") || "no permissions"}`);
+  res.json(role);
+});
+
+app.delete("/api/admin/roles/:name", authMiddleware, requirePermission("roles.manage"), async (req, res) => {
+  const name = req.params.name;
+  if (name === ADMIN_ROLE || name === "member") {
+    return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+  }
+  if (!await db.getRole(name)) {
+    return res.status(404).json({ error: "Role not found" });
+  }
+
+  const allUsers = await db.getAllUsers();
+  const inUse = allUsers.filter(u => u.role === name).length;
+  if (inUse > 0) {
+    return res.status(409).json({ error: `${inUse} member(s) still have this role` });
+  }
+
+  await db.deleteRole(name);
+  console.log(`[Admin] ${req.user.name} deleted role ${name}`);
+  res.json({ ok: true });
+});
+
+app.get("/api/admin/auth-log", authMiddleware, requirePermission("members.read"), async (req, res) => {
+  const { email, ip, outcome, since, limit } = req.query;
+  const events = await db.getAuthEvents({ email, ip, outcome, since, limit });
+  res.json(events);
+});
+
+app.get("/api/admin/auth-log/locked-ips", authMiddleware, requirePermission("members.read"), (req, res) => {
+  res.json(loginThrottle.getLockedIps());
+});
+
+// IP lockouts last up to a day, so an admin can lift one for a shared address such as a campus NAT
+app.post("/api/admin/auth-log/unlock-ip", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const { ip } = req.body || {};
+  if (typeof ip !== "string" || !ip.trim()) {
+    return res.status(400).json({ error: "An IP address is required" });
+  }
+
+  const cleared = loginThrottle.unlockIp(ip.trim());
+  await db.logAuthEvent({
+    type: "unlock",
+    email: null,
+    ip: ip.trim(),
+    userId: null,
+    outcome: "success",
+    reason: `ip_unlocked_by_admin:${req.user.id}`
+  });
+  console.log(`[Admin] ${req.user.name} unlocked IP ${ip.trim()}`);
+  res.json({ ok: true, cleared });
+});
+
+app.post("/api/admin/members/:id/unlock", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const id = Number(req.params.id);
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+
+  const cleared = loginThrottle.unlockAccount(member.email);
+  await db.logAuthEvent({
+    type: "unlock",
+    email: member.email,
+    ip: req.ip,
+    userId: member.id,
+    outcome: "success",
+    reason: `unlocked_by_admin:${req.user.id}`
+  });
+  console.log(`[Admin] ${req.user.name} unlocked member ${id}`);
+  res.json({ ok: true, cleared });
+});
+
+app.get("/api/admin/invites", authMiddleware, requirePermission("members.read"), async (req, res) => {
+  const invites = await db.listInvites();
+  res.json(invites.map(toPublicInvite).sort((a, b) => b.createdAt - a.createdAt));
+});
+
+app.post("/api/admin/invites", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const { email, role = "member", expiresInDays = INVITE_TTL_DAYS } = req.body || {};
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "A valid email is required" });
+  }
+  const roleError = await checkAssignableRole(req, role);
+  if (roleError) {
+    return res.status(400).json({ error: roleError });
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_INVITE_TTL_DAYS) {
+    return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_INVITE_TTL_DAYS} days` });
+  }
+  if (await db.getUserByEmail(email)) {
+    return res.status(409).json({ error: "A member with this email already exists" });
+  }
+
+  const { invite, token } = await db.createInvite({
+    email: email.trim().toLowerCase(),
+    role,
+    createdBy: req.user.id,
+    expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
+  });
+  console.log(`[Admin] ${req.user.name} invited ${invite.email} as ${role}`);
+
+  // The token is only ever returned here; storage keeps just its hash
+  res.status(201).json({
+    invite: toPublicInvite(invite),
+    token,
+    link: `${req.protocol}://${req.get("host")}/register.html?invite=${token}`
+  });
+});
+
+app.delete("/api/admin/invites/:id", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const invite = await db.getInviteById(req.params.id);
+  if (!invite) {
+    return res.status(404).json({ error: "Invite not found" });
+  }
+  if (getInviteStatus(invite) !== "pending") {
+    return res.status(400).json({ error: `Invite is already ${getInviteStatus(invite)}` });
+  }
+
+  const updated = await db.updateInvite(invite.id, { revokedAt: Date.now() });
+  console.log(`[Admin] ${req.user.name} revoked invite for ${invite.email}`);
+  res.json(toPublicInvite(updated));
+});
+
+app.delete("/api/admin/members/:id/sessions", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const id = Number(req.params.id);
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  const manageError = await checkManageableMember(req, member);
+  if (manageError) {
+    return res.status(403).json({ error: manageError });
+  }
+
+  const revoked = await db.deleteUserSessions(id, id === req.user.id && req.session ? req.session.id : null);
+  console.log(`[Admin] ${req.user.name} revoked ${revoked} sessions for member ${id}`);
+  res.json({ ok: true, revoked });
+});
+
+app.delete("/api/admin/members/:id", authMiddleware, requirePermission("members.write"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (id === req.user.id) {
+    return res.status(400).json({ error: "You cannot delete your own account" });
+  }
+
+  const member = await db.getUserById(id);
+  if (!member) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  const manageError = await checkManageableMember(req, member);
+  if (manageError) {
+    return res.status(403).json({ error: manageError });
+  }
+
+  await db.deleteUser(id);
+  console.log(`[Admin] ${req.user.name} deleted member ${id} (${member.email})`);
+  res.json({ ok: true });
+});
 
+app.get("/api/dashboard/overview", async (req, res) => {
   try {
-    const data = await aggregateStatsForHandles({
-      codeforces: codeforcesHandle,
-      leetcode: leetcodeUsername,
-      codechef: codechefUsername
-    });
+    const data = await leaderboard.aggregateStatsForHandles(handlesFromQuery(req.query));
     res.json(data);
   } catch (e) {
     res.status(500).json({ error: e.message || "Failed to fetch dashboard data" });
@@ -562,21 +1328,13 @@ app.get("/api/dashboard/overview", async (req, res) => {
 });
 
 app.get("/api/dashboard/platforms", async (req, res) => {
-  const codeforcesHandle = req.query.codeforces;
-  const leetcodeUsername = req.query.leetcode;
-  const codechefUsername = req.query.codechef;
-
   try {
-    const [cf, lc, cc] = await Promise.all([
-      fetchCodeforcesStats(codeforcesHandle),
-      fetchLeetCodeStats(leetcodeUsername),
-      fetchCodechefStats(codechefUsername)
-    ]);
-    res.json({
-      codeforces: cf,
-      leetcode: lc,
-      codechef: cc
-    });
+    const stats = await platforms.fetchAllStats(handlesFromQuery(req.query));
+    const result = {};
+    for (const id of platforms.getPlatformIds()) {
+      result[id] = stats[id] || null;
+    }
+    res.json(result);
   } catch (e) {
     res.status(500).json({ error: e.message || "Failed to fetch platform stats" });
   }
@@ -592,10 +1350,7 @@ app.get("/api/dashboard/recommendations", async (req, res) => {
     // We need user stats to generate recommendations
     // Check if we have cached stats or fresh fetch
     // For now, let's just fetch fresh CF stats (or use cached if we implemented general caching)
-    const stats = await fetchCodeforcesStats(handle);
-    if (!stats) {
-      return res.status(404).json({ error: "Codeforces profile not found" });
-    }
+    const stats = await platforms.fetchStats("codeforces", handle);
 
     const recs = await recommendations.getRecommendations(stats);
     res.json(recs);
@@ -607,10 +1362,15 @@ app.get("/api/dashboard/recommendations", async (req, res) => {
 // ========== NEW DATA SYNC API ENDPOINTS ==========
 
 const dataSync = require("./server/services/dataSync");
-const activityLogger = require("./server/utils/activityLogger");
-
-// Initialize sample activities
-activityLogger.initializeSampleActivities();
+const backup = require("./server/services/backup");
+
+// Demo mode shows sample members and activities and keeps them out of storage
+if (dataSync.isDemoMode()) {
+  console.log("[Sync] Demo mode is on: club stats use sample members");
+  activityLogger.initializeSampleActivities();
+} else {
+  activityLogger.attachStorage(db).catch(console.error);
+}
 
 /**
  * GET /api/club/stats
@@ -635,7 +1395,8 @@ app.get("/api/member/:id/stats", authMiddleware, async (req, res) => {
     const memberId = req.params.id;
 
     // Only allow users to view their own data (or admins can view anyone)
-    if (req.user.id !== memberId && req.user.role !== "admin") {
+    const permissions = await getUserPermissions(req.user, req.apiToken);
+    if (String(req.user.id) !== String(memberId) && !permissions.includes("members.read")) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -666,7 +1427,7 @@ app.get("/api/activity/recent", (req, res) => {
  * POST /api/sync/trigger
  * Admin-only endpoint - Manually trigger full sync
  */
-app.post("/api/sync/trigger", authMiddleware, adminMiddleware, async (req, res) => {
+app.post("/api/sync/trigger", authMiddleware, requirePermission("sync.trigger"), async (req, res) => {
   try {
     console.log(`[API] Manual sync triggered by ${req.user.name}`);
     const clubData = await dataSync.performFullSync(db);
@@ -681,6 +1442,249 @@ app.post("/api/sync/trigger", authMiddleware, adminMiddleware, async (req, res)
   }
 });
 
+/**
+ * PATCH /api/admin/milestones/:threshold
+ * Correct when an achieved club milestone was reached, from { date }
+ */
+app.patch("/api/admin/milestones/:threshold", authMiddleware, requirePermission("milestones.edit"), async (req, res) => {
+  const threshold = Number(req.params.threshold);
+  const date = req.body && typeof req.body.date === "string" ? Date.parse(req.body.date) : NaN;
+  if (Number.isNaN(date) || date > Date.now()) {
+    return res.status(400).json({ error: "date must be a date that is not in the future" });
+  }
+
+  const result = await dataSync.setMilestoneDate(db, threshold, new Date(date).toISOString());
+  if (!result) {
+    return res.status(404).json({ error: "Milestone not found" });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  console.log(`[Admin] ${req.user.name} set the ${threshold} milestone date to ${result.milestone.date}`);
+  res.json(result.milestone);
+});
+
+/**
+ * GET /api/admin/platform-health
+ * Outbound request counters and circuit breaker state per judge host
+ */
+app.get("/api/admin/platform-health", authMiddleware, requirePermission("sync.trigger"), (req, res) => {
+  res.json({ hosts: httpClient.getStats() });
+});
+
+/**
+ * GET /api/contests
+ * Club contests, latest start first
+ */
+app.get("/api/contests", async (req, res) => {
+  const list = await db.listContests();
+  res.json(list.map(contest => contests.describeContest(contest)));
+});
+
+/**
+ * GET /api/contests/:id/standings
+ * ICPC-style standings: live while the contest runs, frozen once final
+ */
+app.get("/api/contests/:id/standings", async (req, res) => {
+  const contest = await db.getContest(req.params.id);
+  if (!contest) {
+    return res.status(404).json({ error: "Contest not found" });
+  }
+  res.json(contests.getStandings(contest));
+});
+
+/**
+ * POST /api/admin/contests
+ * Create a contest from { name, startTime, endTime, problems }; problems are
+ * Codeforces references like "1910A" or { contestId, index }
+ */
+app.post("/api/admin/contests", authMiddleware, requirePermission("contests.manage"), async (req, res) => {
+  const { contest, error } = contests.validateContest(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const created = await db.createContest({ ...contest, createdBy: req.user.id });
+  console.log(`[Admin] ${req.user.name} created contest ${created.name}`);
+  res.status(201).json(contests.describeContest(created));
+});
+
+/**
+ * PATCH /api/admin/contests/:id
+ * Change a contest's name, times or problems until its result is final
+ */
+app.patch("/api/admin/contests/:id", authMiddleware, requirePermission("contests.manage"), async (req, res) => {
+  const existing = await db.getContest(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: "Contest not found" });
+  }
+  if (existing.finalizedAt) {
+    return res.status(409).json({ error: "This contest's result is already final" });
+  }
+
+  const body = req.body || {};
+  const { contest, error } = contests.validateContest({
+    name: body.name !== undefined ? body.name : existing.name,
+    startTime: body.startTime !== undefined ? body.startTime : existing.startTime,
+    endTime: body.endTime !== undefined ? body.endTime : existing.endTime,
+    problems: body.problems !== undefined ? body.problems : existing.problems
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const updated = await db.updateContest(existing.id, contest);
+  console.log(`[Admin] ${req.user.name} updated contest ${updated.name}`);
+  res.json(contests.describeContest(updated));
+});
+
+app.delete("/api/admin/contests/:id", authMiddleware, requirePermission("contests.manage"), async (req, res) => {
+  const existing = await db.getContest(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: "Contest not found" });
+  }
+  // An archived result stays in the contest snapshots
+  await db.deleteContest(existing.id);
+  console.log(`[Admin] ${req.user.name} deleted contest ${existing.name}`);
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/admin/contests/:id/finalize
+ * Poll an ended contest one last time and freeze its result now, without
+ * waiting for pending verdicts
+ */
+app.post("/api/admin/contests/:id/finalize", authMiddleware, requirePermission("contests.manage"), async (req, res) => {
+  const existing = await db.getContest(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: "Contest not found" });
+  }
+  if (contests.contestStatus(existing) !== "judging") {
+    return res.status(409).json({ error: "Only a contest that has ended and is not final yet can be finalized" });
+  }
+
+  const polled = await contests.pollContest(db, existing);
+  const finalized = await contests.finalizeContest(db, polled);
+  if (!finalized) {
+    return res.status(404).json({ error: "Contest not found" });
+  }
+  console.log(`[Admin] ${req.user.name} finalized contest ${finalized.name}`);
+  res.json(contests.getStandings(finalized));
+});
+
+/**
+ * GET /api/admin/leaderboard/weights
+ * Composite leaderboard scoring weights, with the defaults for reference
+ */
+app.get("/api/admin/leaderboard/weights", authMiddleware, requirePermission("leaderboard.manage"), async (req, res) => {
+  const stored = await db.getSetting(scoring.WEIGHTS_SETTING);
+  res.json({ weights: scoring.resolveWeights(stored), defaults: scoring.DEFAULT_WEIGHTS });
+});
+
+/**
+ * PUT /api/admin/leaderboard/weights
+ * Save scoring weights and rebuild the leaderboard with them
+ */
+app.put("/api/admin/leaderboard/weights", authMiddleware, requirePermission("leaderboard.manage"), async (req, res) => {
+  const weights = req.body && req.body.weights;
+  const error = scoring.validateWeights(weights);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const saved = scoring.resolveWeights(weights);
+  await db.saveSetting(scoring.WEIGHTS_SETTING, saved);
+  console.log(`[Admin] ${req.user.name} updated leaderboard weights`);
+  leaderboard.updateGlobalLeaderboard(db).catch(console.error);
+  res.json({ weights: saved });
+});
+
+/**
+ * GET /api/admin/leaderboard/semesters
+ * Semester boundaries for the "this semester" leaderboard window
+ */
+app.get("/api/admin/leaderboard/semesters", authMiddleware, requirePermission("leaderboard.manage"), async (req, res) => {
+  const stored = await db.getSetting(timeWindows.SEMESTERS_SETTING);
+  res.json({
+    semesters: (stored && stored.semesters) || [],
+    defaults: timeWindows.defaultSemesters()
+  });
+});
+
+/**
+ * PUT /api/admin/leaderboard/semesters
+ * Replace the semester list; an empty list falls back to calendar halves
+ */
+app.put("/api/admin/leaderboard/semesters", authMiddleware, requirePermission("leaderboard.manage"), async (req, res) => {
+  const semesters = req.body && req.body.semesters;
+  const error = timeWindows.validateSemesters(semesters);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const saved = semesters
+    .map(s => ({ name: s.name.trim(), start: s.start, end: s.end }))
+    .sort((a, b) => (a.start < b.start ? -1 : 1));
+  await db.saveSetting(timeWindows.SEMESTERS_SETTING, { semesters: saved });
+  console.log(`[Admin] ${req.user.name} updated semesters (${saved.length})`);
+  res.json({ semesters: saved });
+});
+
+/**
+ * GET /api/admin/backup
+ * Download a club data archive. ?secrets=1 includes password hashes.
+ */
+app.get("/api/admin/backup", authMiddleware, requirePermission("data.backup"), async (req, res) => {
+  try {
+    const includeSecrets = req.query.secrets === "1" || req.query.secrets === "true";
+    const archive = await backup.exportArchive(db, { includeSecrets });
+    const stamp = archive.exportedAt.slice(0, 10);
+    console.log(`[Backup] ${req.user.name} exported club data${includeSecrets ? " with secrets" : ""}`);
+    res.setHeader("Content-Disposition", `attachment; filename="tsap-club-${stamp}.json"`);
+    res.json(archive);
+  } catch (e) {
+    console.error("[Backup] Export failed:", e);
+    res.status(500).json({ error: "Export failed" });
+  }
+});
+
+/**
+ * POST /api/admin/backup/import
+ * Body is an archive. Returns a dry-run diff unless ?apply=1.
+ */
+app.post(BACKUP_IMPORT_PATH, authMiddleware, requirePermission("data.backup"), express.json({ limit: "25mb" }), async (req, res) => {
+  try {
+    const apply = req.query.apply === "1" || req.query.apply === "true";
+    // Role and member changes are held to the same limits as the role and member routes
+    const options = { permissions: req.permissions };
+    const result = apply
+      ? await backup.applyImport(db, req.body, options)
+      : { ...await backup.planImport(db, req.body, options), applied: false };
+
+    if (!result.valid) {
+      return res.status(400).json({ error: "Invalid archive", ...result });
+    }
+    if (apply && result.forbidden.length > 0) {
+      return res.status(403).json({ error: "Archive changes roles or members beyond your permissions", ...result });
+    }
+    if (apply && !result.applied) {
+      return res.status(409).json({ error: "Archive conflicts with existing members", ...result });
+    }
+
+    if (result.applied) {
+      console.log(`[Backup] ${req.user.name} imported club data`);
+      // Pick up imported activities and milestones
+      await activityLogger.attachStorage(db);
+      dataSync.clearCache();
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("[Backup] Import failed:", e);
+    res.status(500).json({ error: "Import failed" });
+  }
+});
+
+// Poll running club contests and freeze the ones that have ended
+contests.startPolling(db);
+
 // Trigger initial sync on startup
 setTimeout(() => {
   console.log("[Sync] Triggering initial sync...");
@@ -697,3 +1701,14 @@ app.get("/", (req, res) => {
 app.listen(port, () => {
   process.stdout.write(`TSAP server running on http://localhost:${port}\n`);
 });
+
+// The "exit" event does not fire on signals, so flush storage writes (the file
+// backend holds them back briefly) before stopping on Ctrl+C or a service stop
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    console.log(`[Server] ${signal} received, shutting down`);
+    db.close()
+      .catch(e => console.error("[Server] Failed to flush storage:", e))
+      .finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,322 @@
+/**
+ * AtCoder Platform Adapter
+ * Rating history comes from AtCoder itself; submissions and problem
+ * difficulty come from the AtCoder Problems API (kenkoooo.com), since
+ * AtCoder has no public submissions API.
+ */
+
+const cheerio = require('cheerio');
+
+const { toDateKey, buildContestFrequency, countByDifficulty } = require('./helpers');
+
+const ATCODER_BASE = 'https://atcoder.jp';
+const PROBLEMS_API = 'https://kenkoooo.com/atcoder/atcoder-api/v3';
+const PROBLEMS_RESOURCES = 'https://kenkoooo.com/atcoder/resources';
+
+// The submissions API returns at most this many per request
+const SUBMISSIONS_PAGE_SIZE = 500;
+// Pages fetched per sync; a longer history carries on from the stored cursor next time
+const MAX_SUBMISSION_PAGES = 20;
+
+// Difficulties where the medium and hard tiers start (green, blue)
+const DIFFICULTY_TIERS = [800, 1600];
+
+// Problem titles and difficulty change rarely, and the files are large
+const PROBLEM_DATA_TTL_MS = 24 * 60 * 60 * 1000;
+
+let problemData = null;
+let problemDataFetchedAt = 0;
+
+/**
+ * AtCoder Problems' estimated difficulty goes negative for easy problems;
+ * it is displayed clipped the same way here.
+ * @param {number} difficulty - Raw estimated difficulty
+ * @returns {number} Displayed difficulty
+ */
+function clipDifficulty(difficulty) {
+    return Math.round(difficulty >= 400 ? difficulty : 400 / Math.exp(1 - difficulty / 400));
+}
+
+/**
+ * Load problem titles and difficulty models, cached for a day. Stats still
+ * work without them, just with bare problem ids.
+ * @param {Function} fetch - fetch implementation
+ * @returns {Promise<Object>} { titles, difficulties } keyed by problem id
+ */
+async function loadProblemData(fetch) {
+    if (problemData && Date.now() - problemDataFetchedAt < PROBLEM_DATA_TTL_MS) {
+        return problemData;
+    }
+
+    try {
+        const [problemsRes, modelsRes] = await Promise.all([
+            fetch(`${PROBLEMS_RESOURCES}/problems.json`),
+            fetch(`${PROBLEMS_RESOURCES}/problem-models.json`)
+        ]);
+        if (!problemsRes.ok || !modelsRes.ok) {
+            throw new Error(`problem data request failed (${problemsRes.status}/${modelsRes.status})`);
+        }
+        const problems = await problemsRes.json();
+        const models = await modelsRes.json();
+
+        const titles = {};
+        for (const problem of problems) {
+            titles[problem.id] = problem.title || problem.name;
+        }
+        const difficulties = {};
+        for (const [id, model] of Object.entries(models)) {
+            if (model && typeof model.difficulty === 'number') {
+                difficulties[id] = clipDifficulty(model.difficulty);
+            }
+        }
+
+        problemData = { titles, difficulties };
+        problemDataFetchedAt = Date.now();
+    } catch (e) {
+        console.warn('[AtCoder] Could not load problem data:', e.message);
+        if (!problemData) {
+            return { titles: {}, difficulties: {} };
+        }
+    }
+    return problemData;
+}
+
+// Syncs in progress by username, so concurrent requests share one fetch
+const syncsInFlight = new Map();
+
+// Still being judged: waiting, or a progress like "3/12"
+function isPending(result) {
+    return result === 'WJ' || result === 'WR' || /^\d+\/\d+$/.test(result);
+}
+
+/**
+ * Keep only what stats are computed from
+ * @param {Object} sub - Submission from the AtCoder Problems API
+ * @returns {Object} Normalized submission
+ */
+function normalizeSubmission(sub) {
+    return { id: sub.id, epoch_second: sub.epoch_second, problem_id: sub.problem_id, result: sub.result };
+}
+
+/**
+ * Page through a user's submissions from a second onwards, oldest first.
+ * Several submissions can share a second, so each page starts at the last
+ * second of the one before and skips ids already seen.
+ * @param {Function} fetch - fetch implementation
+ * @param {string} user - AtCoder username
+ * @param {number} fromSecond - Epoch second to start from
+ * @returns {Promise<Object>} { submissions, complete } where complete is false
+ *   if the page limit was reached before the end of the history
+ */
+async function fetchSubmissionsFrom(fetch, user, fromSecond) {
+    const submissions = [];
+    const ids = new Set();
+
+    for (let page = 0; page < MAX_SUBMISSION_PAGES; page++) {
+        const res = await fetch(`${PROBLEMS_API}/user/submissions?user=${encodeURIComponent(user)}&from_second=${fromSecond}`);
+        if (!res.ok) {
+            throw new Error(`AtCoder submissions request failed (${res.status})`);
+        }
+        const batch = await res.json();
+        const fresh = batch.filter(sub => !ids.has(sub.id));
+        fresh.forEach(sub => ids.add(sub.id));
+        submissions.push(...fresh.map(normalizeSubmission));
+        if (batch.length < SUBMISSIONS_PAGE_SIZE) {
+            return { submissions, complete: true };
+        }
+        const lastSecond = batch[batch.length - 1].epoch_second;
+        // A full page inside one second would be fetched forever otherwise
+        fromSecond = fresh.length > 0 && lastSecond > fromSecond ? lastSecond : lastSecond + 1;
+    }
+
+    return { submissions, complete: false };
+}
+
+/**
+ * The cursor is the second of the newest submission, or of the oldest one
+ * still being judged so its verdict is picked up by the next sync
+ * @param {Array} submissions - Normalized submissions, oldest first
+ * @returns {number} Epoch second to continue from
+ */
+function computeCursor(submissions) {
+    const pending = submissions.filter(sub => isPending(sub.result));
+    if (pending.length > 0) {
+        return Math.min(...pending.map(sub => sub.epoch_second));
+    }
+    return submissions.length > 0 ? submissions[submissions.length - 1].epoch_second : 0;
+}
+
+function warnIfTruncated(user, complete, count) {
+    if (!complete) {
+        console.warn(`[AtCoder] ${user} has more than ${count} submissions; the rest are fetched on later syncs`);
+    }
+}
+
+/**
+ * Bring the stored submissions for a user up to date. Without a store the
+ * whole history is fetched every time, up to the page limit.
+ * @param {string} user - AtCoder username
+ * @param {Object} ctx - { fetch, store }
+ * @returns {Promise<Object>} { submissions (oldest first), complete }
+ */
+function syncSubmissions(user, { fetch, store }) {
+    if (!store) {
+        return fetchSubmissionsFrom(fetch, user, 0).then(result => {
+            warnIfTruncated(user, result.complete, result.submissions.length);
+            return result;
+        });
+    }
+
+    const key = user.toLowerCase();
+    if (syncsInFlight.has(key)) {
+        return syncsInFlight.get(key);
+    }
+
+    const sync = (async () => {
+        const saved = await store.getSubmissionStore('atcoder', user);
+        // Firebase drops empty arrays
+        const stored = saved ? saved.submissions || [] : [];
+        // Submissions from the cursor's second on are fetched again and replace the stored ones
+        const { submissions: fresh, complete } = await fetchSubmissionsFrom(fetch, user, saved ? saved.cursor : 0);
+
+        const byId = new Map(stored.map(sub => [sub.id, sub]));
+        fresh.forEach(sub => byId.set(sub.id, sub));
+        const submissions = Array.from(byId.values()).sort((a, b) => a.epoch_second - b.epoch_second || a.id - b.id);
+
+        await store.saveSubmissionStore({
+            platform: 'atcoder',
+            handle: user,
+            cursor: computeCursor(submissions),
+            submissions,
+            complete,
+            syncedAt: Date.now()
+        });
+        const added = submissions.length - stored.length;
+        if (added > 0) {
+            console.log(`[AtCoder] Synced ${added} new submissions for ${user}`);
+        }
+        warnIfTruncated(user, complete, submissions.length);
+        return { submissions, complete };
+    })().finally(() => syncsInFlight.delete(key));
+
+    syncsInFlight.set(key, sync);
+    return sync;
+}
+
+/**
+ * Fetch stats for an AtCoder username
+ * @param {string} user - AtCoder username
+ * @param {Object} ctx - { fetch, store }
+ * @returns {Promise<Object>} Platform stats. submissionsComplete is false while
+ *   a very long history has not been fully synced yet.
+ */
+async function fetchStats(user, { fetch, store }) {
+    const historyRes = await fetch(`${ATCODER_BASE}/users/${encodeURIComponent(user)}/history/json`);
+    if (!historyRes.ok) {
+        throw new Error(`AtCoder user not found: ${user}`);
+    }
+    const history = await historyRes.json();
+    const { submissions, complete } = await syncSubmissions(user, { fetch, store });
+    const { titles, difficulties } = await loadProblemData(fetch);
+
+    const ratingHistory = history
+        .filter(entry => entry.IsRated)
+        .map(entry => ({
+            contestName: entry.ContestNameEn || entry.ContestName,
+            rating: entry.NewRating,
+            timeSeconds: Math.floor(Date.parse(entry.EndTime) / 1000)
+        }));
+
+    let acceptedCount = 0;
+    const activityCalendar = {};
+    const solvedProblems = {};
+
+    for (const sub of submissions) {
+        if (sub.result !== 'AC') {
+            continue;
+        }
+        acceptedCount += 1;
+        const dateKey = toDateKey(sub.epoch_second);
+        activityCalendar[dateKey] = (activityCalendar[dateKey] || 0) + 1;
+        if (!solvedProblems[sub.problem_id]) {
+            solvedProblems[sub.problem_id] = {
+                id: sub.problem_id,
+                title: titles[sub.problem_id] || sub.problem_id,
+                rating: difficulties[sub.problem_id] !== undefined ? difficulties[sub.problem_id] : null,
+                tags: [],
+                solvedAt: sub.epoch_second
+            };
+        }
+        solvedProblems[sub.problem_id].solvedAt = Math.min(solvedProblems[sub.problem_id].solvedAt, sub.epoch_second);
+    }
+
+    const latest = ratingHistory.length > 0 ? ratingHistory[ratingHistory.length - 1].rating : 0;
+    const solvedList = Object.values(solvedProblems);
+    return {
+        platform: 'atcoder',
+        handle: user,
+        totalProblemsSolved: Object.keys(solvedProblems).length,
+        rating: latest,
+        maxRating: ratingHistory.reduce((max, r) => Math.max(max, r.rating), 0),
+        submissionAccuracy: submissions.length > 0 ? acceptedCount / submissions.length : null,
+        ratingHistory,
+        contestFrequency: buildContestFrequency(ratingHistory),
+        tagStrengths: [],
+        solvedProblems: solvedList,
+        solvedByDifficulty: countByDifficulty(solvedList, DIFFICULTY_TIERS),
+        activityCalendar,
+        submissionsComplete: complete
+    };
+}
+
+/**
+ * Read the Affiliation the profile's owner set, from the profile table
+ * @param {string} html - Profile page HTML
+ * @returns {string|null} Affiliation, or null if the profile shows none
+ */
+function readAffiliation(html) {
+    const $ = cheerio.load(html);
+    const row = $('table.dl-table tr')
+        .filter((i, el) => $(el).find('th').first().text().trim() === 'Affiliation')
+        .first();
+    return row.length > 0 ? row.find('td').first().text().trim() : null;
+}
+
+/**
+ * Check for a verification code in the profile's Affiliation. Matching
+ * anywhere else on the page would not show who owns the handle.
+ * @param {string} handle - Claimed username
+ * @param {string} code - Verification code
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} { verified, handle }
+ */
+async function checkVerification(handle, code, { fetch }) {
+    const res = await fetch(`${ATCODER_BASE}/users/${encodeURIComponent(handle)}`);
+    if (!res.ok) {
+        return { verified: false, handle };
+    }
+    const affiliation = readAffiliation(await res.text());
+    return { verified: Boolean(affiliation && affiliation.includes(code)), handle };
+}
+
+/**
+ * Drop cached problem titles and difficulty (for tests)
+ */
+function clearProblemCache() {
+    problemData = null;
+    problemDataFetchedAt = 0;
+}
+
+module.exports = {
+    id: 'atcoder',
+    name: 'AtCoder',
+    capabilities: { rating: true, submissions: true, tags: false, contests: true },
+    ratingScale: { floor: 0, ceiling: 2800 },
+    isValidHandle: handle => /^[A-Za-z0-9_]{3,16}$/.test(handle),
+    fetchStats,
+    verification: {
+        instructions: 'Set your Affiliation at https://atcoder.jp/settings to the code below, save, then click Verify.',
+        check: checkVerification
+    },
+    clearProblemCache
+};
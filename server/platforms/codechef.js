@@ -0,0 +1,219 @@
+/**
+ * CodeChef Platform Adapter
+ * CodeChef has no public API, so this parses the public profile page
+ */
+
+const cheerio = require('cheerio');
+
+const { buildContestFrequency } = require('./helpers');
+
+function profileUrl(username) {
+    return `https://www.codechef.com/users/${encodeURIComponent(username)}`;
+}
+
+/**
+ * Fetch a profile page
+ * @param {Function} fetch - fetch implementation
+ * @param {string} username - CodeChef username
+ * @returns {Promise<string>} Page HTML
+ */
+async function fetchProfile(fetch, username) {
+    const res = await fetch(profileUrl(username));
+    if (!res.ok) {
+        throw new Error(`CodeChef profile request failed (${res.status})`);
+    }
+    return res.text();
+}
+
+// Without these the stats would be wrong, so a page missing them is a failed fetch
+const REQUIRED_FIELDS = ['rating', 'totalProblemsSolved'];
+// These are reported as null, with the missing names listed in parseError
+const OPTIONAL_FIELDS = ['highestRating', 'stars', 'globalRank', 'countryRank', 'ratingHistory'];
+
+/**
+ * Read the first integer out of some text ("1,234" counts as 1234)
+ * @param {string} text - Text to search
+ * @returns {number|null} Integer or null
+ */
+function readInt(text) {
+    const match = String(text || '').replace(/,/g, '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Read the rating history the profile embeds for its chart
+ * (var all_rating = [...]; in an inline script)
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array|null} [{ contestName, rating, timeSeconds }] or null if absent
+ */
+function parseRatingHistory($) {
+    let raw = null;
+    $('script').each((i, el) => {
+        const match = $(el).text().match(/var\s+all_rating\s*=\s*(\[[\s\S]*?\]);/);
+        if (match) {
+            raw = match[1];
+            return false;
+        }
+    });
+    if (!raw) {
+        return null;
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(raw);
+    } catch (e) {
+        return null;
+    }
+    // end_date is CodeChef server time (IST)
+    return entries
+        .map(entry => ({
+            contestName: entry.name || entry.code,
+            rating: readInt(entry.rating),
+            timeSeconds: Math.floor(Date.parse(`${String(entry.end_date).replace(' ', 'T')}+05:30`) / 1000)
+        }))
+        .filter(entry => entry.rating !== null && Number.isFinite(entry.timeSeconds))
+        .sort((a, b) => a.timeSeconds - b.timeSeconds);
+}
+
+/**
+ * Parse a CodeChef profile page. Fields that cannot be found are null and
+ * listed in parseError.missing rather than defaulting to 0.
+ * @param {string} html - Profile page HTML
+ * @returns {Object} Parsed fields plus parseError ({ message, missing } or null)
+ */
+function parseProfile(html) {
+    const $ = cheerio.load(html);
+    const result = {
+        rating: readInt($('.rating-number').first().text()),
+        highestRating: null,
+        stars: null,
+        globalRank: null,
+        countryRank: null,
+        country: $('.user-country-name').first().text().trim() || null,
+        totalProblemsSolved: null,
+        ratingHistory: parseRatingHistory($)
+    };
+    const found = new Set();
+
+    const highest = $('.rating-header').text().match(/Highest Rating\s*(\d+)/);
+    if (highest) {
+        result.highestRating = parseInt(highest[1], 10);
+    }
+
+    const starSpans = $('.rating-star span').filter((i, el) => $(el).text().includes('★')).length;
+    const starText = $('.rating').first().text().match(/(\d)\s*★/);
+    if (starSpans > 0 || starText) {
+        result.stars = starSpans > 0 ? starSpans : parseInt(starText[1], 10);
+    }
+
+    // Inactive members show "Inactive" instead of a rank: present, but no number
+    $('.rating-ranks li').each((i, el) => {
+        const text = $(el).text();
+        const field = /Global Rank/i.test(text) ? 'globalRank' : /Country Rank/i.test(text) ? 'countryRank' : null;
+        if (field) {
+            found.add(field);
+            result[field] = readInt($(el).find('strong').first().text());
+        }
+    });
+
+    // Current layout: "Total Problems Solved: 123"; older pages: "Fully Solved (123)"
+    const solvedText = $('.problems-solved').text() || $('body').text();
+    const solved = solvedText.match(/Total Problems Solved:\s*(\d+)/) || solvedText.match(/Fully Solved\s*\(\s*(\d+)\s*\)/);
+    if (solved) {
+        result.totalProblemsSolved = parseInt(solved[1], 10);
+    }
+
+    const missing = [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS].filter(field => result[field] === null && !found.has(field));
+    result.parseError = missing.length > 0
+        ? { message: `Could not find ${missing.join(', ')} on the CodeChef profile page`, missing }
+        : null;
+    return result;
+}
+
+/**
+ * Fetch stats for a CodeChef username
+ * @param {string} username - CodeChef username
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} Platform stats
+ */
+async function fetchStats(username, { fetch }) {
+    const html = await fetchProfile(fetch, username);
+    const profile = parseProfile(html);
+
+    if (profile.parseError) {
+        console.warn(`[CodeChef] Profile page for ${username} is missing: ${profile.parseError.missing.join(', ')}`);
+        if (REQUIRED_FIELDS.some(field => profile.parseError.missing.includes(field))) {
+            const error = new Error(profile.parseError.message);
+            error.parseError = profile.parseError;
+            throw error;
+        }
+    }
+
+    const ratingHistory = profile.ratingHistory || [];
+    return {
+        platform: 'codechef',
+        handle: username,
+        totalProblemsSolved: profile.totalProblemsSolved,
+        rating: profile.rating,
+        maxRating: profile.highestRating !== null
+            ? profile.highestRating
+            : ratingHistory.reduce((max, r) => Math.max(max, r.rating), profile.rating),
+        stars: profile.stars,
+        globalRank: profile.globalRank,
+        countryRank: profile.countryRank,
+        country: profile.country,
+        ratingHistory,
+        contestFrequency: buildContestFrequency(ratingHistory),
+        parseError: profile.parseError
+    };
+}
+
+/**
+ * Read the profile fields only the profile's owner can edit: the display
+ * name and About Me. The rest of the page (ratings, recent activity, text
+ * echoed from the URL) says nothing about who owns the handle.
+ * @param {string} html - Profile page HTML
+ * @returns {Array} Field texts, empty if none were found
+ */
+function readEditableFields(html) {
+    const $ = cheerio.load(html);
+    const fields = [$('.user-details h1, ._profile__header h1').first().text()];
+    $('.user-details .side-nav li').each((i, el) => {
+        if (/^About\s*(Me)?:?$/i.test($(el).find('label').first().text().trim())) {
+            fields.push($(el).find('span').first().text());
+        }
+    });
+    return fields.map(text => text.trim()).filter(Boolean);
+}
+
+/**
+ * Check for a verification code in the profile's name or About Me
+ * @param {string} handle - Claimed username
+ * @param {string} code - Verification code
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} { verified, handle }
+ */
+async function checkVerification(handle, code, { fetch }) {
+    let html;
+    try {
+        html = await fetchProfile(fetch, handle);
+    } catch (e) {
+        return { verified: false, handle };
+    }
+    return { verified: readEditableFields(html).some(text => text.includes(code)), handle };
+}
+
+module.exports = {
+    id: 'codechef',
+    name: 'CodeChef',
+    capabilities: { rating: true, submissions: false, tags: false, contests: true },
+    ratingScale: { floor: 1000, ceiling: 3000 },
+    isValidHandle: handle => /^[A-Za-z0-9_]{1,32}$/.test(handle),
+    fetchStats,
+    parseProfile,
+    verification: {
+        instructions: 'Add the code below to your Name or About Me at https://www.codechef.com/users/edit and save, then click Verify.',
+        check: checkVerification
+    }
+};
@@ -0,0 +1,248 @@
+/**
+ * Codeforces Platform Adapter
+ * Uses the public Codeforces API
+ */
+
+const { toDateKey, buildContestFrequency, countByDifficulty } = require('./helpers');
+
+const API_BASE = 'https://codeforces.com/api';
+
+// user.status rows per request when paging back through history
+const STATUS_PAGE_SIZE = 500;
+
+// Problem ratings where the medium and hard tiers start (Specialist, Candidate Master)
+const DIFFICULTY_TIERS = [1200, 1900];
+
+// Syncs in progress by handle, so concurrent requests share one fetch
+const syncsInFlight = new Map();
+
+/**
+ * Keep only what stats are computed from
+ * @param {Object} sub - Submission from user.status
+ * @returns {Object} Normalized submission
+ */
+function normalizeSubmission(sub) {
+    const problem = sub.problem;
+    return {
+        id: sub.id,
+        time: sub.creationTimeSeconds,
+        problemKey: `${problem.contestId || 'custom'}-${problem.index || problem.name}`,
+        title: problem.name,
+        rating: problem.rating || null,
+        tags: Array.isArray(problem.tags) ? problem.tags.slice() : [],
+        verdict: sub.verdict || null
+    };
+}
+
+/**
+ * Page through user.status (newest first) until reaching the cursor
+ * @param {Function} fetch - fetch implementation
+ * @param {string} handle - Codeforces handle
+ * @param {number} cursor - Newest submission id already stored, 0 for none
+ * @returns {Promise<Array>} Normalized submissions newer than the cursor
+ */
+async function fetchSubmissionsSince(fetch, handle, cursor) {
+    const fresh = [];
+    for (let from = 1; ; from += STATUS_PAGE_SIZE) {
+        const res = await fetch(`${API_BASE}/user.status?handle=${encodeURIComponent(handle)}&from=${from}&count=${STATUS_PAGE_SIZE}`);
+        const json = await res.json();
+        if (json.status !== 'OK') {
+            throw new Error(`Failed to fetch Codeforces submissions${json.comment ? `: ${json.comment}` : ''}`);
+        }
+        for (const sub of json.result) {
+            if (sub.id <= cursor) {
+                return fresh;
+            }
+            if (sub.problem) {
+                fresh.push(normalizeSubmission(sub));
+            }
+        }
+        if (json.result.length < STATUS_PAGE_SIZE) {
+            return fresh;
+        }
+    }
+}
+
+/**
+ * The cursor sits below the oldest submission still being judged, so its
+ * final verdict is picked up by the next sync
+ * @param {Array} submissions - Normalized submissions, newest first
+ * @returns {number} Cursor submission id
+ */
+function computeCursor(submissions) {
+    const pending = submissions.filter(sub => !sub.verdict || sub.verdict === 'TESTING');
+    if (pending.length > 0) {
+        return Math.min(...pending.map(sub => sub.id)) - 1;
+    }
+    return submissions.length > 0 ? submissions[0].id : 0;
+}
+
+/**
+ * Bring the stored submissions for a handle up to date. Without a store
+ * the whole history is fetched every time.
+ * @param {string} handle - Codeforces handle
+ * @param {Object} ctx - { fetch, store }
+ * @returns {Promise<Array>} All normalized submissions, newest first
+ */
+function syncSubmissions(handle, { fetch, store }) {
+    if (!store) {
+        return fetchSubmissionsSince(fetch, handle, 0);
+    }
+
+    const key = handle.toLowerCase();
+    if (syncsInFlight.has(key)) {
+        return syncsInFlight.get(key);
+    }
+
+    const sync = (async () => {
+        const saved = await store.getSubmissionStore('codeforces', handle);
+        const fresh = await fetchSubmissionsSince(fetch, handle, saved ? saved.cursor : 0);
+
+        const byId = new Map((saved ? saved.submissions : []).map(sub => [sub.id, sub]));
+        fresh.forEach(sub => byId.set(sub.id, sub));
+        const submissions = Array.from(byId.values()).sort((a, b) => b.id - a.id);
+
+        await store.saveSubmissionStore({
+            platform: 'codeforces',
+            handle,
+            cursor: computeCursor(submissions),
+            submissions,
+            syncedAt: Date.now()
+        });
+        if (fresh.length > 0) {
+            console.log(`[Codeforces] Synced ${fresh.length} new submissions for ${handle}`);
+        }
+        return submissions;
+    })().finally(() => syncsInFlight.delete(key));
+
+    syncsInFlight.set(key, sync);
+    return sync;
+}
+
+/**
+ * Submissions made at or after a time, e.g. for club contests. Uses the same
+ * incremental sync as fetchStats, so repeated polling is cheap.
+ * @param {string} handle - Codeforces handle
+ * @param {number} since - Unix time in seconds
+ * @param {Object} ctx - { fetch, store }
+ * @returns {Promise<Array>} Normalized submissions, newest first
+ */
+async function listSubmissions(handle, since, ctx) {
+    const submissions = await syncSubmissions(handle, ctx);
+    return submissions.filter(sub => sub.time >= since);
+}
+
+/**
+ * Fetch stats for a Codeforces handle
+ * @param {string} handle - Codeforces handle
+ * @param {Object} ctx - { fetch, store }
+ * @returns {Promise<Object>} Platform stats
+ */
+async function fetchStats(handle, ctx) {
+    const { fetch } = ctx;
+    const [infoRes, ratingRes] = await Promise.all([
+        fetch(`${API_BASE}/user.info?handles=${encodeURIComponent(handle)}`),
+        fetch(`${API_BASE}/user.rating?handle=${encodeURIComponent(handle)}`)
+    ]);
+
+    const infoJson = await infoRes.json();
+    const ratingJson = await ratingRes.json();
+
+    if (infoJson.status !== 'OK') {
+        throw new Error('Failed to fetch Codeforces user info');
+    }
+
+    const submissions = await syncSubmissions(handle, ctx);
+    const ratingUpdates = ratingJson.status === 'OK' ? ratingJson.result : [];
+
+    const solvedSet = new Set();
+    let acceptedCount = 0;
+    const tagCounts = {};
+    const activityCalendar = {};
+    const solvedProblems = {};
+
+    for (const sub of submissions) {
+        if (sub.verdict === 'OK') {
+            acceptedCount += 1;
+            solvedSet.add(sub.problemKey);
+            const dateKey = toDateKey(sub.time);
+            activityCalendar[dateKey] = (activityCalendar[dateKey] || 0) + 1;
+            if (!solvedProblems[sub.problemKey]) {
+                solvedProblems[sub.problemKey] = {
+                    id: sub.problemKey,
+                    title: sub.title,
+                    rating: sub.rating,
+                    tags: sub.tags.slice(),
+                    solvedAt: sub.time
+                };
+            }
+            // First accepted submission, for time-windowed leaderboards
+            solvedProblems[sub.problemKey].solvedAt = Math.min(solvedProblems[sub.problemKey].solvedAt, sub.time);
+            for (const tag of sub.tags) {
+                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+            }
+        }
+    }
+
+    const ratingHistory = ratingUpdates.map(update => ({
+        contestName: update.contestName,
+        rating: update.newRating,
+        timeSeconds: update.ratingUpdateTimeSeconds
+    }));
+
+    const tagStrengths = Object.entries(tagCounts)
+        .map(([tag, count]) => ({ tag, solved: count }))
+        .sort((a, b) => b.solved - a.solved);
+
+    const info = infoJson.result[0] || {};
+    const solvedList = Object.values(solvedProblems);
+    return {
+        platform: 'codeforces',
+        handle,
+        totalProblemsSolved: solvedSet.size,
+        rating: ratingHistory.length > 0 ? ratingHistory[ratingHistory.length - 1].rating : (info.rating || 0),
+        maxRating: ratingHistory.reduce((max, r) => Math.max(max, r.rating), info.maxRating || 0),
+        submissionAccuracy: submissions.length > 0 ? acceptedCount / submissions.length : null,
+        ratingHistory,
+        contestFrequency: buildContestFrequency(ratingHistory),
+        tagStrengths,
+        solvedProblems: solvedList,
+        solvedByDifficulty: countByDifficulty(solvedList, DIFFICULTY_TIERS),
+        activityCalendar
+    };
+}
+
+/**
+ * Check for a verification code in the profile's name or organization
+ * @param {string} handle - Claimed handle
+ * @param {string} code - Verification code
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} { verified, handle }
+ */
+async function checkVerification(handle, code, { fetch }) {
+    const res = await fetch(`${API_BASE}/user.info?handles=${encodeURIComponent(handle)}`);
+    const json = await res.json();
+    if (json.status !== 'OK' || !json.result || !json.result[0]) {
+        return { verified: false, handle };
+    }
+    const info = json.result[0];
+    const fields = [info.firstName, info.lastName, info.organization];
+    return {
+        verified: fields.some(f => typeof f === 'string' && f.includes(code)),
+        handle: info.handle || handle
+    };
+}
+
+module.exports = {
+    id: 'codeforces',
+    name: 'Codeforces',
+    capabilities: { rating: true, submissions: true, tags: true, contests: true },
+    ratingScale: { floor: 800, ceiling: 3500 },
+    isValidHandle: handle => /^[A-Za-z0-9_.-]{3,24}$/.test(handle),
+    fetchStats,
+    listSubmissions,
+    verification: {
+        instructions: 'Set your First name or Organization at https://codeforces.com/settings/social to the code below, save, then click Verify.',
+        check: checkVerification
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Shared helpers for platform adapters
+ */
+
+/**
+ * Format a unix timestamp as a UTC calendar day
+ * @param {number} timestampSeconds - Unix time in seconds
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateKey(timestampSeconds) {
+    const d = new Date(timestampSeconds * 1000);
+    const year = d.getUTCFullYear();
+    const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(d.getUTCDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Count rated contests per month
+ * @param {Array} ratingHistory - Entries with timeSeconds
+ * @returns {Array} [{ month: 'YYYY-MM', contests }]
+ */
+function buildContestFrequency(ratingHistory) {
+    const counts = {};
+    for (const entry of ratingHistory) {
+        const key = toDateKey(entry.timeSeconds).slice(0, 7);
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return Object.entries(counts).map(([month, count]) => ({
+        month,
+        contests: count
+    }));
+}
+
+/**
+ * Count solved problems by difficulty tier. Problems without a rating are
+ * left out, so the tiers can sum to less than the solved total.
+ * @param {Array} solvedProblems - Entries with rating (or null)
+ * @param {Array} thresholds - [medium, hard]: lowest rating of each tier
+ * @returns {Object} { easy, medium, hard }
+ */
+function countByDifficulty(solvedProblems, [medium, hard]) {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    for (const problem of solvedProblems) {
+        if (typeof problem.rating !== 'number') continue;
+        if (problem.rating >= hard) counts.hard += 1;
+        else if (problem.rating >= medium) counts.medium += 1;
+        else counts.easy += 1;
+    }
+    return counts;
+}
+
+module.exports = {
+    toDateKey,
+    buildContestFrequency,
+    countByDifficulty
+};
@@ -0,0 +1,241 @@
+/**
+ * Platform Adapter Registry
+ * Every judge the club tracks is an adapter registered here. Routes, sync,
+ * verification and stats iterate the registry, so adding a judge means adding
+ * one module and one registerPlatform call below.
+ *
+ * An adapter exports:
+ *   id, name          - Stable key used in user.handles, and a display name
+ *   capabilities      - { rating, submissions, tags, contests } booleans
+ *   isValidHandle(h)  - Format check for handles on this platform
+ *   fetchStats(h, ctx) - Resolves to { platform, handle, totalProblemsSolved,
+ *                        rating, maxRating, ...extras }; throws on failure
+ *   verification      - { instructions, check(handle, code, ctx) } resolving
+ *                        to { verified, handle }
+ *   ratingScale       - Optional { floor, ceiling } mapping ratings onto 0-1
+ *                        for the composite leaderboard (rated platforms)
+ *   listSubmissions   - Optional (h, sinceSeconds, ctx) resolving to normalized
+ *                        submissions { id, time, problemKey, verdict } made
+ *                        since then, newest first; used by club contests
+ * fetchStats may include solvedByDifficulty { easy, medium, hard } when the
+ * platform knows problem difficulty; the composite score weights by it.
+ * ctx carries { fetch, store } so adapters never make outbound requests directly.
+ * store (the db, once attached) lets adapters that sync incrementally keep
+ * per-handle submission records; it is null until attachStorage is called.
+ */
+
+const { httpClient } = require('../utils/httpClient');
+const { createStatsCache } = require('./statsCache');
+
+// Adapters fetch through the shared client for rate limiting, retries and circuit breaking
+const defaultFetch = httpClient.fetch;
+let fetchImpl = defaultFetch;
+let submissionStore = null;
+
+// How long fetched stats count as fresh (STATS_CACHE_TTL_MINUTES, default 15)
+const STATS_TTL_MS = (Number(process.env.STATS_CACHE_TTL_MINUTES) || 15) * 60 * 1000;
+// How many handles the stats cache keeps in memory (STATS_CACHE_MAX_ENTRIES, default 1000)
+const STATS_MAX_ENTRIES = Number(process.env.STATS_CACHE_MAX_ENTRIES) || undefined;
+
+const REQUIRED_FIELDS = ['id', 'name', 'capabilities', 'isValidHandle', 'fetchStats', 'verification'];
+
+const registry = new Map();
+
+/**
+ * Register a platform adapter
+ * @param {Object} adapter - Adapter module
+ * @returns {Object} The adapter
+ */
+function registerPlatform(adapter) {
+    const missing = REQUIRED_FIELDS.filter(field => !adapter || adapter[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Platform adapter is missing: ${missing.join(', ')}`);
+    }
+    if (registry.has(adapter.id)) {
+        throw new Error(`Platform already registered: ${adapter.id}`);
+    }
+    registry.set(adapter.id, adapter);
+    return adapter;
+}
+
+/**
+ * Look up a registered adapter
+ * @param {string} id - Platform id
+ * @returns {Object|null} Adapter or null
+ */
+function getPlatform(id) {
+    return registry.get(id) || null;
+}
+
+/**
+ * List registered adapters in registration order
+ * @returns {Array} Adapters
+ */
+function listPlatforms() {
+    return Array.from(registry.values());
+}
+
+/**
+ * List registered platform ids in registration order
+ * @returns {Array<string>} Platform ids
+ */
+function getPlatformIds() {
+    return Array.from(registry.keys());
+}
+
+/**
+ * Public description of a platform for clients
+ * @param {Object} adapter - Adapter
+ * @returns {Object} { id, name, capabilities, ratingScale }
+ */
+function describePlatform(adapter) {
+    return {
+        id: adapter.id,
+        name: adapter.name,
+        capabilities: { ...adapter.capabilities },
+        ratingScale: adapter.ratingScale ? { ...adapter.ratingScale } : null
+    };
+}
+
+/**
+ * Fetch stats straight from the platform, bypassing the cache
+ * @param {string} id - Platform id
+ * @param {string} handle - Handle on that platform
+ * @returns {Promise<Object>} Platform stats; rejects on failure
+ */
+function fetchLiveStats(id, handle) {
+    return getPlatform(id).fetchStats(handle, { fetch: fetchImpl, store: submissionStore });
+}
+
+const statsCache = createStatsCache({ load: fetchLiveStats, ttlMs: STATS_TTL_MS, maxEntries: STATS_MAX_ENTRIES });
+
+/**
+ * Get stats for one handle on one platform, through the shared cache
+ * @param {string} id - Platform id
+ * @param {string} handle - Handle on that platform
+ * @param {Object} options - { fresh: true } waits for a new fetch instead of using the cache;
+ *   { waitForStale: true } uses the cache only while it is within its TTL
+ * @returns {Promise<Object>} Platform stats with fetchedAt and stale; rejects on failure
+ */
+async function fetchStats(id, handle, options = {}) {
+    if (!getPlatform(id)) {
+        throw new Error(`Unknown platform: ${id}`);
+    }
+    return statsCache.get(id, handle, options);
+}
+
+/**
+ * Fetch stats for every platform a member has a handle on. One platform
+ * failing does not fail the others.
+ * @param {Object} handles - Map of platform id to handle
+ * @param {Object} options - Passed to fetchStats
+ * @returns {Promise<Object>} Map of platform id to stats, or { platform, handle, error, parseError? }
+ */
+async function fetchAllStats(handles, options = {}) {
+    const entries = listPlatforms().filter(adapter => handles && handles[adapter.id]);
+    const settled = await Promise.allSettled(
+        entries.map(adapter => fetchStats(adapter.id, handles[adapter.id], options))
+    );
+
+    const results = {};
+    settled.forEach((outcome, i) => {
+        const { id } = entries[i];
+        if (outcome.status === 'fulfilled') {
+            results[id] = outcome.value;
+        } else {
+            console.warn(`[Platforms] ${id} fetch failed for ${handles[id]}:`, outcome.reason && outcome.reason.message);
+            const reason = outcome.reason || {};
+            results[id] = { platform: id, handle: handles[id], error: reason.message || 'Fetch failed' };
+            if (reason.parseError) {
+                results[id].parseError = reason.parseError;
+            }
+        }
+    });
+    return results;
+}
+
+/**
+ * Get a handle's recent submissions, bypassing the stats cache
+ * @param {string} id - Platform id (the adapter must implement listSubmissions)
+ * @param {string} handle - Handle on that platform
+ * @param {number} since - Unix time in seconds
+ * @returns {Promise<Array>} Normalized submissions, newest first
+ */
+async function listSubmissions(id, handle, since) {
+    const adapter = getPlatform(id);
+    if (!adapter || !adapter.listSubmissions) {
+        throw new Error(`Platform does not list submissions: ${id}`);
+    }
+    return adapter.listSubmissions(handle, since, { fetch: fetchImpl, store: submissionStore });
+}
+
+/**
+ * Run a platform's ownership check for a handle
+ * @param {string} id - Platform id
+ * @param {string} handle - Claimed handle
+ * @param {string} code - Verification code
+ * @returns {Promise<Object>} { verified, handle }
+ */
+async function checkVerification(id, handle, code) {
+    const adapter = getPlatform(id);
+    if (!adapter) {
+        throw new Error(`Unknown platform: ${id}`);
+    }
+    return adapter.verification.check(handle, code, { fetch: fetchImpl });
+}
+
+/**
+ * Drop everything synced for a handle and fetch it again from scratch
+ * (e.g. after the member changed their handle on the platform)
+ * @param {string} id - Platform id
+ * @param {string} handle - Handle on that platform
+ * @returns {Promise<Object>} Fresh platform stats
+ */
+async function resyncHandle(id, handle) {
+    if (submissionStore) {
+        await submissionStore.deleteSubmissionStore(id, handle);
+    }
+    return fetchStats(id, handle, { fresh: true });
+}
+
+/**
+ * Give adapters somewhere to keep synced submissions, and the stats cache
+ * somewhere to persist entries when STATS_CACHE_PERSIST is set
+ * @param {Object|null} store - The db (submission store and cached stats
+ *   methods), or null to always fetch in full and cache in memory only
+ */
+function attachStorage(store) {
+    submissionStore = store;
+    const persist = ['1', 'true', 'yes'].includes(String(process.env.STATS_CACHE_PERSIST || '').toLowerCase());
+    statsCache.attachStorage(store && persist ? store : null);
+}
+
+/**
+ * Replace the fetch passed to adapters (for testing with stubbed platform responses).
+ * Clears cached stats so nothing fetched with the old one is served.
+ * @param {Function|null} fn - fetch-compatible function, or null to restore the default
+ */
+function setFetch(fn) {
+    fetchImpl = fn || defaultFetch;
+    statsCache.clear();
+}
+
+registerPlatform(require('./codeforces'));
+registerPlatform(require('./leetcode'));
+registerPlatform(require('./codechef'));
+registerPlatform(require('./atcoder'));
+
+module.exports = {
+    registerPlatform,
+    getPlatform,
+    listPlatforms,
+    getPlatformIds,
+    describePlatform,
+    fetchStats,
+    listSubmissions,
+    fetchAllStats,
+    checkVerification,
+    resyncHandle,
+    attachStorage,
+    setFetch
+};
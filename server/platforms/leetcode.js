@@ -0,0 +1,230 @@
+/**
+ * LeetCode Platform Adapter
+ * Uses the LeetCode GraphQL API
+ */
+
+const { toDateKey, buildContestFrequency } = require('./helpers');
+
+const GRAPHQL_URL = 'https://leetcode.com/graphql';
+
+/**
+ * Run a GraphQL query against LeetCode
+ * @param {Function} fetch - fetch implementation
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response data
+ */
+async function graphql(fetch, query, variables) {
+    const res = await fetch(GRAPHQL_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Referer': 'https://leetcode.com'
+        },
+        body: JSON.stringify({ query, variables })
+    });
+    const json = await res.json();
+    return json.data || {};
+}
+
+const PROFILE_QUERY = `
+    query userProfile($username: String!, $recentLimit: Int!) {
+        matchedUser(username: $username) {
+            username
+            submitStats: submitStatsGlobal {
+                acSubmissionNum {
+                    difficulty
+                    count
+                    submissions
+                }
+            }
+            profile {
+                ranking
+                reputation
+            }
+            tagProblemCounts {
+                advanced { tagName tagSlug problemsSolved }
+                intermediate { tagName tagSlug problemsSolved }
+                fundamental { tagName tagSlug problemsSolved }
+            }
+            userCalendar {
+                submissionCalendar
+            }
+        }
+        userContestRanking(username: $username) {
+            attendedContestsCount
+            rating
+            globalRanking
+            topPercentage
+        }
+        userContestRankingHistory(username: $username) {
+            attended
+            rating
+            contest {
+                title
+                startTime
+            }
+        }
+        recentAcSubmissionList(username: $username, limit: $recentLimit) {
+            id
+            title
+            titleSlug
+            timestamp
+        }
+    }
+`;
+
+// LeetCode only exposes this many recent accepted submissions publicly
+const RECENT_AC_LIMIT = 20;
+
+/**
+ * Combine per-topic solved counts across LeetCode's skill levels
+ * @param {Object|null} tagProblemCounts - { advanced, intermediate, fundamental }
+ * @returns {Array} [{ tag, solved }] sorted by solved count
+ */
+function toTagStrengths(tagProblemCounts) {
+    const counts = {};
+    for (const level of ['fundamental', 'intermediate', 'advanced']) {
+        for (const tag of (tagProblemCounts && tagProblemCounts[level]) || []) {
+            counts[tag.tagName] = (counts[tag.tagName] || 0) + tag.problemsSolved;
+        }
+    }
+    return Object.entries(counts)
+        .filter(([, solved]) => solved > 0)
+        .map(([tag, solved]) => ({ tag, solved }))
+        .sort((a, b) => b.solved - a.solved);
+}
+
+/**
+ * Convert LeetCode's submission calendar (a JSON string of unix seconds to
+ * submission counts) to day keys
+ * @param {string|null} submissionCalendar - Calendar JSON
+ * @returns {Object} { 'YYYY-MM-DD': count }
+ */
+function toActivityCalendar(submissionCalendar) {
+    let raw = {};
+    try {
+        raw = JSON.parse(submissionCalendar || '{}');
+    } catch (e) {
+        console.warn('[LeetCode] Unreadable submission calendar:', e.message);
+    }
+    const calendar = {};
+    for (const [seconds, count] of Object.entries(raw)) {
+        const dateKey = toDateKey(Number(seconds));
+        calendar[dateKey] = (calendar[dateKey] || 0) + count;
+    }
+    return calendar;
+}
+
+/**
+ * Fetch stats for a LeetCode username
+ * @param {string} username - LeetCode username
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} Platform stats
+ */
+async function fetchStats(username, { fetch }) {
+    const data = await graphql(fetch, PROFILE_QUERY, { username, recentLimit: RECENT_AC_LIMIT });
+
+    if (!data.matchedUser) {
+        throw new Error(`LeetCode user not found: ${username}`);
+    }
+
+    const user = data.matchedUser;
+    const stats = user.submitStats.acSubmissionNum;
+    const all = stats.find(s => s.difficulty === 'All');
+    const countFor = difficulty => {
+        const entry = stats.find(s => s.difficulty === difficulty);
+        return entry ? entry.count : 0;
+    };
+
+    const ratingHistory = (data.userContestRankingHistory || [])
+        .filter(entry => entry.attended)
+        .map(entry => ({
+            contestName: entry.contest.title,
+            rating: Math.round(entry.rating),
+            timeSeconds: entry.contest.startTime
+        }));
+
+    const solvedProblems = {};
+    for (const sub of data.recentAcSubmissionList || []) {
+        const time = Number(sub.timestamp);
+        if (!solvedProblems[sub.titleSlug]) {
+            solvedProblems[sub.titleSlug] = {
+                id: sub.titleSlug,
+                title: sub.title,
+                rating: null,
+                tags: [],
+                solvedAt: time
+            };
+        }
+        // Earliest acceptance in the recent list; older solves are not public
+        solvedProblems[sub.titleSlug].solvedAt = Math.min(solvedProblems[sub.titleSlug].solvedAt, time);
+    }
+
+    const contest = data.userContestRanking;
+    const latest = ratingHistory.length > 0 ? ratingHistory[ratingHistory.length - 1].rating : 0;
+    return {
+        platform: 'leetcode',
+        handle: username,
+        totalProblemsSolved: all ? all.count : 0,
+        rating: contest && contest.rating ? Math.round(contest.rating) : latest,
+        maxRating: ratingHistory.reduce((max, r) => Math.max(max, r.rating), 0),
+        breakdown: stats,
+        solvedByDifficulty: { easy: countFor('Easy'), medium: countFor('Medium'), hard: countFor('Hard') },
+        ranking: user.profile.ranking,
+        contestRanking: contest ? {
+            attended: contest.attendedContestsCount,
+            globalRanking: contest.globalRanking,
+            topPercentage: contest.topPercentage
+        } : null,
+        ratingHistory,
+        contestFrequency: buildContestFrequency(ratingHistory),
+        tagStrengths: toTagStrengths(user.tagProblemCounts),
+        // Only the most recent accepted problems are public, not the full list
+        solvedProblems: Object.values(solvedProblems),
+        // Counts every submission, not only accepted ones
+        activityCalendar: toActivityCalendar(user.userCalendar && user.userCalendar.submissionCalendar)
+    };
+}
+
+/**
+ * Check for a verification code in the profile's real name or summary
+ * @param {string} handle - Claimed username
+ * @param {string} code - Verification code
+ * @param {Object} ctx - { fetch }
+ * @returns {Promise<Object>} { verified, handle }
+ */
+async function checkVerification(handle, code, { fetch }) {
+    const data = await graphql(fetch, `
+        query verifyProfile($username: String!) {
+            matchedUser(username: $username) {
+                username
+                profile { realName aboutMe }
+            }
+        }
+    `, { username: handle });
+
+    const user = data.matchedUser;
+    if (!user) {
+        return { verified: false, handle };
+    }
+    const fields = [user.profile && user.profile.realName, user.profile && user.profile.aboutMe];
+    return {
+        verified: fields.some(f => typeof f === 'string' && f.includes(code)),
+        handle: user.username || handle
+    };
+}
+
+module.exports = {
+    id: 'leetcode',
+    name: 'LeetCode',
+    capabilities: { rating: true, submissions: false, tags: true, contests: true },
+    // Contest ratings start at 1500
+    ratingScale: { floor: 1200, ceiling: 3000 },
+    isValidHandle: handle => /^[A-Za-z0-9_-]{1,40}$/.test(handle),
+    fetchStats,
+    verification: {
+        instructions: 'Add the code below to your Summary (README) at https://leetcode.com/profile/ and save, then click Verify.',
+        check: checkVerification
+    }
+};
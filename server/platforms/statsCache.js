@@ -0,0 +1,163 @@
+/**
+ * Platform Stats Cache
+ * One cache for every caller of platform stats, keyed by platform and handle.
+ * Fresh entries are served as-is. Entries past their TTL are still served
+ * (marked stale) while a background fetch refreshes them. Concurrent requests
+ * for the same handle share one fetch. Entries can optionally be persisted
+ * through the storage layer so a restart does not start cold.
+ *
+ * Handles come from public requests, so the in-memory cache holds at most
+ * maxEntries entries and evicts the least recently used one beyond that.
+ */
+
+// Default for maxEntries
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Create a stats cache
+ * @param {Object} options - { load(platform, handle), ttlMs, maxEntries, now }
+ * @returns {Object} Cache API
+ */
+function createStatsCache({ load, ttlMs, maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now }) {
+    // Least recently used first (Map keeps insertion order)
+    const entries = new Map();
+    const inFlight = new Map();
+    let store = null;
+
+    function keyFor(platform, handle) {
+        return `${platform}:${String(handle).toLowerCase()}`;
+    }
+
+    // Store an entry as the most recently used, evicting the least recently used beyond maxEntries
+    function remember(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    function present(entry) {
+        return {
+            ...entry.stats,
+            fetchedAt: entry.fetchedAt,
+            stale: now() - entry.fetchedAt >= ttlMs
+        };
+    }
+
+    async function readEntry(platform, handle) {
+        const key = keyFor(platform, handle);
+        if (entries.has(key)) {
+            const entry = entries.get(key);
+            remember(key, entry);
+            return entry;
+        }
+        if (!store) {
+            return null;
+        }
+        try {
+            const saved = await store.getCachedStats(platform, handle);
+            if (saved) {
+                remember(key, saved);
+            }
+            return saved;
+        } catch (e) {
+            console.warn(`[StatsCache] Could not read cached ${platform} stats for ${handle}:`, e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch and store an entry, sharing the fetch with concurrent callers
+     */
+    function refresh(platform, handle) {
+        const key = keyFor(platform, handle);
+        if (inFlight.has(key)) {
+            return inFlight.get(key);
+        }
+
+        const run = (async () => {
+            const stats = await load(platform, handle);
+            const entry = { platform, handle, stats, fetchedAt: now() };
+            remember(key, entry);
+            if (store) {
+                await store.saveCachedStats(entry).catch(e => {
+                    console.warn(`[StatsCache] Could not persist ${platform} stats for ${handle}:`, e.message);
+                });
+            }
+            return entry;
+        })().finally(() => inFlight.delete(key));
+
+        inFlight.set(key, run);
+        return run;
+    }
+
+    /**
+     * Get stats for a handle
+     * @param {string} platform - Platform id
+     * @param {string} handle - Handle
+     * @param {Object} options - { fresh: true } skips the cache and waits for a new fetch;
+     *   { waitForStale: true } serves fresh entries as-is but waits for the refresh of a
+     *   stale one, falling back to the stale entry if that fetch fails
+     * @returns {Promise<Object>} Stats with fetchedAt and stale; rejects if
+     *   nothing is cached and the fetch fails
+     */
+    async function get(platform, handle, { fresh = false, waitForStale = false } = {}) {
+        const entry = fresh ? null : await readEntry(platform, handle);
+        if (!entry) {
+            return present(await refresh(platform, handle));
+        }
+
+        const result = present(entry);
+        if (result.stale && waitForStale) {
+            try {
+                return present(await refresh(platform, handle));
+            } catch (e) {
+                console.warn(`[StatsCache] Refresh failed for ${platform} ${handle}, serving cached stats:`, e.message);
+                return result;
+            }
+        }
+        if (result.stale) {
+            refresh(platform, handle).catch(e => {
+                console.warn(`[StatsCache] Refresh failed for ${platform} ${handle}, serving cached stats:`, e.message);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Drop a cached entry
+     * @param {string} platform - Platform id
+     * @param {string} handle - Handle
+     */
+    async function invalidate(platform, handle) {
+        entries.delete(keyFor(platform, handle));
+        if (store) {
+            await store.deleteCachedStats(platform, handle);
+        }
+    }
+
+    /**
+     * Drop every in-memory entry (persisted entries are left alone)
+     */
+    function clear() {
+        entries.clear();
+        inFlight.clear();
+    }
+
+    /**
+     * Persist entries through storage
+     * @param {Object|null} storage - Object with getCachedStats, saveCachedStats
+     *   and deleteCachedStats (the db), or null to keep entries in memory only
+     */
+    function attachStorage(storage) {
+        store = storage;
+    }
+
+    return { get, invalidate, clear, attachStorage };
+}
+
+module.exports = {
+    DEFAULT_MAX_ENTRIES,
+    createStatsCache
+};
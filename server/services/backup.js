@@ -0,0 +1,581 @@
+/**
+ * Backup Service
+ * Exports club data to a versioned JSON archive and imports it again,
+ * for backups and for moving between storage backends or hosts.
+ *
+ * Import only adds or overwrites records; it never deletes anything.
+ * Sessions, API tokens, invites and the auth audit log are not part of
+ * an archive, so signed-in devices and tokens do not move between hosts.
+ */
+
+const { isValidRoleName, hasPermissions, resolvePermissions } = require('../utils/permissions');
+const scoring = require('../utils/scoring');
+const timeWindows = require('../utils/timeWindows');
+
+const ARCHIVE_FORMAT = 'tsap-club-archive';
+const SCHEMA_VERSION = 2;
+
+// User fields that are secret and only exported on request
+const SECRET_USER_FIELDS = ['passwordHash'];
+
+// User fields written to an archive. pendingHandles holds short-lived
+// verification codes and is deliberately left out.
+const USER_FIELDS = ['id', 'name', 'email', 'role', 'handles', 'verifiedHandles', 'active', 'mustChangePassword', 'createdAt'];
+
+// Admin settings written to an archive, by name, with the check the
+// settings routes run before saving them (an error message or null)
+const SETTING_VALIDATORS = {
+    [scoring.WEIGHTS_SETTING]: value => scoring.validateWeights(value),
+    [timeWindows.SEMESTERS_SETTING]: value => timeWindows.validateSemesters(value.semesters)
+};
+const SETTING_NAMES = Object.keys(SETTING_VALIDATORS);
+
+/**
+ * Migrations from older archive versions, keyed by the version they upgrade from.
+ * Each takes an archive at version N and returns one at version N + 1.
+ */
+const MIGRATIONS = {
+    // Version 2 added admin settings and club contests
+    1: archive => ({ ...archive, schemaVersion: 2, data: { ...archive.data, settings: {}, contests: [] } })
+};
+
+// ========== Schema ==========
+
+const stringMap = { type: 'object', values: { type: 'string' } };
+
+const ARCHIVE_SCHEMA = {
+    type: 'object',
+    required: ['format', 'schemaVersion', 'exportedAt', 'includesSecrets', 'data'],
+    properties: {
+        format: { type: 'string' },
+        schemaVersion: { type: 'integer' },
+        exportedAt: { type: 'string' },
+        includesSecrets: { type: 'boolean' },
+        data: {
+            type: 'object',
+            required: ['users', 'roles', 'activities', 'clubData', 'snapshots', 'settings', 'contests'],
+            properties: {
+                users: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name', 'email', 'role', 'handles'],
+                        properties: {
+                            id: { type: 'integer', min: 1 },
+                            name: { type: 'string' },
+                            email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+                            role: { type: 'string' },
+                            handles: stringMap,
+                            verifiedHandles: stringMap,
+                            active: { type: 'boolean' },
+                            mustChangePassword: { type: 'boolean' },
+                            createdAt: { type: 'number' },
+                            passwordHash: { type: 'string' }
+                        }
+                    }
+                },
+                roles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'permissions'],
+                        properties: {
+                            name: { type: 'string' },
+                            label: { type: 'string' },
+                            permissions: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                },
+                activities: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'type', 'timestamp'],
+                        properties: {
+                            id: { type: 'string' },
+                            type: { type: 'string' },
+                            timestamp: { type: 'string' },
+                            message: { type: 'string' }
+                        }
+                    }
+                },
+                clubData: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        milestones: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['threshold', 'achieved'],
+                                properties: {
+                                    threshold: { type: 'number' },
+                                    achieved: { type: 'boolean' },
+                                    date: { type: 'string', nullable: true }
+                                }
+                            }
+                        }
+                    }
+                },
+                snapshots: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'kind', 'createdAt'],
+                        properties: {
+                            id: { type: 'string' },
+                            kind: { type: 'string' },
+                            createdAt: { type: 'number' }
+                        }
+                    }
+                },
+                settings: { type: 'object', values: { type: 'object' } },
+                contests: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name', 'startTime', 'endTime', 'problems'],
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            startTime: { type: 'number' },
+                            endTime: { type: 'number' },
+                            problems: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['contestId', 'index'],
+                                    properties: {
+                                        contestId: { type: 'integer', min: 1 },
+                                        index: { type: 'string' }
+                                    }
+                                }
+                            },
+                            participants: { type: 'array', items: { type: 'object' } },
+                            finalizedAt: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Check a value against a schema node, collecting errors.
+ * Supports type, nullable, required, properties, values (for maps),
+ * items, min and pattern. Unknown properties are allowed.
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} path - Path for error messages
+ * @param {Array} errors - Collected error messages
+ */
+function checkSchema(schema, value, path, errors) {
+    if (value === null && schema.nullable) return;
+
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const typeOk = schema.type === 'integer' ? Number.isInteger(value) : actual === schema.type;
+    if (!typeOk) {
+        errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+        return;
+    }
+
+    if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path}: must be at least ${schema.min}`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path}: invalid format`);
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                checkSchema(child, value[key], `${path}.${key}`, errors);
+            }
+        }
+        if (schema.values) {
+            for (const [key, child] of Object.entries(value)) {
+                checkSchema(schema.values, child, `${path}.${key}`, errors);
+            }
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => checkSchema(schema.items, item, `${path}[${i}]`, errors));
+    }
+}
+
+// Stop listing errors after this many; a wrong file tends to fail everywhere
+const MAX_ERRORS = 50;
+
+/**
+ * Validate an archive (after migration) against the current schema
+ * @param {Object} archive - Parsed archive
+ * @returns {Array} Error messages, empty if valid
+ */
+function validateArchive(archive) {
+    const errors = [];
+    checkSchema(ARCHIVE_SCHEMA, archive, 'archive', errors);
+    if (errors.length > 0) {
+        return errors.slice(0, MAX_ERRORS);
+    }
+
+    const { users, roles, settings } = archive.data;
+    const seenIds = new Set();
+    const seenEmails = new Set();
+    users.forEach((user, i) => {
+        if (seenIds.has(user.id)) errors.push(`archive.data.users[${i}]: duplicate id ${user.id}`);
+        const email = user.email.toLowerCase();
+        if (seenEmails.has(email)) errors.push(`archive.data.users[${i}]: duplicate email ${user.email}`);
+        seenIds.add(user.id);
+        seenEmails.add(email);
+    });
+    roles.forEach((role, i) => {
+        if (!isValidRoleName(role.name)) errors.push(`archive.data.roles[${i}]: invalid role name "${role.name}"`);
+    });
+    Object.entries(settings).forEach(([name, value]) => {
+        if (!SETTING_NAMES.includes(name)) {
+            errors.push(`archive.data.settings.${name}: unknown setting`);
+            return;
+        }
+        const error = SETTING_VALIDATORS[name](value);
+        if (error) errors.push(`archive.data.settings.${name}: ${error}`);
+    });
+    return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Bring an archive up to the current schema version
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} Archive at SCHEMA_VERSION
+ */
+function migrateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+        throw new Error('Not a TSAP club archive');
+    }
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+        throw new Error('Archive has no valid schemaVersion');
+    }
+    if (archive.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`Archive schema version ${archive.schemaVersion} is newer than this server supports (${SCHEMA_VERSION})`);
+    }
+
+    let migrated = archive;
+    while (migrated.schemaVersion < SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[migrated.schemaVersion];
+        if (!migrate) {
+            throw new Error(`No migration from archive schema version ${migrated.schemaVersion}`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+// ========== Export ==========
+
+/**
+ * Copy the archived fields of a user
+ * @param {Object} user - User record
+ * @param {boolean} includeSecrets - Keep password hashes
+ * @returns {Object} Archived user
+ */
+function toArchivedUser(user, includeSecrets) {
+    const fields = includeSecrets ? USER_FIELDS.concat(SECRET_USER_FIELDS) : USER_FIELDS;
+    const archived = {};
+    fields.forEach(field => {
+        if (user[field] !== undefined) archived[field] = user[field];
+    });
+    return archived;
+}
+
+/**
+ * Stored admin settings that an archive carries
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} { name: value } for every setting that is set
+ */
+async function getSettings(db) {
+    const settings = {};
+    for (const name of SETTING_NAMES) {
+        const value = await db.getSetting(name);
+        if (value) settings[name] = value;
+    }
+    return settings;
+}
+
+/**
+ * Build an archive of the club's data
+ * @param {Object} db - Database instance
+ * @param {Object} options
+ * @param {boolean} options.includeSecrets - Include password hashes
+ * @returns {Promise<Object>} Archive
+ */
+async function exportArchive(db, options = {}) {
+    const includeSecrets = Boolean(options.includeSecrets);
+    const [users, roles, activities, clubData, snapshots, settings, contests] = await Promise.all([
+        db.getAllUsers(),
+        db.getRoles(),
+        db.listActivities(),
+        db.getClubData(),
+        db.listSnapshots(),
+        getSettings(db),
+        db.listContests()
+    ]);
+
+    return {
+        format: ARCHIVE_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        includesSecrets: includeSecrets,
+        data: {
+            users: users.map(u => toArchivedUser(u, includeSecrets)),
+            roles,
+            activities,
+            clubData: clubData || null,
+            snapshots,
+            settings,
+            contests
+        }
+    };
+}
+
+// ========== Import ==========
+
+function sameRecord(a, b) {
+    return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+}
+
+/**
+ * The user record an import would store. Stored fields that archives do not
+ * carry (the password hash when secrets were left out, pending verifications)
+ * are kept.
+ * @param {Object} incoming - Archived user
+ * @param {Object|null} existing - Stored user
+ * @returns {Object} User record
+ */
+function mergeUser(incoming, existing) {
+    const kept = {};
+    if (existing) {
+        Object.keys(existing)
+            .filter(field => !USER_FIELDS.includes(field))
+            .forEach(field => { kept[field] = existing[field]; });
+    }
+    return { ...kept, ...incoming, email: incoming.email.toLowerCase() };
+}
+
+/**
+ * Sort incoming records into add / overwrite / unchanged
+ * @param {Array} incoming - Records from the archive
+ * @param {Map} existing - Stored records by key
+ * @param {Function} keyOf - Record key
+ * @param {Function} labelOf - Human-readable label
+ * @param {Function} prepare - (incoming, existing) => record that would be stored
+ * @returns {Object} { add, overwrite, unchanged }
+ */
+function diffRecords(incoming, existing, keyOf, labelOf, prepare = r => r) {
+    const diff = { add: [], overwrite: [], unchanged: 0 };
+    for (const record of incoming) {
+        const current = existing.get(keyOf(record)) || null;
+        const next = prepare(record, current);
+        if (!current) {
+            diff.add.push({ id: keyOf(record), label: labelOf(record) });
+        } else if (sameRecord(current, next)) {
+            diff.unchanged += 1;
+        } else {
+            const fields = [...new Set(Object.keys(current).concat(Object.keys(next)))]
+                .filter(k => !sameRecord(current[k], next[k]))
+                .sort();
+            diff.overwrite.push({ id: keyOf(record), label: labelOf(record), fields });
+        }
+    }
+    return diff;
+}
+
+/**
+ * Role and member changes the importer could not make through the role and
+ * member routes: saving a role needs roles.manage and every permission it
+ * grants, giving a member a role needs every permission of that role, and a
+ * member whose role outranks the importer cannot be changed at all.
+ * @param {Array} granted - The importer's permissions
+ * @param {Object} data - Archive data
+ * @param {Array} storedUsers - Stored users
+ * @param {Array} storedRoles - Stored roles
+ * @returns {Array} Messages, empty if the importer may make every change
+ */
+function checkPermissions(granted, data, storedUsers, storedRoles) {
+    const forbidden = [];
+    const rolesBefore = new Map(storedRoles.map(r => [r.name, r]));
+    const rolesAfter = new Map(rolesBefore);
+
+    for (const role of data.roles) {
+        const current = rolesBefore.get(role.name);
+        rolesAfter.set(role.name, role);
+        if (current && sameRecord(current, role)) continue;
+        if (!granted.includes('roles.manage')) {
+            forbidden.push(`Changing role "${role.name}" needs the roles.manage permission`);
+        } else if (!hasPermissions(granted, resolvePermissions(role))) {
+            forbidden.push(`Role "${role.name}" grants permissions you do not hold`);
+        }
+    }
+
+    const usersBefore = new Map(storedUsers.map(u => [u.id, u]));
+    for (const user of data.users) {
+        const current = usersBefore.get(user.id);
+        if (current && !hasPermissions(granted, resolvePermissions(rolesBefore.get(current.role)))) {
+            if (!sameRecord(current, mergeUser(user, current))) {
+                forbidden.push(`${current.email} has more permissions than you and cannot be changed`);
+            }
+            continue;
+        }
+        if ((!current || current.role !== user.role) && !hasPermissions(granted, resolvePermissions(rolesAfter.get(user.role)))) {
+            forbidden.push(`${user.email} would get role "${user.role}", which has more permissions than your own`);
+        }
+    }
+    return forbidden;
+}
+
+/**
+ * Work out what importing an archive would change, without changing anything
+ * @param {Object} db - Database instance
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options
+ * @param {Array} options.permissions - The importer's permissions; role and
+ *   member changes beyond them are listed as forbidden. Omit for full access
+ *   (the command line).
+ * @returns {Promise<Object>} { valid, errors, conflicts, forbidden, schemaVersion, changes }
+ */
+async function planImport(db, archive, options = {}) {
+    let migrated;
+    try {
+        migrated = migrateArchive(archive);
+    } catch (e) {
+        return { valid: false, errors: [e.message], conflicts: [], forbidden: [], changes: null };
+    }
+
+    const errors = validateArchive(migrated);
+    if (errors.length > 0) {
+        return { valid: false, errors, conflicts: [], forbidden: [], changes: null };
+    }
+
+    const { users, roles, activities, clubData, snapshots, settings, contests } = migrated.data;
+    const [storedUsers, storedRoles, storedActivities, storedClubData, storedSnapshots, storedSettings, storedContests] = await Promise.all([
+        db.getAllUsers(),
+        db.getRoles(),
+        db.listActivities(),
+        db.getClubData(),
+        db.listSnapshots(),
+        getSettings(db),
+        db.listContests()
+    ]);
+
+    // An archived email that belongs to a different stored member would leave two accounts with one email
+    const conflicts = [];
+    const incomingIds = new Set(users.map(u => u.id));
+    for (const user of users) {
+        const owner = storedUsers.find(u => u.email.toLowerCase() === user.email.toLowerCase() && u.id !== user.id);
+        if (owner && !incomingIds.has(owner.id)) {
+            conflicts.push(`${user.email} belongs to member ${owner.id} here but member ${user.id} in the archive`);
+        }
+    }
+
+    const roleNames = new Set(storedRoles.map(r => r.name).concat(roles.map(r => r.name)));
+    for (const user of users) {
+        if (!roleNames.has(user.role)) {
+            conflicts.push(`${user.email} has unknown role "${user.role}"`);
+        }
+    }
+
+    let clubDataChange = 'none';
+    if (clubData) {
+        clubDataChange = !storedClubData ? 'add' : sameRecord(storedClubData, clubData) ? 'unchanged' : 'overwrite';
+    }
+
+    const forbidden = options.permissions
+        ? checkPermissions(options.permissions, migrated.data, storedUsers, storedRoles)
+        : [];
+
+    return {
+        valid: true,
+        errors: [],
+        conflicts,
+        forbidden,
+        schemaVersion: archive.schemaVersion,
+        includesSecrets: migrated.includesSecrets,
+        changes: {
+            users: diffRecords(users, new Map(storedUsers.map(u => [u.id, u])), u => u.id, u => `${u.name} <${u.email}>`, mergeUser),
+            roles: diffRecords(roles, new Map(storedRoles.map(r => [r.name, r])), r => r.name, r => r.label || r.name),
+            activities: diffRecords(activities, new Map(storedActivities.map(a => [a.id, a])), a => a.id, a => a.message || a.type),
+            snapshots: diffRecords(snapshots, new Map(storedSnapshots.map(s => [s.id, s])), s => s.id, s => s.kind),
+            settings: diffRecords(
+                Object.entries(settings).map(([name, value]) => ({ name, value })),
+                new Map(Object.entries(storedSettings).map(([name, value]) => [name, { name, value }])),
+                s => s.name,
+                s => s.name
+            ),
+            contests: diffRecords(contests, new Map(storedContests.map(c => [c.id, c])), c => c.id, c => c.name),
+            clubData: clubDataChange
+        }
+    };
+}
+
+/**
+ * Import an archive. Refuses to apply if the archive is invalid, conflicts
+ * with stored data or makes changes the importer's permissions do not allow.
+ * @param {Object} db - Database instance
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options - See planImport
+ * @returns {Promise<Object>} The plan that was applied ({ applied: true, ... }) or refused
+ */
+async function applyImport(db, archive, options = {}) {
+    const plan = await planImport(db, archive, options);
+    if (!plan.valid || plan.conflicts.length > 0 || plan.forbidden.length > 0) {
+        return { ...plan, applied: false };
+    }
+
+    const { users, roles, activities, clubData, snapshots, settings, contests } = migrateArchive(archive).data;
+
+    for (const role of roles) {
+        await db.saveRole(role);
+    }
+    for (const user of users) {
+        const existing = await db.getUserById(user.id);
+        await db.saveUser(mergeUser(user, existing));
+    }
+    for (const activity of activities) {
+        await db.saveActivity(activity);
+    }
+    for (const snapshot of snapshots) {
+        await db.restoreSnapshot(snapshot);
+    }
+    for (const [name, value] of Object.entries(settings)) {
+        await db.saveSetting(name, value);
+    }
+    for (const contest of contests) {
+        await db.restoreContest(contest);
+    }
+    if (clubData) {
+        await db.saveClubData(clubData);
+    }
+
+    return { ...plan, applied: true };
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    SCHEMA_VERSION,
+    exportArchive,
+    validateArchive,
+    migrateArchive,
+    planImport,
+    applyImport
+};
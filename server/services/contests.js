@@ -0,0 +1,330 @@
+/**
+ * Club Contests
+ * Practice contests made of Codeforces problems. While a contest runs, the
+ * submissions of every active member with a verified Codeforces handle are
+ * polled, and those made inside the contest window to its problems count
+ * towards ICPC-style standings. Once the contest has ended and judging has
+ * settled, the standings are frozen, archived as a snapshot and announced in
+ * the activity feed.
+ */
+
+const platforms = require('../platforms');
+const activityLogger = require('../utils/activityLogger');
+const { isHandleVerified } = require('./handleVerification');
+const { computeStandings, problemLabel, problemKey } = require('../utils/icpcStandings');
+
+const CONTEST_PLATFORM = 'codeforces';
+const SNAPSHOT_KIND = 'contest';
+
+const MAX_PROBLEMS = 26;
+const MAX_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+// Submissions still being judged at the end get this long to settle before the result is frozen
+const JUDGING_GRACE_MS = 15 * 60 * 1000;
+// How often running contests are polled (CONTEST_POLL_SECONDS, default 60)
+const POLL_INTERVAL_MS = Math.max(15, Number(process.env.CONTEST_POLL_SECONDS) || 60) * 1000;
+
+let pollInProgress = null;
+// Contest id -> finalization in progress, so the poller and an admin never freeze one twice
+const finalizing = new Map();
+
+/**
+ * Parse a time given as ms since the epoch or an ISO 8601 string
+ * @param {number|string} value - Time
+ * @returns {number|null} Time in ms, or null if invalid
+ */
+function parseTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read a Codeforces problem reference
+ * @param {Object|string} ref - { contestId, index }, "1910A", "1910/A", "1910 A"
+ *   or a problem URL
+ * @returns {Object|null} { contestId, index }, or null if unrecognized
+ */
+function parseProblem(ref) {
+    let contestId;
+    let index;
+    if (ref && typeof ref === 'object') {
+        contestId = Number(ref.contestId);
+        index = String(ref.index || '');
+    } else if (typeof ref === 'string') {
+        const text = ref.trim();
+        const match = /(?:contest|gym)\/(\d+)\/problem\/([A-Za-z]\d?)\/?$/.exec(text)
+            || /problemset\/problem\/(\d+)\/([A-Za-z]\d?)\/?$/.exec(text)
+            || /^(\d+)\s*[/\s-]?\s*([A-Za-z]\d?)$/.exec(text);
+        if (!match) return null;
+        contestId = Number(match[1]);
+        index = match[2];
+    } else {
+        return null;
+    }
+    index = index.toUpperCase();
+    if (!Number.isInteger(contestId) || contestId <= 0 || !/^[A-Z]\d?$/.test(index)) {
+        return null;
+    }
+    return { contestId, index };
+}
+
+/**
+ * Check a contest submitted by an admin
+ * @param {Object} input - { name, startTime, endTime, problems }
+ * @returns {Object} { contest: { name, startTime, endTime, problems } } with
+ *   times in ms, or { error }
+ */
+function validateContest(input) {
+    const name = input && typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 80) {
+        return { error: 'Name is required and must be at most 80 characters' };
+    }
+
+    const startTime = parseTime(input.startTime);
+    const endTime = parseTime(input.endTime);
+    if (startTime === null || endTime === null) {
+        return { error: 'startTime and endTime must be ISO 8601 times' };
+    }
+    if (endTime <= startTime) {
+        return { error: 'The contest must end after it starts' };
+    }
+    if (endTime - startTime > MAX_DURATION_MS) {
+        return { error: 'A contest can last at most 14 days' };
+    }
+
+    if (!Array.isArray(input.problems) || input.problems.length === 0 || input.problems.length > MAX_PROBLEMS) {
+        return { error: `A contest needs between 1 and ${MAX_PROBLEMS} problems` };
+    }
+    const problems = [];
+    for (const [i, ref] of input.problems.entries()) {
+        const problem = parseProblem(ref);
+        if (!problem) {
+            return { error: `Problem ${i + 1} is not a Codeforces problem like 1910A` };
+        }
+        if (problems.some(p => problemKey(p) === problemKey(problem))) {
+            return { error: `Problem ${problem.contestId}${problem.index} is listed twice` };
+        }
+        problems.push(problem);
+    }
+
+    return { contest: { name, startTime, endTime, problems } };
+}
+
+/**
+ * Where a contest is in its life
+ * @param {Object} contest - Contest
+ * @param {number} now - Current time in ms
+ * @returns {string} 'upcoming', 'running', 'judging' (ended, result not
+ *   frozen yet) or 'final'
+ */
+function contestStatus(contest, now = Date.now()) {
+    if (contest.finalizedAt) return 'final';
+    if (now < contest.startTime) return 'upcoming';
+    if (now < contest.endTime) return 'running';
+    return 'judging';
+}
+
+function problemLink({ contestId, index }) {
+    // Gym contests have ids from 100000 up
+    return contestId >= 100000
+        ? `https://codeforces.com/gym/${contestId}/problem/${index}`
+        : `https://codeforces.com/contest/${contestId}/problem/${index}`;
+}
+
+/**
+ * Public view of a contest
+ * @param {Object} contest - Contest
+ * @param {number} now - Current time in ms
+ * @returns {Object} { id, name, startTime, endTime, status, problems, polledAt, finalizedAt }
+ */
+function describeContest(contest, now = Date.now()) {
+    return {
+        id: contest.id,
+        name: contest.name,
+        startTime: contest.startTime,
+        endTime: contest.endTime,
+        status: contestStatus(contest, now),
+        problems: contest.problems.map((problem, i) => ({
+            label: problemLabel(i),
+            contestId: problem.contestId,
+            index: problem.index,
+            link: problemLink(problem)
+        })),
+        polledAt: contest.polledAt || null,
+        finalizedAt: contest.finalizedAt || null
+    };
+}
+
+/**
+ * Standings for a contest: the frozen result once final, otherwise
+ * computed from the submissions polled so far
+ * @param {Object} contest - Contest
+ * @param {number} now - Current time in ms
+ * @returns {Object} { contest, final, problems, rows }
+ */
+function getStandings(contest, now = Date.now()) {
+    const standings = contest.result || computeStandings(contest, contest.participants || []);
+    return {
+        contest: describeContest(contest, now),
+        final: Boolean(contest.result),
+        problems: standings.problems,
+        // Firebase drops empty arrays
+        rows: standings.rows || []
+    };
+}
+
+/**
+ * Active members with a verified Codeforces handle
+ * @param {Object} db - Database instance
+ * @returns {Promise<Array>} [{ userId, name, handle }]
+ */
+async function getEligibleMembers(db) {
+    const users = await db.getAllUsers();
+    return users
+        .filter(user => user.active !== false && isHandleVerified(user, CONTEST_PLATFORM))
+        .map(user => ({ userId: user.id, name: user.name, handle: user.handles[CONTEST_PLATFORM] }));
+}
+
+/**
+ * Fetch every eligible member's submissions to the contest problems inside
+ * its window. A member whose fetch fails keeps what was polled before.
+ * @param {Object} db - Database instance
+ * @param {Object} contest - Contest
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Object>} Updated contest
+ */
+async function pollContest(db, contest, now = Date.now()) {
+    const keys = new Set(contest.problems.map(problemKey));
+    const since = Math.floor(contest.startTime / 1000);
+    const previous = new Map((contest.participants || []).map(p => [p.userId, p]));
+
+    const participants = [];
+    for (const member of await getEligibleMembers(db)) {
+        let submissions;
+        try {
+            const all = await platforms.listSubmissions(CONTEST_PLATFORM, member.handle, since);
+            submissions = all
+                .filter(sub => keys.has(sub.problemKey) && sub.time * 1000 < contest.endTime)
+                .map(({ id, time, problemKey: key, verdict }) => ({ id, time, problemKey: key, verdict }));
+        } catch (e) {
+            console.warn(`[Contests] Could not fetch submissions for ${member.handle}:`, e.message);
+            const kept = previous.get(member.userId);
+            submissions = kept && kept.handle === member.handle ? kept.submissions || [] : [];
+        }
+        // Members only show up once they have submitted something
+        if (submissions.length > 0) {
+            participants.push({ ...member, submissions });
+        }
+    }
+
+    return db.updateContest(contest.id, { participants, polledAt: now });
+}
+
+/**
+ * Freeze a contest's standings, archive them and announce the result.
+ * Concurrent calls for one contest share one pass, and a contest that is
+ * already final is returned as stored.
+ * @param {Object} db - Database instance
+ * @param {Object} contest - Contest (polled for the last time)
+ * @returns {Promise<Object|null>} Updated contest, or null if it was deleted
+ */
+function finalizeContest(db, contest) {
+    if (!finalizing.has(contest.id)) {
+        finalizing.set(contest.id, runFinalize(db, contest).finally(() => {
+            finalizing.delete(contest.id);
+        }));
+    }
+    return finalizing.get(contest.id);
+}
+
+async function runFinalize(db, contest) {
+    const current = await db.getContest(contest.id);
+    if (!current || current.finalizedAt) {
+        return current;
+    }
+
+    const result = computeStandings(contest, contest.participants || []);
+    const snapshot = await db.saveSnapshot(SNAPSHOT_KIND, {
+        contestId: contest.id,
+        name: contest.name,
+        startTime: contest.startTime,
+        endTime: contest.endTime,
+        problems: contest.problems,
+        standings: result
+    });
+    const updated = await db.updateContest(contest.id, {
+        result,
+        resultSnapshotId: snapshot.id,
+        finalizedAt: Date.now()
+    });
+    activityLogger.logContestResult(updated, result.rows);
+    console.log(`[Contests] ${contest.name} is final (${result.rows.length} participants)`);
+    return updated;
+}
+
+/**
+ * Poll every running contest, and freeze ended ones once no submission is
+ * still being judged (or the judging grace period is over). Concurrent
+ * calls share one pass.
+ * @param {Object} db - Database instance
+ * @param {number} now - Current time in ms
+ * @returns {Promise<void>}
+ */
+function pollContests(db, now = Date.now()) {
+    if (!pollInProgress) {
+        pollInProgress = runPoll(db, now).finally(() => {
+            pollInProgress = null;
+        });
+    }
+    return pollInProgress;
+}
+
+async function runPoll(db, now) {
+    const contests = await db.listContests();
+    for (const contest of contests) {
+        const status = contestStatus(contest, now);
+        if (status !== 'running' && status !== 'judging') continue;
+
+        try {
+            const polled = await pollContest(db, contest, now);
+            if (status === 'judging') {
+                const { rows } = computeStandings(polled, polled.participants || []);
+                const pending = rows.some(row => row.results.some(r => r.pending > 0 && !r.solved));
+                if (!pending || now >= contest.endTime + JUDGING_GRACE_MS) {
+                    await finalizeContest(db, polled);
+                }
+            }
+        } catch (e) {
+            console.error(`[Contests] Polling ${contest.name} failed:`, e.message);
+        }
+    }
+}
+
+/**
+ * Poll running contests in the background
+ * @param {Object} db - Database instance
+ * @returns {Object} Interval handle
+ */
+function startPolling(db) {
+    return setInterval(() => {
+        pollContests(db).catch(e => console.error('[Contests] Poll failed:', e));
+    }, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+    SNAPSHOT_KIND,
+    parseProblem,
+    validateContest,
+    contestStatus,
+    describeContest,
+    getStandings,
+    pollContest,
+    finalizeContest,
+    pollContests,
+    startPolling
+};
@@ -10,6 +10,8 @@ const {
     calculateMemberMilestone,
     getNewlyAchievedMemberMilestone
 } = require('../utils/milestones');
+const { isHandleVerified } = require('./handleVerification');
+const platforms = require('../platforms');
 const {
     logClubMilestone,
     logMemberMilestone,
@@ -22,13 +24,43 @@ const {
  */
 let cachedClubData = null;
 let lastSyncTime = null;
+let syncInProgress = null;
 
 /**
- * Perform full sync of club data
+ * Last built member records by user id, so a failed platform fetch can
+ * fall back to the member's previous numbers
+ */
+const cachedMembers = new Map();
+
+/**
+ * Check whether demo mode is on. Demo mode (DEMO_MODE=1) replaces the real
+ * roster with sample members so the dashboard has something to show.
+ * @returns {boolean} True if demo mode is enabled
+ */
+function isDemoMode() {
+    return ['1', 'true', 'yes'].includes(String(process.env.DEMO_MODE || '').toLowerCase());
+}
+
+/**
+ * Perform full sync of club data. Concurrent calls share one sync.
  * @param {Object} db - Database instance
  * @returns {Object} Updated club data
  */
 async function performFullSync(db) {
+    if (!syncInProgress) {
+        syncInProgress = runFullSync(db).finally(() => {
+            syncInProgress = null;
+        });
+    }
+    return syncInProgress;
+}
+
+/**
+ * Run a full sync
+ * @param {Object} db - Database instance
+ * @returns {Object} Updated club data
+ */
+async function runFullSync(db) {
     try {
         console.log('[Sync] Starting full sync...');
 
@@ -46,8 +78,9 @@ async function performFullSync(db) {
         const clubStats = aggregateClubStats(validMembers);
         console.log(`[Sync] Aggregated stats: ${clubStats.totalProblemsSolved} problems`);
 
-        // 4. Get previous milestones
-        const previousMilestones = cachedClubData?.milestones || [];
+        // 4. Get previous milestones (from the last saved sync after a restart)
+        const previousData = cachedClubData || (isDemoMode() ? null : await loadClubData(db));
+        const previousMilestones = previousData?.milestones || [];
 
         // 5. Calculate new milestones
         const newMilestones = calculateClubMilestones(
@@ -73,6 +106,7 @@ async function performFullSync(db) {
             ...clubStats,
             milestones: newMilestones,
             contestStreak: 30, // TODO: Calculate from real data
+            demo: isDemoMode(),
             lastSyncTime: new Date().toISOString()
         };
 
@@ -80,8 +114,10 @@ async function performFullSync(db) {
         cachedClubData = clubData;
         lastSyncTime = Date.now();
 
-        // 10. Save to database
-        await saveClubData(db, clubData);
+        // 10. Save to database (demo numbers are never stored)
+        if (!isDemoMode()) {
+            await saveClubData(db, clubData);
+        }
 
         console.log('[Sync] Full sync completed successfully');
         return clubData;
@@ -100,71 +136,92 @@ async function performFullSync(db) {
 }
 
 /**
- * Update member data and trigger sync
+ * Get club data (from cache or database).
+ * Stale data is returned straight away while a sync refreshes it in the background,
+ * since a sync fetches every member from the platforms.
  * @param {Object} db - Database instance
- * @param {string} memberId - Member ID
- * @param {Object} updates - Member data updates
- * @returns {Object} Updated member data
+ * @param {boolean} forceRefresh - Wait for a fresh sync
+ * @returns {Object} Club data
  */
-async function updateMemberData(db, memberId, updates) {
-    try {
-        // 1. Get current member data
-        const currentMember = await getMember(db, memberId);
-        if (!currentMember) {
-            throw new Error(`Member ${memberId} not found`);
-        }
-
-        // 2. Check for milestone changes
-        const oldProblems = currentMember.problemsSolved || 0;
-        const newProblems = updates.problemsSolved !== undefined
-            ? updates.problemsSolved
-            : oldProblems;
-
-        // 3. Update member in database
-        const updatedMember = {
-            ...currentMember,
-            ...updates,
-            lastUpdated: new Date().toISOString()
-        };
+async function getClubData(db, forceRefresh = false) {
+    // Same refresh interval as the leaderboard
+    const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
+    if (forceRefresh) {
+        return await performFullSync(db);
+    }
 
-        await saveMember(db, memberId, updatedMember);
+    if (cachedClubData && lastSyncTime && (Date.now() - lastSyncTime < CACHE_TTL)) {
+        return cachedClubData;
+    }
 
-        // 4. Check for new individual milestone
-        if (newProblems !== oldProblems) {
-            const newMilestone = getNewlyAchievedMemberMilestone(oldProblems, newProblems);
-            if (newMilestone) {
-                logMemberMilestone(newMilestone.level);
-                console.log(`[Sync] Member ${memberId} reached ${newMilestone.level}`);
-            }
-        }
+    // After a restart, serve the last saved sync until the first one finishes
+    const stale = cachedClubData || (isDemoMode() ? null : await loadClubData(db));
+    if (stale) {
+        performFullSync(db).catch(console.error);
+        return stale;
+    }
 
-        // 5. Trigger club sync
-        await performFullSync(db);
+    // Nothing to show yet
+    return await performFullSync(db);
+}
 
-        return updatedMember;
+/**
+ * Correct the date a club milestone was achieved. Later syncs keep the
+ * stored date, so the correction sticks. Waits for a running sync first so
+ * the sync does not save over the correction.
+ * @param {Object} db - Database instance
+ * @param {number} threshold - Milestone threshold
+ * @param {string} date - ISO 8601 date
+ * @returns {Promise<Object|null>} { milestone } or { error }, null if there is no such milestone
+ */
+async function setMilestoneDate(db, threshold, date) {
+    if (syncInProgress) {
+        await syncInProgress.catch(() => {});
+    }
+    const clubData = cachedClubData && !cachedClubData.demo ? cachedClubData : await loadClubData(db);
+    const milestone = clubData && (clubData.milestones || []).find(m => m.threshold === threshold);
+    if (!milestone) {
+        return null;
+    }
+    if (!milestone.achieved) {
+        return { error: 'This milestone has not been achieved yet' };
+    }
 
-    } catch (error) {
-        console.error(`[Sync] Failed to update member ${memberId}:`, error);
-        throw error;
+    const updated = { ...milestone, date };
+    const next = {
+        ...clubData,
+        milestones: clubData.milestones.map(m => (m.threshold === threshold ? updated : m))
+    };
+    await saveClubData(db, next);
+    if (cachedClubData && !cachedClubData.demo) {
+        cachedClubData = next;
     }
+    return { milestone: updated };
 }
 
 /**
- * Get club data (from cache or database)
+ * Forget cached club data and members, e.g. after a backup import.
+ * The next request reloads the stored club data and resyncs.
+ */
+function clearCache() {
+    cachedClubData = null;
+    lastSyncTime = null;
+    cachedMembers.clear();
+}
+
+/**
+ * Get the members behind the club stats
  * @param {Object} db - Database instance
- * @param {boolean} forceRefresh - Force refresh from database
- * @returns {Object} Club data
+ * @returns {Array} Member records
  */
-async function getClubData(db, forceRefresh = false) {
-    // Return cached data if recent (< 5 minutes)
-    const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-    if (!forceRefresh && cachedClubData && lastSyncTime && (Date.now() - lastSyncTime < CACHE_TTL)) {
-        console.log('[Sync] Returning cached club data');
-        return cachedClubData;
+async function getMembers(db) {
+    if (isDemoMode()) {
+        return getSampleMembers();
     }
-
-    // Perform sync if cache is stale or missing
-    return await performFullSync(db);
+    if (!lastSyncTime) {
+        await performFullSync(db);
+    }
+    return [...cachedMembers.values()];
 }
 
 /**
@@ -187,70 +244,139 @@ async function getMemberDataWithMilestone(db, memberId) {
     };
 }
 
-// ========== Database Helper Functions ==========
+// ========== Member Helper Functions ==========
 
 /**
- * Fetch all members from database
+ * Build a club member record from a registered user and their platform stats.
+ * Only verified handles count, matching the leaderboard.
+ * @param {Object} user - User record
+ * @param {Object|null} previous - Last record built for this user
+ * @returns {Object} Member record
+ */
+async function buildMember(user, previous) {
+    const handles = {};
+    platforms.getPlatformIds().forEach(platform => {
+        if (isHandleVerified(user, platform)) {
+            handles[platform] = user.handles[platform];
+        }
+    });
+
+    const fetched = {};
+    const results = await platforms.fetchAllStats(handles);
+    Object.values(results).forEach(stats => {
+        if (!stats.error) {
+            fetched[stats.platform] = { solved: stats.totalProblemsSolved, rating: stats.rating };
+        }
+    });
+
+    const solvedByPlatform = {};
+    const ratings = {};
+    Object.keys(handles).forEach(platform => {
+        // Keep the last known numbers if the platform could not be reached
+        const samePrevious = previous && previous.handles[platform] === handles[platform];
+        const stats = fetched[platform] || (samePrevious ? {
+            solved: previous.solvedByPlatform[platform],
+            rating: previous.ratings[platform]
+        } : null);
+
+        if (stats) {
+            solvedByPlatform[platform] = stats.solved || 0;
+            if (stats.rating) {
+                ratings[platform] = stats.rating;
+            }
+        }
+    });
+
+    return {
+        id: user.id,
+        name: user.name,
+        role: user.role,
+        joinDate: user.createdAt ? new Date(user.createdAt).toISOString().slice(0, 10) : null,
+        handles,
+        problemsSolved: Object.values(solvedByPlatform).reduce((sum, n) => sum + n, 0),
+        solvedByPlatform,
+        ratings,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+/**
+ * Build member records for every active registered user
  * @param {Object} db - Database instance
  * @returns {Array} Array of members
  */
 async function fetchAllMembers(db) {
-    if (!db) {
-        console.warn('[Sync] No database instance, using sample data');
+    if (isDemoMode()) {
+        console.warn('[Sync] Demo mode is on, using sample members');
         return getSampleMembers();
     }
+    if (!db) {
+        throw new Error('No database instance');
+    }
 
-    try {
-        const snapshot = await db.ref('members').once('value');
-        const membersObj = snapshot.val() || {};
-        return Object.keys(membersObj).map(id => ({
-            id,
-            ...membersObj[id]
-        }));
-    } catch (error) {
-        console.error('[Sync] Failed to fetch members:', error);
-        return getSampleMembers();
+    const users = (await db.getAllUsers()).filter(u => u.active !== false);
+    const members = [];
+
+    for (const user of users) {
+        const previous = cachedMembers.get(user.id) || null;
+        const member = await buildMember(user, previous);
+
+        // Individual milestones are logged anonymously as members cross them
+        if (previous) {
+            const newMilestone = getNewlyAchievedMemberMilestone(previous.problemsSolved, member.problemsSolved);
+            if (newMilestone) {
+                logMemberMilestone(newMilestone.level);
+                console.log(`[Sync] Member ${user.id} reached ${newMilestone.level}`);
+            }
+        }
+
+        members.push(member);
     }
+
+    // Drop members who were removed or deactivated since the last sync
+    cachedMembers.clear();
+    members.forEach(m => cachedMembers.set(m.id, m));
+    return members;
 }
 
 /**
- * Get single member from database
+ * Get single member
  * @param {Object} db - Database instance
  * @param {string} memberId - Member ID
  * @returns {Object|null} Member data or null
  */
 async function getMember(db, memberId) {
-    if (!db) {
-        return getSampleMembers().find(m => m.id === memberId) || null;
+    if (isDemoMode()) {
+        return getSampleMembers().find(m => m.id === String(memberId)) || null;
     }
 
-    try {
-        const snapshot = await db.ref(`members/${memberId}`).once('value');
-        const data = snapshot.val();
-        return data ? { id: memberId, ...data } : null;
-    } catch (error) {
-        console.error(`[Sync] Failed to fetch member ${memberId}:`, error);
+    const user = await db.getUserById(Number(memberId));
+    if (!user || user.active === false) {
         return null;
     }
+
+    // Members who joined since the last sync are fetched on demand
+    if (!cachedMembers.has(user.id)) {
+        cachedMembers.set(user.id, await buildMember(user, null));
+    }
+    return cachedMembers.get(user.id);
 }
 
 /**
- * Save member to database
+ * Load the last saved club data
  * @param {Object} db - Database instance
- * @param {string} memberId - Member ID
- * @param {Object} memberData - Member data
+ * @returns {Object|null} Club data or null
  */
-async function saveMember(db, memberId, memberData) {
+async function loadClubData(db) {
     if (!db) {
-        console.warn('[Sync] No database instance, skipping save');
-        return;
+        return null;
     }
 
     try {
-        await db.ref(`members/${memberId}`).set(memberData);
+        return await db.getClubData();
     } catch (error) {
-        console.error(`[Sync] Failed to save member ${memberId}:`, error);
-        throw error;
+        console.error('[Sync] Failed to load club data:', error);
+        return null;
     }
 }
 
@@ -266,7 +392,7 @@ async function saveClubData(db, clubData) {
     }
 
     try {
-        await db.ref('clubData').set(clubData);
+        await db.saveClubData(clubData);
     } catch (error) {
         console.error('[Sync] Failed to save club data:', error);
         throw error;
@@ -274,7 +400,7 @@ async function saveClubData(db, clubData) {
 }
 
 /**
- * Get sample members for testing
+ * Get sample members for demo mode
  * @returns {Array} Sample members
  */
 function getSampleMembers() {
@@ -287,7 +413,8 @@ function getSampleMembers() {
             joinDate: '2025-09-01',
             handles: { codeforces: 'sharkie1604', leetcode: 'aryan_cf', codechef: 'aryan_cc' },
             problemsSolved: 450,
-            ratings: { codeforces: 1450, leetcode: 234, codechef: 1500 }
+            solvedByPlatform: { codeforces: 150, leetcode: 234, codechef: 66 },
+            ratings: { codeforces: 1450, codechef: 1500 }
         },
         {
             id: '2',
@@ -297,7 +424,8 @@ function getSampleMembers() {
             joinDate: '2025-09-01',
             handles: { codeforces: 'ravisharma-09', leetcode: 'ravi_lc', codechef: 'ravi_cc' },
             problemsSolved: 380,
-            ratings: { codeforces: 1380, leetcode: 189, codechef: 1420 }
+            solvedByPlatform: { codeforces: 120, leetcode: 189, codechef: 71 },
+            ratings: { codeforces: 1380, codechef: 1420 }
         },
         {
             id: '3',
@@ -307,7 +435,8 @@ function getSampleMembers() {
             joinDate: '2025-09-01',
             handles: { codeforces: 'LOKI_29', leetcode: 'ankur_lc', codechef: 'ankur_cc' },
             problemsSolved: 520,
-            ratings: { codeforces: 1520, leetcode: 267, codechef: 1580 }
+            solvedByPlatform: { codeforces: 180, leetcode: 267, codechef: 73 },
+            ratings: { codeforces: 1520, codechef: 1580 }
         },
         {
             id: '4',
@@ -317,7 +446,8 @@ function getSampleMembers() {
             joinDate: '2025-10-01',
             handles: { codeforces: 'jothin_cf', leetcode: 'jothin_lc', codechef: 'jothin_cc' },
             problemsSolved: 290,
-            ratings: { codeforces: 1290, leetcode: 156, codechef: 1350 }
+            solvedByPlatform: { codeforces: 84, leetcode: 156, codechef: 50 },
+            ratings: { codeforces: 1290, codechef: 1350 }
         },
         {
             id: '5',
@@ -326,8 +456,9 @@ function getSampleMembers() {
             role: 'member',
             joinDate: '2025-10-15',
             handles: { codeforces: 'sarah_cf', leetcode: 'sarah_lc', codechef: 'sarah_cc' },
-            problemsSolved: 198,
-            ratings: { codeforces: 1150, leetcode: 198, codechef: 1200 }
+            problemsSolved: 268,
+            solvedByPlatform: { codeforces: 48, leetcode: 198, codechef: 22 },
+            ratings: { codeforces: 1150, codechef: 1200 }
         },
         {
             id: '6',
@@ -336,16 +467,20 @@ function getSampleMembers() {
             role: 'member',
             joinDate: '2025-11-01',
             handles: { codeforces: 'david_cf', leetcode: 'david_lc', codechef: 'david_cc' },
-            problemsSolved: 223,
-            ratings: { codeforces: 1340, leetcode: 223, codechef: 1380 }
+            problemsSolved: 301,
+            solvedByPlatform: { codeforces: 57, leetcode: 223, codechef: 21 },
+            ratings: { codeforces: 1340, codechef: 1380 }
         }
     ];
 }
 
 module.exports = {
+    isDemoMode,
     performFullSync,
-    updateMemberData,
     getClubData,
+    clearCache,
+    setMilestoneDate,
+    getMembers,
     getMemberDataWithMilestone,
     getSampleMembers
 };
@@ -0,0 +1,89 @@
+/**
+ * Handle Verification Service
+ * Proves a member owns a platform handle by asking them to put a one-time
+ * code into a public profile field, then checking for it on the platform.
+ */
+
+const crypto = require('crypto');
+
+const platforms = require('../platforms');
+
+const CHALLENGE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Validate a handle's format for a platform
+ * @param {string} platform - Platform id
+ * @param {string} handle - Handle to check
+ * @returns {boolean} True if the handle looks valid
+ */
+function isValidHandle(platform, handle) {
+    const adapter = platforms.getPlatform(platform);
+    return Boolean(adapter && typeof handle === 'string' && adapter.isValidHandle(handle));
+}
+
+/**
+ * Check whether a member's handle on a platform has been verified.
+ * Accounts from before verification existed have no verifiedHandles and are trusted.
+ * @param {Object} user - User record
+ * @param {string} platform - Platform id
+ * @returns {boolean} True if the handle is set and verified
+ */
+function isHandleVerified(user, platform) {
+    const handle = user.handles && user.handles[platform];
+    if (!handle) return false;
+    if (!user.verifiedHandles) return true;
+    return String(user.verifiedHandles[platform] || '').toLowerCase() === handle.toLowerCase();
+}
+
+/**
+ * Create a verification challenge for a handle
+ * @param {string} platform - Platform id
+ * @param {string} handle - Handle being claimed
+ * @returns {Object} Challenge { handle, code, expiresAt }
+ */
+function createChallenge(platform, handle) {
+    return {
+        handle,
+        code: `tsap-${crypto.randomBytes(5).toString('hex')}`,
+        expiresAt: Date.now() + CHALLENGE_TTL_MS
+    };
+}
+
+/**
+ * Check a pending challenge against the platform
+ * @param {string} platform - Platform id
+ * @param {Object} challenge - Challenge from createChallenge
+ * @returns {Promise<Object>} { verified, handle, error }
+ */
+async function verifyChallenge(platform, challenge) {
+    const adapter = platforms.getPlatform(platform);
+    if (!adapter) {
+        return { verified: false, error: `Unsupported platform: ${platform}` };
+    }
+    if (!challenge || Date.now() >= challenge.expiresAt) {
+        return { verified: false, error: 'Verification code expired. Please request a new one.' };
+    }
+
+    try {
+        const result = await platforms.checkVerification(platform, challenge.handle, challenge.code);
+        if (!result.verified) {
+            return {
+                verified: false,
+                handle: result.handle,
+                error: `Could not find the code on ${adapter.name} profile "${challenge.handle}". Profile changes can take a few minutes to appear.`
+            };
+        }
+        return { verified: true, handle: result.handle };
+    } catch (e) {
+        console.error(`[Verify] ${platform} check failed for ${challenge.handle}:`, e.message);
+        return { verified: false, error: `Could not reach ${adapter.name}. Please try again shortly.` };
+    }
+}
+
+module.exports = {
+    CHALLENGE_TTL_MS,
+    isValidHandle,
+    isHandleVerified,
+    createChallenge,
+    verifyChallenge
+};
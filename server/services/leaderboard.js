@@ -0,0 +1,385 @@
+/**
+ * Leaderboard Service
+ * Builds the club leaderboard and per-member dashboards from platform stats
+ */
+
+const platforms = require('../platforms');
+const { isHandleVerified } = require('./handleVerification');
+const { WEIGHTS_SETTING, resolveWeights, scoreMember } = require('../utils/scoring');
+const { buildTimeline, summarizeWindow } = require('../utils/timeWindows');
+const { saveLeaderboardSnapshot } = require('./leaderboardHistory');
+
+// How long a built leaderboard is served before a rebuild is triggered
+const LEADERBOARD_MAX_AGE_MS = 15 * 60 * 1000;
+// Members fetched at once (LEADERBOARD_CONCURRENCY, default 4). The shared
+// HTTP client still paces requests per platform.
+const REFRESH_CONCURRENCY = Math.max(1, Number.parseInt(process.env.LEADERBOARD_CONCURRENCY, 10) || 4);
+
+/**
+ * Last built leaderboard
+ */
+const leaderboardCache = {
+    data: [],
+    lastUpdated: 0,
+    weights: resolveWeights(null),
+    // Per member: { user, handles, stats, timeline, row, refreshedAt }. stats
+    // holds the last good result per platform, so a failed fetch does not
+    // wipe a member's row.
+    members: new Map()
+};
+let updateInProgress = null;
+// { total, done, failed, fetching: Map of user id to name } while a rebuild runs
+let progress = null;
+
+/**
+ * Get a member's verified handles. Only these count, so nobody can climb
+ * the board on a stranger's account.
+ * @param {Object} user - User record
+ * @returns {Object} Map of platform id to handle
+ */
+function getVerifiedHandles(user) {
+    const handles = {};
+    for (const id of platforms.getPlatformIds()) {
+        if (isHandleVerified(user, id)) {
+            handles[id] = user.handles[id];
+        }
+    }
+    return handles;
+}
+
+/**
+ * Build one leaderboard row from a member's platform stats
+ * @param {Object} user - User record
+ * @param {Object} handles - Verified handles
+ * @param {Object} stats - Result of platforms.fetchAllStats
+ * @param {Object} weights - Scoring weights
+ * @returns {Object} Leaderboard row
+ */
+function buildRow(user, handles, stats, weights) {
+    const byPlatform = {};
+    for (const [id, entry] of Object.entries(stats)) {
+        byPlatform[id] = entry.error
+            ? { handle: entry.handle, totalSolved: 0, rating: 0, maxRating: 0, error: 'Failed to fetch' }
+            : {
+                handle: entry.handle,
+                totalSolved: entry.totalProblemsSolved || 0,
+                rating: entry.rating || 0,
+                maxRating: entry.maxRating || 0,
+                contests: Array.isArray(entry.ratingHistory) ? entry.ratingHistory.length : 0,
+                fetchedAt: entry.fetchedAt,
+                stale: entry.stale,
+                ...(entry.lastError ? { lastError: entry.lastError } : {})
+            };
+    }
+
+    const { score, breakdown } = scoreMember(stats, weights);
+    const failed = Object.values(byPlatform).every(p => p.error);
+    return {
+        userId: user.id,
+        name: user.name,
+        handle: Object.values(handles)[0],
+        score,
+        breakdown,
+        totalSolved: Object.values(byPlatform).reduce((sum, p) => sum + p.totalSolved, 0),
+        platforms: byPlatform,
+        // Some numbers are carried over from an earlier fetch that succeeded
+        stale: Object.values(byPlatform).some(p => p.lastError),
+        ...(failed ? { error: 'Failed to fetch' } : {})
+    };
+}
+
+/**
+ * Re-sort member rows into the published board
+ */
+function publish() {
+    leaderboardCache.data = [...leaderboardCache.members.values()]
+        .map(member => member.row)
+        .sort((a, b) => {
+            // Sort by composite score (desc) then totalSolved (desc)
+            if (b.score !== a.score) return b.score - a.score;
+            return b.totalSolved - a.totalSolved;
+        });
+}
+
+/**
+ * Fetch one member's stats and update their row. A platform that fails
+ * keeps its last good stats (marked stale) as long as the handle is unchanged.
+ * @param {Object} user - User record
+ * @param {Object} handles - Verified handles
+ * @param {Object} weights - Scoring weights
+ * @param {Object} options - Passed to platforms.fetchAllStats
+ * @returns {Promise<Object>} Leaderboard row
+ */
+async function refreshMemberRow(user, handles, weights, options = {}) {
+    const fetched = await platforms.fetchAllStats(handles, options);
+    const previous = leaderboardCache.members.get(user.id);
+
+    const stats = {};
+    const timeline = {};
+    for (const [id, entry] of Object.entries(fetched)) {
+        const kept = previous && previous.stats[id];
+        stats[id] = entry.error && kept && !kept.error && kept.handle === entry.handle
+            ? { ...kept, stale: true, lastError: entry.error }
+            : entry;
+        if (!stats[id].error) timeline[id] = buildTimeline(stats[id]);
+    }
+
+    const row = buildRow(user, handles, stats, weights);
+    leaderboardCache.members.set(user.id, {
+        user: { id: user.id, name: user.name },
+        handles,
+        stats,
+        timeline,
+        row,
+        refreshedAt: Date.now()
+    });
+    return row;
+}
+
+/**
+ * Run a worker over items, at most limit at a time
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item) => void
+ */
+async function forEachConcurrently(items, limit, worker) {
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+}
+
+/**
+ * Rebuild the leaderboard. Concurrent calls share one rebuild.
+ * @param {Object} db - Database instance
+ * @returns {Promise<Array>} Leaderboard rows, best first
+ */
+function updateGlobalLeaderboard(db) {
+    if (!updateInProgress) {
+        updateInProgress = runLeaderboardUpdate(db).finally(() => {
+            updateInProgress = null;
+            progress = null;
+        });
+    }
+    return updateInProgress;
+}
+
+/**
+ * Fetch every active member's stats, rank them and store a snapshot. Rows
+ * are published as each member completes, and members refreshed longest ago
+ * go first. Cached stats are only used while within their TTL; stale ones
+ * are refetched before the row is built, so the board is never a cycle
+ * behind. With STATS_CACHE_PERSIST set, members fetched before a restart
+ * come straight from the stats cache, so an interrupted rebuild resumes
+ * rather than starting over.
+ * @param {Object} db - Database instance
+ * @returns {Promise<Array>} Leaderboard rows, best first
+ */
+async function runLeaderboardUpdate(db) {
+    console.log('[Leaderboard] Starting update...');
+    const weights = resolveWeights(await db.getSetting(WEIGHTS_SETTING));
+    const allUsers = await db.getAllUsers();
+    const { members } = leaderboardCache;
+
+    const queue = [];
+    for (const user of allUsers) {
+        const handles = user.active === false ? {} : getVerifiedHandles(user);
+        if (Object.keys(handles).length > 0) queue.push({ user, handles });
+    }
+    const refreshedAt = ({ user }) => (members.has(user.id) ? members.get(user.id).refreshedAt : 0);
+    queue.sort((a, b) => refreshedAt(a) - refreshedAt(b));
+
+    // Drop members who left or lost their verified handles, and rescore the
+    // rest right away in case the weights changed
+    const eligible = new Set(queue.map(({ user }) => user.id));
+    for (const [userId, member] of members) {
+        if (!eligible.has(userId)) {
+            members.delete(userId);
+        } else {
+            member.row = buildRow(member.user, member.handles, member.stats, weights);
+        }
+    }
+    leaderboardCache.weights = weights;
+    publish();
+
+    progress = { total: queue.length, done: 0, failed: 0, fetching: new Map() };
+    await forEachConcurrently(queue, REFRESH_CONCURRENCY, async ({ user, handles }) => {
+        progress.fetching.set(user.id, user.name);
+        console.log(`[Leaderboard] Fetching for ${user.name} (${Object.values(handles).join(', ')})...`);
+        try {
+            const row = await refreshMemberRow(user, handles, weights, { waitForStale: true });
+            if (row.error || row.stale) progress.failed++;
+        } catch (e) {
+            progress.failed++;
+            console.error(`[Leaderboard] Could not refresh ${user.name}:`, e.message);
+        } finally {
+            progress.fetching.delete(user.id);
+            progress.done++;
+            publish();
+        }
+    });
+
+    const results = leaderboardCache.data;
+    leaderboardCache.lastUpdated = Date.now();
+
+    if (results.length > 0) {
+        await saveLeaderboardSnapshot(db, results).catch(e => {
+            console.error('[Leaderboard] Could not save snapshot:', e.message);
+        });
+    }
+    console.log(`[Leaderboard] Update complete (${progress.failed} of ${progress.total} members with fetch errors).`);
+    return results;
+}
+
+/**
+ * Refresh one member's row now, e.g. after an admin changes their handles.
+ * Members without verified handles (or deactivated) are taken off the board.
+ * @param {Object} user - User record
+ * @param {Object} options - { fresh } passed to platforms.fetchAllStats
+ *   (default true, bypassing cached stats)
+ * @returns {Promise<Object|null>} { row, rank }, or null if not ranked
+ */
+async function refreshMember(user, { fresh = true } = {}) {
+    const handles = user.active === false ? {} : getVerifiedHandles(user);
+    if (Object.keys(handles).length === 0) {
+        leaderboardCache.members.delete(user.id);
+        publish();
+        return null;
+    }
+
+    const row = await refreshMemberRow(user, handles, leaderboardCache.weights, { fresh });
+    publish();
+    console.log(`[Leaderboard] Refreshed ${user.name}`);
+    return { row, rank: leaderboardCache.data.indexOf(row) + 1 };
+}
+
+/**
+ * Progress of the running rebuild
+ * @returns {Object|null} { done, total, failed, fetching: [member names] }, or null when idle
+ */
+function describeProgress() {
+    if (!progress) {
+        return null;
+    }
+    return { done: progress.done, total: progress.total, failed: progress.failed, fetching: [...progress.fetching.values()] };
+}
+
+/**
+ * Get the last built leaderboard
+ * @returns {Object} { updatedAt, isUpdating, progress, weights, data }
+ */
+function getLeaderboard() {
+    return {
+        updatedAt: leaderboardCache.lastUpdated,
+        isUpdating: Boolean(updateInProgress),
+        progress: describeProgress(),
+        weights: leaderboardCache.weights,
+        data: leaderboardCache.data
+    };
+}
+
+/**
+ * Rank members by problems solved, then rating gained, inside a time window
+ * @param {Object} window - { id, label, from, to } from resolveWindow
+ * @returns {Object} { updatedAt, isUpdating, progress, window, data }
+ */
+function getWindowedLeaderboard(window) {
+    const data = leaderboardCache.data.map(row => {
+        const member = leaderboardCache.members.get(row.userId);
+        const timeline = member ? member.timeline : {};
+        const byPlatform = {};
+        for (const [id, entry] of Object.entries(timeline)) {
+            byPlatform[id] = { handle: row.platforms[id].handle, ...summarizeWindow(entry, window) };
+        }
+        const entries = Object.values(byPlatform);
+        return {
+            userId: row.userId,
+            name: row.name,
+            handle: row.handle,
+            solved: entries.reduce((sum, p) => sum + p.solved, 0),
+            ratingGained: entries.reduce((sum, p) => sum + p.ratingGained, 0),
+            contests: entries.reduce((sum, p) => sum + p.contests, 0),
+            platforms: byPlatform,
+            ...(row.error ? { error: row.error } : {})
+        };
+    });
+
+    data.sort((a, b) => {
+        if (b.solved !== a.solved) return b.solved - a.solved;
+        return b.ratingGained - a.ratingGained;
+    });
+
+    return {
+        updatedAt: leaderboardCache.lastUpdated,
+        isUpdating: Boolean(updateInProgress),
+        progress: describeProgress(),
+        window: {
+            id: window.id,
+            label: window.label,
+            from: new Date(window.from).toISOString(),
+            to: new Date(window.to).toISOString()
+        },
+        data
+    };
+}
+
+/**
+ * Check whether the leaderboard is old enough to rebuild
+ * @returns {boolean} True if a rebuild is due
+ */
+function isLeaderboardStale() {
+    return Date.now() - leaderboardCache.lastUpdated > LEADERBOARD_MAX_AGE_MS;
+}
+
+/**
+ * Combine a member's stats across platforms for their dashboard
+ * @param {Object} handles - Map of platform id to handle
+ * @returns {Promise<Object>} { totalProblemsSolved, aggregatedAccuracy,
+ *   platforms, leaderboardByProblemsSolved }
+ */
+async function aggregateStatsForHandles(handles) {
+    const stats = await platforms.fetchAllStats(handles || {});
+    const results = Object.values(stats);
+    const fetched = results.filter(p => !p.error);
+
+    const totalProblemsSolved = fetched.reduce((sum, p) => {
+        return sum + (p.totalProblemsSolved || 0);
+    }, 0);
+
+    // Only platforms that expose submissions report an accuracy
+    let totalAccepted = 0;
+    let totalSubmissions = 0;
+    for (const p of fetched) {
+        if (p.submissionAccuracy !== null && p.submissionAccuracy !== undefined) {
+            totalAccepted += p.submissionAccuracy * (p.totalProblemsSolved || 0);
+            totalSubmissions += p.totalProblemsSolved || 0;
+        }
+    }
+    const aggregatedAccuracy = totalSubmissions > 0 ? totalAccepted / totalSubmissions : null;
+
+    const leaderboardEntry = fetched.map(p => ({
+        platform: p.platform,
+        handle: p.handle,
+        totalProblemsSolved: p.totalProblemsSolved || 0
+    })).sort((a, b) => b.totalProblemsSolved - a.totalProblemsSolved);
+
+    return {
+        totalProblemsSolved,
+        aggregatedAccuracy,
+        platforms: results,
+        leaderboardByProblemsSolved: leaderboardEntry
+    };
+}
+
+module.exports = {
+    getVerifiedHandles,
+    updateGlobalLeaderboard,
+    refreshMember,
+    getLeaderboard,
+    getWindowedLeaderboard,
+    isLeaderboardStale,
+    aggregateStatsForHandles
+};
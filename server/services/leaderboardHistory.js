@@ -0,0 +1,152 @@
+/**
+ * Leaderboard History
+ * Every completed leaderboard build is stored as a snapshot (rank, score,
+ * rating and solved count per member) so standings can be compared over
+ * time. Old snapshots are thinned: all are kept for two days, then the last
+ * of each day for 60 days, then the last of each week.
+ */
+
+const { toDateKey } = require('../platforms/helpers');
+
+const SNAPSHOT_KIND = 'leaderboard';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEEP_ALL_MS = 2 * DAY_MS;
+const KEEP_DAILY_MS = 60 * DAY_MS;
+
+/**
+ * Store a leaderboard build and thin out old snapshots
+ * @param {Object} db - Database instance
+ * @param {Array} rows - Leaderboard rows, best first
+ * @returns {Promise<Object>} Saved snapshot
+ */
+async function saveLeaderboardSnapshot(db, rows) {
+    const snapshot = await db.saveSnapshot(SNAPSHOT_KIND, {
+        entries: rows.map((row, index) => ({
+            userId: row.userId,
+            name: row.name,
+            rank: index + 1,
+            score: row.score,
+            rating: row.breakdown ? row.breakdown.rating.rating : 0,
+            solved: row.totalSolved
+        }))
+    });
+
+    const snapshots = await db.listSnapshots(SNAPSHOT_KIND);
+    const prune = selectSnapshotsToPrune(snapshots, snapshot.createdAt);
+    for (const id of prune) {
+        await db.deleteSnapshot(id);
+    }
+    if (prune.length > 0) {
+        console.log(`[Leaderboard] Thinned ${prune.length} old snapshots`);
+    }
+    return snapshot;
+}
+
+/**
+ * Monday of the UTC week a time falls in
+ * @param {number} time - Time in ms
+ * @returns {string} YYYY-MM-DD
+ */
+function weekKey(time) {
+    const d = new Date(time);
+    const sinceMonday = (d.getUTCDay() + 6) % 7;
+    return toDateKey(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - sinceMonday) / 1000);
+}
+
+/**
+ * Pick the snapshots the retention rules drop. Within each day (or week)
+ * the newest snapshot is kept.
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {number} now - Current time in ms
+ * @returns {Array} Ids to delete
+ */
+function selectSnapshotsToPrune(snapshots, now) {
+    const newestInBucket = new Map();
+    const candidates = [];
+    for (const snapshot of snapshots) {
+        const age = now - snapshot.createdAt;
+        if (age <= KEEP_ALL_MS) continue;
+        const bucket = age <= KEEP_DAILY_MS
+            ? `day:${toDateKey(snapshot.createdAt / 1000)}`
+            : `week:${weekKey(snapshot.createdAt)}`;
+        newestInBucket.set(bucket, snapshot.id);
+        candidates.push(snapshot.id);
+    }
+    const keep = new Set(newestInBucket.values());
+    return candidates.filter(id => !keep.has(id));
+}
+
+/**
+ * Find the snapshot to compare the current standings with
+ * @param {Array} snapshots - Snapshots, oldest first (the newest is the current build)
+ * @param {string} compare - 'previous', a number of days like '7d', or a snapshot id
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Snapshot, or null if there is none that old
+ */
+function findComparisonSnapshot(snapshots, compare, now = Date.now()) {
+    if (compare === 'previous') {
+        return snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
+    }
+    const days = /^(\d{1,3})d$/.exec(compare);
+    if (days) {
+        const cutoff = now - Number(days[1]) * DAY_MS;
+        return snapshots.filter(s => s.createdAt <= cutoff).pop() || null;
+    }
+    return snapshots.find(s => s.id === compare) || null;
+}
+
+/**
+ * Add rank movement against an earlier snapshot to leaderboard rows
+ * @param {Array} rows - Leaderboard rows, best first
+ * @param {Object} snapshot - Earlier snapshot
+ * @returns {Array} Rows with rank, previousRank (null if new) and
+ *   rankDelta (positive means moved up)
+ */
+function applyRankDeltas(rows, snapshot) {
+    const previous = new Map(snapshot.entries.map(entry => [entry.userId, entry.rank]));
+    return rows.map((row, index) => {
+        const rank = index + 1;
+        const previousRank = previous.has(row.userId) ? previous.get(row.userId) : null;
+        return {
+            ...row,
+            rank,
+            previousRank,
+            rankDelta: previousRank === null ? null : previousRank - rank
+        };
+    });
+}
+
+/**
+ * One member's standing in every stored snapshot
+ * @param {Object} db - Database instance
+ * @param {number} userId - Member id
+ * @returns {Promise<Array>} [{ snapshotId, createdAt, rank, score, rating, solved, members }], oldest first
+ */
+async function getRankHistory(db, userId) {
+    const snapshots = await db.listSnapshots(SNAPSHOT_KIND);
+    const history = [];
+    for (const snapshot of snapshots) {
+        const entry = (snapshot.entries || []).find(e => e.userId === userId);
+        if (!entry) continue;
+        history.push({
+            snapshotId: snapshot.id,
+            createdAt: snapshot.createdAt,
+            rank: entry.rank,
+            score: entry.score,
+            rating: entry.rating,
+            solved: entry.solved,
+            members: snapshot.entries.length
+        });
+    }
+    return history;
+}
+
+module.exports = {
+    SNAPSHOT_KIND,
+    saveLeaderboardSnapshot,
+    selectSnapshotsToPrune,
+    findComparisonSnapshot,
+    applyRankDeltas,
+    getRankHistory
+};
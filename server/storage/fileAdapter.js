@@ -0,0 +1,101 @@
+/**
+ * JSON File Storage Adapter
+ * Serves reads from memory and writes the whole store to a single JSON file.
+ * Suited to a small VPS without a Firebase project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+// Coalesce bursts of writes (e.g. a login touching session + audit log) into one save
+const WRITE_DELAY_MS = 200;
+const FILE_VERSION = 1;
+
+/**
+ * Create a JSON file adapter
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file
+ * @param {Object} options.indexes - Fields to index per collection
+ * @param {number} options.writeDelayMs - Debounce for saves
+ * @returns {Object} Storage adapter with flush() and close()
+ */
+function createFileAdapter(options = {}) {
+    if (!options.file) {
+        throw new Error('File adapter needs a file path');
+    }
+
+    const file = path.resolve(options.file);
+    const writeDelayMs = options.writeDelayMs ?? WRITE_DELAY_MS;
+    let timer = null;
+    let dirty = false;
+
+    const memory = createMemoryAdapter({
+        indexes: options.indexes,
+        onChange: scheduleWrite
+    });
+
+    function scheduleWrite() {
+        dirty = true;
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            writeNow();
+        }, writeDelayMs);
+        timer.unref();
+    }
+
+    // Write to a temp file and rename so a crash mid-write never leaves a truncated store
+    function writeNow() {
+        if (!dirty) return;
+        dirty = false;
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(tmp, JSON.stringify({ version: FILE_VERSION, collections: memory.dump() }));
+            fs.renameSync(tmp, file);
+        } catch (e) {
+            dirty = true;
+            console.error(`[Storage] Failed to write ${file}:`, e.message);
+        }
+    }
+
+    function flushOnExit() {
+        writeNow();
+    }
+
+    return {
+        ...memory,
+        name: 'file',
+        file,
+
+        async init() {
+            if (fs.existsSync(file)) {
+                const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+                memory.load(parsed.collections || {});
+            }
+            process.on('exit', flushOnExit);
+        },
+
+        /**
+         * Write pending changes immediately
+         */
+        async flush() {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            writeNow();
+        },
+
+        /**
+         * Flush and stop listening for process exit
+         */
+        async close() {
+            await this.flush();
+            process.removeListener('exit', flushOnExit);
+        }
+    };
+}
+
+module.exports = { createFileAdapter };
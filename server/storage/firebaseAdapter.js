@@ -0,0 +1,109 @@
+/**
+ * Firebase Storage Adapter
+ * Stores each collection under a top-level Realtime Database path.
+ *
+ * Writes are mirrored into memory, and reads fall back to the mirror when
+ * Firebase errors, so a flaky connection degrades instead of breaking sign-in.
+ * Indexed lookups use orderByChild().equalTo(); add matching ".indexOn" rules
+ * (see README) or RTDB will filter on the client and log a warning.
+ */
+
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+/**
+ * RTDB returns objects with numeric keys as sparse arrays, and drops nulls
+ * @param {*} val - Snapshot value
+ * @returns {Array} Records
+ */
+function toRecords(val) {
+    if (!val) return [];
+    return Object.values(val).filter(r => r !== null && r !== undefined);
+}
+
+/**
+ * Create a Firebase RTDB adapter
+ * @param {Object} options
+ * @param {Object} options.database - admin.database() instance
+ * @param {Object} options.indexes - Fields to index per collection (used by the mirror)
+ * @returns {Object} Storage adapter
+ */
+function createFirebaseAdapter(options = {}) {
+    const database = options.database;
+    if (!database) {
+        throw new Error('Firebase adapter needs a database instance');
+    }
+    const mirror = createMemoryAdapter({ indexes: options.indexes });
+
+    function ref(collection, id) {
+        return database.ref(id === undefined ? collection : `${collection}/${id}`);
+    }
+
+    return {
+        name: 'firebase',
+
+        async init() {},
+
+        async get(collection, id) {
+            try {
+                const snap = await ref(collection, id).once('value');
+                return snap.val();
+            } catch (e) {
+                console.error('Firebase Read Error:', e);
+                return mirror.get(collection, id);
+            }
+        },
+
+        async set(collection, id, value) {
+            try {
+                await ref(collection, id).set(value);
+            } catch (e) {
+                console.error('Firebase Write Error:', e);
+            }
+            return mirror.set(collection, id, value);
+        },
+
+        async delete(collection, id) {
+            let existed = false;
+            try {
+                const snap = await ref(collection, id).once('value');
+                existed = snap.exists();
+                await ref(collection, id).remove();
+            } catch (e) {
+                console.error('Firebase Delete Error:', e);
+            }
+            const mirrored = await mirror.delete(collection, id);
+            return existed || mirrored;
+        },
+
+        async list(collection) {
+            try {
+                const snap = await ref(collection).once('value');
+                return toRecords(snap.val());
+            } catch (e) {
+                console.error('Firebase List Error:', e);
+                return mirror.list(collection);
+            }
+        },
+
+        async findBy(collection, field, value) {
+            try {
+                const snap = await ref(collection).orderByChild(field).equalTo(value).once('value');
+                return toRecords(snap.val());
+            } catch (e) {
+                console.error('Firebase Query Error:', e);
+                return mirror.findBy(collection, field, value);
+            }
+        },
+
+        async clear(collection) {
+            try {
+                await ref(collection).remove();
+            } catch (e) {
+                console.error('Firebase Delete Error:', e);
+            }
+            await mirror.clear(collection);
+        }
+    };
+}
+
+module.exports = { createFirebaseAdapter };
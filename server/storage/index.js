@@ -0,0 +1,52 @@
+/**
+ * Storage Backend Selection
+ * Picks a storage adapter from configuration:
+ *   STORAGE_BACKEND = memory | file | firebase
+ *   STORAGE_FILE    = path of the JSON file for the file backend
+ * Without STORAGE_BACKEND, Firebase is used when initialized, otherwise memory.
+ */
+
+const admin = require('firebase-admin');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createFileAdapter } = require('./fileAdapter');
+const { createFirebaseAdapter } = require('./firebaseAdapter');
+
+const BACKENDS = ['memory', 'file', 'firebase'];
+const DEFAULT_STORAGE_FILE = 'data/tsap-db.json';
+
+// Fields looked up by value; Firebase needs matching ".indexOn" rules
+const INDEXES = {
+    users: ['email'],
+    sessions: ['userId'],
+    apiTokens: ['userId'],
+    snapshots: ['kind']
+};
+
+/**
+ * Create the configured storage adapter
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Storage adapter
+ */
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || (admin.apps.length > 0 ? 'firebase' : 'memory')).toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return createMemoryAdapter({ indexes: INDEXES });
+        case 'file':
+            return createFileAdapter({ file: env.STORAGE_FILE || DEFAULT_STORAGE_FILE, indexes: INDEXES });
+        case 'firebase':
+            if (admin.apps.length === 0) {
+                throw new Error('STORAGE_BACKEND=firebase but Firebase is not initialized (set SERVICE_ACCOUNT_KEY)');
+            }
+            return createFirebaseAdapter({ database: admin.database(), indexes: INDEXES });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    INDEXES,
+    createStorage
+};
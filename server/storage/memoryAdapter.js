@@ -0,0 +1,145 @@
+/**
+ * Memory Storage Adapter
+ * Keeps every collection in process memory. Data is lost on restart.
+ *
+ * Every storage adapter exposes the same async methods:
+ *   init()                           - Prepare the backend
+ *   get(collection, id)              - Record or null
+ *   set(collection, id, value)       - Insert or replace a record
+ *   delete(collection, id)           - Remove a record, true if it existed
+ *   list(collection)                 - Every record in a collection
+ *   findBy(collection, field, value) - Records whose field equals value
+ *   clear(collection)                - Remove every record in a collection
+ */
+
+/**
+ * Create an in-memory adapter
+ * @param {Object} options
+ * @param {Object} options.indexes - Fields to index per collection, e.g. { users: ['email'] }
+ * @param {Function} options.onChange - Called after every write (used by the file adapter)
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter(options = {}) {
+    const indexes = options.indexes || {};
+    const onChange = options.onChange || (() => {});
+
+    // collection -> Map(id -> record)
+    const collections = new Map();
+    // collection -> field -> Map(value -> Set(id))
+    const indexData = new Map();
+
+    function records(collection) {
+        if (!collections.has(collection)) {
+            collections.set(collection, new Map());
+        }
+        return collections.get(collection);
+    }
+
+    function fieldIndex(collection, field) {
+        if (!indexData.has(collection)) {
+            indexData.set(collection, new Map());
+        }
+        const byField = indexData.get(collection);
+        if (!byField.has(field)) {
+            byField.set(field, new Map());
+        }
+        return byField.get(field);
+    }
+
+    function updateIndexes(collection, id, record, add) {
+        if (!record) return;
+        for (const field of indexes[collection] || []) {
+            if (record[field] === undefined) continue;
+            const index = fieldIndex(collection, field);
+            const key = record[field];
+            if (add) {
+                if (!index.has(key)) index.set(key, new Set());
+                index.get(key).add(id);
+            } else if (index.has(key)) {
+                index.get(key).delete(id);
+                if (index.get(key).size === 0) index.delete(key);
+            }
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async init() {},
+
+        async get(collection, id) {
+            const record = records(collection).get(String(id));
+            return record === undefined ? null : structuredClone(record);
+        },
+
+        async set(collection, id, value) {
+            const key = String(id);
+            const store = records(collection);
+            updateIndexes(collection, key, store.get(key), false);
+            const stored = structuredClone(value);
+            store.set(key, stored);
+            updateIndexes(collection, key, stored, true);
+            onChange();
+            return structuredClone(stored);
+        },
+
+        async delete(collection, id) {
+            const key = String(id);
+            const store = records(collection);
+            if (!store.has(key)) return false;
+            updateIndexes(collection, key, store.get(key), false);
+            store.delete(key);
+            onChange();
+            return true;
+        },
+
+        async list(collection) {
+            return [...records(collection).values()].map(r => structuredClone(r));
+        },
+
+        async findBy(collection, field, value) {
+            const store = records(collection);
+            if ((indexes[collection] || []).includes(field)) {
+                const ids = fieldIndex(collection, field).get(value);
+                return ids ? [...ids].map(id => structuredClone(store.get(id))) : [];
+            }
+            return [...store.values()].filter(r => r[field] === value).map(r => structuredClone(r));
+        },
+
+        async clear(collection) {
+            collections.delete(collection);
+            indexData.delete(collection);
+            onChange();
+        },
+
+        /**
+         * Plain-object copy of every collection, keyed by id
+         * @returns {Object} { collection: { id: record } }
+         */
+        dump() {
+            const out = {};
+            for (const [collection, store] of collections) {
+                out[collection] = Object.fromEntries(store);
+            }
+            return structuredClone(out);
+        },
+
+        /**
+         * Replace all data with a dump() result, without triggering onChange
+         * @param {Object} data - { collection: { id: record } }
+         */
+        load(data) {
+            collections.clear();
+            indexData.clear();
+            for (const [collection, entries] of Object.entries(data || {})) {
+                const store = records(collection);
+                for (const [id, record] of Object.entries(entries || {})) {
+                    store.set(id, record);
+                    updateIndexes(collection, id, record, true);
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createMemoryAdapter };
@@ -7,16 +7,31 @@ const ACTIVITY_TYPES = {
     CLUB_MILESTONE: 'club_milestone',
     MEMBER_JOIN: 'member_join',
     MEMBER_MILESTONE: 'member_milestone',
-    CONTEST_STREAK: 'contest_streak'
+    CONTEST_STREAK: 'contest_streak',
+    CONTEST_RESULT: 'contest_result'
 };
 
 const MAX_ACTIVITIES = 50; // Store last 50 activities
 const DISPLAY_LIMIT = 10; // Show last 10 by default
 
 /**
- * Activity storage (in-memory for now, will use Firebase)
+ * Activity storage. Kept in memory for fast reads and written through to
+ * the database once attachStorage() has been called.
  */
 let activities = [];
+let store = null;
+
+/**
+ * Persist new activities to the database and load previously saved ones
+ * @param {Object} db - Database instance
+ */
+async function attachStorage(db) {
+    store = db;
+    const saved = await db.listActivities();
+    if (saved.length > 0) {
+        activities = saved.slice(0, MAX_ACTIVITIES);
+    }
+}
 
 /**
  * Log a new activity event
@@ -36,10 +51,18 @@ function logActivity(type, data) {
     activities.unshift(activity);
 
     // Keep only last MAX_ACTIVITIES
-    if (activities.length > MAX_ACTIVITIES) {
+    const dropped = activities.slice(MAX_ACTIVITIES);
+    if (dropped.length > 0) {
         activities = activities.slice(0, MAX_ACTIVITIES);
     }
 
+    if (store) {
+        store.saveActivity(activity).catch(e => console.error('[Activity] Failed to save activity:', e));
+        dropped.forEach(old => {
+            store.deleteActivity(old.id).catch(e => console.error('[Activity] Failed to delete activity:', e));
+        });
+    }
+
     return activity;
 }
 
@@ -100,6 +123,25 @@ function logContestStreak(days) {
     });
 }
 
+/**
+ * Log the final result of a club contest
+ * @param {Object} contest - Contest { id, name }
+ * @param {Array} rows - Final standings, best first
+ */
+function logContestResult(contest, rows) {
+    const winners = rows.filter(row => row.rank === 1 && row.solved > 0);
+    const message = winners.length > 0
+        ? `${winners.map(w => w.name).join(' and ')} won ${contest.name} with ${winners[0].solved} solved`
+        : `${contest.name} has ended`;
+    return logActivity(ACTIVITY_TYPES.CONTEST_RESULT, {
+        message,
+        icon: 'trophy',
+        iconClass: 'achievement-icon',
+        contestId: contest.id,
+        contestName: contest.name
+    });
+}
+
 /**
  * Get recent activities
  * @param {number} limit - Number of activities to return
@@ -201,11 +243,13 @@ function initializeSampleActivities() {
 
 module.exports = {
     ACTIVITY_TYPES,
+    attachStorage,
     logActivity,
     logClubMilestone,
     logMemberJoin,
     logMemberMilestone,
     logContestStreak,
+    logContestResult,
     getRecentActivities,
     activityExists,
     clearActivities,
@@ -3,31 +3,32 @@
  * Handles aggregation of member data into club-level statistics
  */
 
+const platforms = require('../platforms');
+
+function average(values) {
+    return values.length > 0
+        ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+        : 0;
+}
+
 /**
  * Aggregate member data into club statistics
  * @param {Array} members - Array of member objects
  * @returns {Object} Aggregated club statistics
  */
 function aggregateClubStats(members) {
-    if (!Array.isArray(members) || members.length === 0) {
-        return {
-            totalMembers: 0,
-            totalProblemsSolved: 0,
-            averageRating: 0,
-            platformStats: {
-                codeforces: { count: 0, avgRating: 0 },
-                leetcode: { count: 0, avgProblems: 0 },
-                codechef: { count: 0, avgRating: 0 }
-            }
-        };
-    }
+    const adapters = platforms.listPlatforms();
+    const solved = {};
+    const ratings = {};
+    adapters.forEach(adapter => {
+        solved[adapter.id] = [];
+        ratings[adapter.id] = [];
+    });
 
     let totalProblems = 0;
-    let cfRatings = [];
-    let lcProblems = [];
-    let ccRatings = [];
+    const validMembers = Array.isArray(members) ? members : [];
 
-    members.forEach(member => {
+    validMembers.forEach(member => {
         // Skip invalid members
         if (!member || typeof member !== 'object') {
             console.warn('Invalid member data:', member);
@@ -40,41 +41,39 @@ function aggregateClubStats(members) {
         }
 
         // Aggregate platform stats
-        if (member.ratings) {
-            if (member.ratings.codeforces) {
-                cfRatings.push(member.ratings.codeforces);
-            }
-            if (member.ratings.leetcode) {
-                lcProblems.push(member.ratings.leetcode);
+        adapters.forEach(adapter => {
+            const count = member.solvedByPlatform && member.solvedByPlatform[adapter.id];
+            if (typeof count === 'number') {
+                solved[adapter.id].push(count);
             }
-            if (member.ratings.codechef) {
-                ccRatings.push(member.ratings.codechef);
+            if (adapter.capabilities.rating && member.ratings && member.ratings[adapter.id]) {
+                ratings[adapter.id].push(member.ratings[adapter.id]);
             }
-        }
+        });
     });
 
-    // Calculate averages
-    const avgCF = cfRatings.length > 0
-        ? Math.round(cfRatings.reduce((a, b) => a + b, 0) / cfRatings.length)
-        : 0;
-
-    const avgLC = lcProblems.length > 0
-        ? Math.round(lcProblems.reduce((a, b) => a + b, 0) / lcProblems.length)
-        : 0;
+    const platformStats = {};
+    adapters.forEach(adapter => {
+        const stats = {
+            count: Math.max(solved[adapter.id].length, ratings[adapter.id].length),
+            avgProblems: average(solved[adapter.id])
+        };
+        // Platforms without a comparable rating are averaged by problems solved only
+        if (adapter.capabilities.rating) {
+            stats.avgRating = average(ratings[adapter.id]);
+        }
+        platformStats[adapter.id] = stats;
+    });
 
-    const avgCC = ccRatings.length > 0
-        ? Math.round(ccRatings.reduce((a, b) => a + b, 0) / ccRatings.length)
-        : 0;
+    const ratedAverages = adapters
+        .filter(adapter => ratings[adapter.id].length > 0)
+        .map(adapter => platformStats[adapter.id].avgRating);
 
     return {
-        totalMembers: members.length,
+        totalMembers: validMembers.length,
         totalProblemsSolved: totalProblems,
-        averageRating: Math.round((avgCF + avgCC) / 2),
-        platformStats: {
-            codeforces: { count: cfRatings.length, avgRating: avgCF },
-            leetcode: { count: lcProblems.length, avgProblems: avgLC },
-            codechef: { count: ccRatings.length, avgRating: avgCC }
-        }
+        averageRating: average(ratedAverages),
+        platformStats
     };
 }
 
@@ -0,0 +1,37 @@
+/**
+ * Firebase Setup
+ * Initializes Firebase Admin from the SERVICE_ACCOUNT_KEY environment variable
+ */
+
+const admin = require('firebase-admin');
+
+const DATABASE_URL = 'https://tsap-club-default-rtdb.firebaseio.com'; // Replace with actual
+
+/**
+ * Initialize Firebase Admin if credentials are configured.
+ * Falls back gracefully so the app still starts without Firebase.
+ * @returns {boolean} True if Firebase is initialized
+ */
+function initFirebase() {
+    if (admin.apps.length > 0) {
+        return true;
+    }
+
+    try {
+        if (process.env.SERVICE_ACCOUNT_KEY) {
+            const serviceAccount = JSON.parse(process.env.SERVICE_ACCOUNT_KEY);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                databaseURL: DATABASE_URL
+            });
+            console.log('[Firebase] Initialized with Service Account');
+            return true;
+        }
+        console.log('[Firebase] No credentials found. Skipping Firebase (see STORAGE_BACKEND).');
+    } catch (e) {
+        console.warn('[Firebase] Initialization failed. Some features may not work:', e.message);
+    }
+    return false;
+}
+
+module.exports = { initFirebase };
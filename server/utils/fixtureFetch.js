@@ -0,0 +1,143 @@
+/**
+ * Platform Response Fixtures
+ * Record mode saves every outbound platform response to a fixtures directory;
+ * replay mode answers only from those files and fails loudly on a request it
+ * has not seen, so the site and tests run with no network.
+ *
+ * PLATFORM_FIXTURES=record|replay picks the mode and PLATFORM_FIXTURES_DIR
+ * the directory (default test/fixtures/recorded). Each response is one JSON
+ * file under a folder per host, named after the request path plus a hash of
+ * the method, URL and body.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'test', 'fixtures', 'recorded');
+
+/**
+ * Get the fixture mode from the environment
+ * @returns {string|null} 'record', 'replay' or null when off
+ */
+function getFixtureMode() {
+    const mode = String(process.env.PLATFORM_FIXTURES || '').toLowerCase();
+    return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+/**
+ * Get the fixtures directory from the environment
+ * @returns {string} Absolute directory path
+ */
+function getFixtureDir() {
+    return process.env.PLATFORM_FIXTURES_DIR
+        ? path.resolve(process.env.PLATFORM_FIXTURES_DIR)
+        : DEFAULT_DIR;
+}
+
+/**
+ * Describe a request the same way for recording and replaying
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {Object} { method, url, body }
+ */
+function describeRequest(url, init = {}) {
+    return {
+        method: (init.method || 'GET').toUpperCase(),
+        url: String(url),
+        body: typeof init.body === 'string' ? init.body : null
+    };
+}
+
+/**
+ * Path of the fixture file for a request
+ * @param {string} dir - Fixtures directory
+ * @param {Object} request - From describeRequest
+ * @returns {string} File path
+ */
+function fixturePath(dir, request) {
+    const parsed = new URL(request.url);
+    const hash = crypto.createHash('sha256')
+        .update(`${request.method} ${request.url}\n${request.body || ''}`)
+        .digest('hex')
+        .slice(0, 12);
+    const slug = parsed.pathname.replace(/[^A-Za-z0-9.]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'root';
+    return path.join(dir, parsed.hostname, `${slug}-${hash}.json`);
+}
+
+/**
+ * Wrap a fetch so every response is also written to the fixtures directory
+ * @param {Function} baseFetch - fetch that reaches the network
+ * @param {string} dir - Fixtures directory
+ * @returns {Function} fetch-compatible function
+ */
+function createRecordingFetch(baseFetch, dir = getFixtureDir()) {
+    return async (url, init = {}) => {
+        const request = describeRequest(url, init);
+        const response = await baseFetch(url, init);
+        const text = await response.text();
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            json = undefined;
+        }
+        const contentType = response.headers && response.headers.get
+            ? response.headers.get('content-type')
+            : null;
+        const record = {
+            request,
+            response: {
+                status: response.status,
+                contentType,
+                ...(json !== undefined ? { json } : { text })
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        const file = fixturePath(dir, request);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(record, null, 2) + '\n');
+        console.log(`[Fixtures] Recorded ${request.method} ${request.url}`);
+
+        return new Response(text, {
+            status: response.status,
+            headers: contentType ? { 'content-type': contentType } : {}
+        });
+    };
+}
+
+/**
+ * A fetch that only answers from recorded fixtures
+ * @param {string} dir - Fixtures directory
+ * @returns {Function} fetch-compatible function; rejects with code
+ *   FIXTURE_MISSING for requests that were never recorded
+ */
+function createReplayFetch(dir = getFixtureDir()) {
+    return async (url, init = {}) => {
+        const request = describeRequest(url, init);
+        const file = fixturePath(dir, request);
+        if (!fs.existsSync(file)) {
+            const error = new Error(`No recorded response for ${request.method} ${request.url} (expected ${file}); record it with PLATFORM_FIXTURES=record`);
+            error.code = 'FIXTURE_MISSING';
+            console.error(`[Fixtures] ${error.message}`);
+            throw error;
+        }
+
+        const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const body = response.json !== undefined ? JSON.stringify(response.json) : response.text;
+        return new Response(body, {
+            status: response.status,
+            headers: response.contentType ? { 'content-type': response.contentType } : {}
+        });
+    };
+}
+
+module.exports = {
+    getFixtureMode,
+    getFixtureDir,
+    fixturePath,
+    createRecordingFetch,
+    createReplayFetch
+};
@@ -0,0 +1,334 @@
+/**
+ * Outbound HTTP Client
+ * Every request to a judge goes through here. Per host it applies a token
+ * bucket rate limit, a request timeout, retries with jittered exponential
+ * back-off on 429/5xx/network errors, and a circuit breaker that fails fast
+ * while the host is down. Counters per host can be read with getStats().
+ */
+
+const { getFixtureMode, createRecordingFetch, createReplayFetch } = require('./fixtureFetch');
+
+const nodeFetch = (...args) => import('node-fetch').then(m => m.default(...args));
+
+/**
+ * Per-host limits. Codeforces and AtCoder Problems publish theirs; the
+ * others are conservative guesses for unauthenticated scraping.
+ * capacity is the burst size, ratePerSec the sustained request rate.
+ */
+const HOST_LIMITS = {
+    // "at most 1 time per two seconds" (codeforces.com/apiHelp)
+    'codeforces.com': { capacity: 1, ratePerSec: 0.5 },
+    // "at least 1 second interval" (AtCoder Problems API docs)
+    'kenkoooo.com': { capacity: 1, ratePerSec: 1 },
+    'atcoder.jp': { capacity: 2, ratePerSec: 1 },
+    'leetcode.com': { capacity: 3, ratePerSec: 1, timeoutMs: 15000 },
+    'www.codechef.com': { capacity: 2, ratePerSec: 1 },
+    'codechef.com': { capacity: 2, ratePerSec: 1 }
+};
+
+const DEFAULTS = {
+    capacity: 5,
+    ratePerSec: 5,
+    timeoutMs: 10000,
+    // A request is refused instead of queued once it would wait longer than
+    // maxQueueMs for a token and more than maxQueued requests are ahead of it.
+    // maxQueued leaves room for everything that can hit one host at once: a
+    // leaderboard refresh (LEADERBOARD_CONCURRENCY members, up to three
+    // requests each, plus retries), a club sync and the contest poller. On a
+    // slow host like Codeforces (one request per two seconds) that queue
+    // takes a couple of minutes to drain, well past maxQueueMs.
+    maxQueueMs: 30000,
+    maxQueued: 64,
+    retries: 2,
+    backoffBaseMs: 500,
+    backoffMaxMs: 8000,
+    // Consecutive failed requests that open the breaker, and how long it stays open
+    failureThreshold: 5,
+    cooldownMs: 30000
+};
+
+/**
+ * Make an error with a code callers can check
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function httpError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Response methods that read the body, and so run under the request timeout
+const BODY_READERS = ['json', 'text', 'arrayBuffer', 'blob'];
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Create an HTTP client
+ * @param {Object} options - Overrides: fetch, hosts (per-host limits), any of
+ *   DEFAULTS, and now/sleep/random for tests
+ * @returns {Object} { fetch, getStats, reset }
+ */
+function createHttpClient(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const hostLimits = options.hosts || HOST_LIMITS;
+    const baseFetch = options.fetch || nodeFetch;
+    const now = options.now || Date.now;
+    const sleep = options.sleep || (ms => new Promise(r => setTimeout(r, ms)));
+    const random = options.random || Math.random;
+
+    const hosts = new Map();
+
+    function getHost(name) {
+        if (!hosts.has(name)) {
+            const limits = { ...config, ...(hostLimits[name] || {}) };
+            hosts.set(name, {
+                limits,
+                tokens: limits.capacity,
+                refilledAt: now(),
+                breaker: { state: 'closed', failures: 0, openedAt: null },
+                counters: {
+                    requests: 0,
+                    successes: 0,
+                    failures: 0,
+                    retries: 0,
+                    timeouts: 0,
+                    rateLimited: 0,
+                    shortCircuited: 0,
+                    queueRejected: 0,
+                    throttledMs: 0
+                }
+            });
+        }
+        return hosts.get(name);
+    }
+
+    /**
+     * Take a token, waiting for one if the bucket is empty. Tokens can go
+     * negative, which queues concurrent callers in order.
+     */
+    async function acquire(host) {
+        const { capacity, ratePerSec, maxQueueMs, maxQueued } = host.limits;
+        const t = now();
+        host.tokens = Math.min(capacity, host.tokens + ((t - host.refilledAt) / 1000) * ratePerSec);
+        host.refilledAt = t;
+
+        const waitMs = host.tokens >= 1 ? 0 : ((1 - host.tokens) / ratePerSec) * 1000;
+        // Tokens below 1 are requests already waiting ahead of this one
+        if (waitMs > maxQueueMs && 1 - host.tokens > maxQueued) {
+            host.counters.queueRejected += 1;
+            throw httpError('RATE_LIMITED', 'Too many requests queued for this platform, try again shortly');
+        }
+        host.tokens -= 1;
+        if (waitMs > 0) {
+            host.counters.throttledMs += Math.round(waitMs);
+            await sleep(waitMs);
+        }
+    }
+
+    // Closed: requests flow. Open: fail fast until the cooldown passes.
+    // Half-open: one trial request decides whether to close or reopen.
+    function checkBreaker(host, name) {
+        const { breaker } = host;
+        if (breaker.state === 'open') {
+            if (now() - breaker.openedAt < host.limits.cooldownMs) {
+                host.counters.shortCircuited += 1;
+                throw httpError('CIRCUIT_OPEN', `${name} is unavailable, not retrying until it recovers`);
+            }
+            breaker.state = 'half-open';
+            return;
+        }
+        if (breaker.state === 'half-open') {
+            host.counters.shortCircuited += 1;
+            throw httpError('CIRCUIT_OPEN', `${name} is unavailable, not retrying until it recovers`);
+        }
+    }
+
+    function recordResult(host, name, ok) {
+        const { breaker } = host;
+        if (ok) {
+            host.counters.successes += 1;
+            breaker.state = 'closed';
+            breaker.failures = 0;
+            return;
+        }
+        host.counters.failures += 1;
+        breaker.failures += 1;
+        if (breaker.state === 'half-open' || breaker.failures >= host.limits.failureThreshold) {
+            if (breaker.state !== 'open') {
+                console.warn(`[HTTP] Circuit opened for ${name} after ${breaker.failures} failures`);
+            }
+            breaker.state = 'open';
+            breaker.openedAt = now();
+        }
+    }
+
+    function backoffMs(host, attempt, response) {
+        const retryAfter = response && response.headers && response.headers.get
+            ? Number(response.headers.get('retry-after'))
+            : NaN;
+        if (Number.isFinite(retryAfter) && retryAfter > 0) {
+            return Math.min(retryAfter * 1000, host.limits.backoffMaxMs);
+        }
+        // Full jitter: anywhere up to the exponential ceiling
+        const ceiling = Math.min(host.limits.backoffBaseMs * 2 ** attempt, host.limits.backoffMaxMs);
+        return Math.round(random() * ceiling);
+    }
+
+    // The timeout covers reading the body too, since a judge can stall after
+    // sending headers. Body readers clear the timer once they settle.
+    async function attempt(host, url, init) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), host.limits.timeoutMs);
+        let timedOut = false;
+        const timeoutError = () => {
+            if (!timedOut) {
+                timedOut = true;
+                host.counters.timeouts += 1;
+            }
+            return httpError('TIMEOUT', `Request to ${new URL(url).hostname} timed out after ${host.limits.timeoutMs}ms`);
+        };
+
+        let response;
+        try {
+            response = await baseFetch(url, { ...init, signal: controller.signal });
+        } catch (e) {
+            clearTimeout(timer);
+            throw controller.signal.aborted ? timeoutError() : e;
+        }
+        // An unread body should not hold the process open
+        timer.unref();
+
+        for (const method of BODY_READERS) {
+            if (typeof response[method] !== 'function') continue;
+            const read = response[method].bind(response);
+            response[method] = () => new Promise((resolve, reject) => {
+                const onAbort = () => reject(timeoutError());
+                if (controller.signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                controller.signal.addEventListener('abort', onAbort, { once: true });
+                timer.ref();
+                read()
+                    .then(resolve, e => reject(controller.signal.aborted ? timeoutError() : e))
+                    .finally(() => {
+                        controller.signal.removeEventListener('abort', onAbort);
+                        clearTimeout(timer);
+                    });
+            });
+        }
+        return response;
+    }
+
+    /**
+     * fetch-compatible request. Resolves with the last response (which may be
+     * a 4xx/5xx) or rejects on network errors, timeouts, an open circuit or a
+     * full queue.
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async function fetch(url, init = {}) {
+        const name = new URL(url).hostname;
+        const host = getHost(name);
+        checkBreaker(host, name);
+
+        for (let tryNumber = 0; ; tryNumber++) {
+            try {
+                await acquire(host);
+            } catch (e) {
+                // A trial that never ran leaves the breaker open (past its cooldown) for the next caller
+                if (host.breaker.state === 'half-open') {
+                    host.breaker.state = 'open';
+                }
+                throw e;
+            }
+            host.counters.requests += 1;
+
+            let response = null;
+            let error = null;
+            try {
+                response = await attempt(host, url, init);
+            } catch (e) {
+                error = e;
+            }
+
+            if (response && response.status === 429) {
+                host.counters.rateLimited += 1;
+            }
+            const failed = error || isRetryableStatus(response.status);
+            if (!failed) {
+                recordResult(host, name, true);
+                return response;
+            }
+            if (tryNumber >= host.limits.retries || host.breaker.state === 'half-open') {
+                recordResult(host, name, false);
+                if (error) throw error;
+                return response;
+            }
+            host.counters.retries += 1;
+            await sleep(backoffMs(host, tryNumber, response));
+        }
+    }
+
+    /**
+     * Counters and breaker state per host
+     * @returns {Object} { [host]: { state, ...counters } }
+     */
+    function getStats() {
+        const stats = {};
+        for (const [name, host] of hosts) {
+            stats[name] = {
+                state: host.breaker.state,
+                consecutiveFailures: host.breaker.failures,
+                openedAt: host.breaker.openedAt,
+                ...host.counters
+            };
+        }
+        return stats;
+    }
+
+    function reset() {
+        hosts.clear();
+    }
+
+    return { fetch, getStats, reset };
+}
+
+/**
+ * Options for the shared client. In replay mode responses come from disk, so
+ * there is nothing to rate-limit, retry or trip the breaker on.
+ * @returns {Object} createHttpClient options
+ */
+function sharedClientOptions() {
+    const mode = getFixtureMode();
+    if (mode === 'replay') {
+        console.log('[HTTP] Replaying platform responses from fixtures, no network requests will be made');
+        return {
+            fetch: createReplayFetch(),
+            hosts: {},
+            capacity: 1000,
+            ratePerSec: 1000,
+            retries: 0,
+            failureThreshold: Infinity
+        };
+    }
+    if (mode === 'record') {
+        console.log('[HTTP] Recording platform responses to fixtures');
+        return { fetch: createRecordingFetch(nodeFetch) };
+    }
+    return {};
+}
+
+// The client all platform integrations share
+const httpClient = createHttpClient(sharedClientOptions());
+
+module.exports = {
+    HOST_LIMITS,
+    createHttpClient,
+    httpClient
+};
@@ -0,0 +1,128 @@
+/**
+ * ICPC Standings
+ * Ranks contest participants the ICPC way: most problems solved first, then
+ * least penalty, then earliest last solve. A solved problem costs the minutes
+ * from the contest start to its first accepted submission plus 20 minutes for
+ * every rejected attempt before it. Compilation errors and skipped submissions cost nothing, and
+ * submissions still being judged are shown as pending.
+ */
+
+const PENALTY_MINUTES = 20;
+
+const FREE_VERDICTS = ['COMPILATION_ERROR', 'SKIPPED'];
+
+/**
+ * Problem label by position: A, B, ..., Z
+ * @param {number} index - Position in the problem list
+ * @returns {string} Label
+ */
+function problemLabel(index) {
+    return String.fromCharCode(65 + index);
+}
+
+/**
+ * Key a Codeforces problem the way normalized submissions do
+ * @param {Object} problem - { contestId, index }
+ * @returns {string} e.g. "1910-A"
+ */
+function problemKey({ contestId, index }) {
+    return `${contestId}-${index}`;
+}
+
+function isPending(verdict) {
+    return !verdict || verdict === 'TESTING';
+}
+
+/**
+ * One participant's result on one problem
+ * @param {Array} submissions - Their submissions to this problem inside the window, any order
+ * @param {number} startTime - Contest start in ms
+ * @returns {Object} { solved, time (minutes, if solved), rejected, pending }
+ */
+function scoreProblem(submissions, startTime) {
+    let rejected = 0;
+    let pending = 0;
+    for (const sub of submissions.slice().sort((a, b) => a.time - b.time || a.id - b.id)) {
+        if (sub.verdict === 'OK') {
+            return { solved: true, time: Math.floor((sub.time * 1000 - startTime) / 60000), rejected, pending };
+        }
+        if (isPending(sub.verdict)) {
+            pending += 1;
+        } else if (!FREE_VERDICTS.includes(sub.verdict)) {
+            rejected += 1;
+        }
+    }
+    return { solved: false, time: null, rejected, pending };
+}
+
+/**
+ * Compute standings for a contest
+ * @param {Object} contest - { startTime, endTime (ms), problems: [{ contestId, index }] }
+ * @param {Array} participants - [{ userId, name, handle, submissions }] where
+ *   submissions are normalized Codeforces submissions ({ id, time, problemKey, verdict })
+ * @returns {Object} { problems: [{ label, key, solvedBy, attempts }], rows } with rows best
+ *   first: { rank, userId, name, handle, solved, penalty, results: [per problem] }
+ */
+function computeStandings(contest, participants) {
+    const keys = contest.problems.map(problemKey);
+    const inWindow = sub => sub.time * 1000 >= contest.startTime && sub.time * 1000 < contest.endTime;
+
+    const rows = participants.map(participant => {
+        const byProblem = new Map(keys.map(key => [key, []]));
+        for (const sub of participant.submissions || []) {
+            if (byProblem.has(sub.problemKey) && inWindow(sub)) {
+                byProblem.get(sub.problemKey).push(sub);
+            }
+        }
+
+        const results = keys.map(key => scoreProblem(byProblem.get(key), contest.startTime));
+        const solved = results.filter(r => r.solved);
+        return {
+            userId: participant.userId,
+            name: participant.name,
+            handle: participant.handle,
+            solved: solved.length,
+            penalty: solved.reduce((sum, r) => sum + r.time + r.rejected * PENALTY_MINUTES, 0),
+            lastSolveTime: solved.reduce((max, r) => Math.max(max, r.time), 0),
+            results
+        };
+    });
+
+    rows.sort((a, b) => b.solved - a.solved
+        || a.penalty - b.penalty
+        || a.lastSolveTime - b.lastSolveTime
+        || a.name.localeCompare(b.name));
+
+    // Rows tied on all three share a rank
+    rows.forEach((row, i) => {
+        const previous = rows[i - 1];
+        row.rank = previous
+            && previous.solved === row.solved
+            && previous.penalty === row.penalty
+            && previous.lastSolveTime === row.lastSolveTime
+            ? previous.rank
+            : i + 1;
+    });
+
+    const problems = keys.map((key, i) => ({
+        label: problemLabel(i),
+        key,
+        solvedBy: rows.filter(row => row.results[i].solved).length,
+        attempts: rows.reduce((sum, row) => {
+            const result = row.results[i];
+            return sum + result.rejected + (result.solved ? 1 : 0);
+        }, 0)
+    }));
+
+    return {
+        problems,
+        rows: rows.map(({ lastSolveTime, ...row }) => ({ rank: row.rank, ...row }))
+    };
+}
+
+module.exports = {
+    PENALTY_MINUTES,
+    problemLabel,
+    problemKey,
+    computeStandings
+};
@@ -0,0 +1,252 @@
+/**
+ * Leaderboard Rendering
+ * Turns the cached leaderboard into things other sites can embed: CSV/JSON
+ * exports, shields-style SVG rank badges and a minimal HTML widget. Nothing
+ * here fetches platform data.
+ */
+
+const { INDIVIDUAL_MILESTONES } = require('./milestones');
+const platforms = require('../platforms');
+
+const THEMES = {
+    light: { background: '#ffffff', text: '#111827', muted: '#6b7280', border: '#e5e7eb' },
+    dark: { background: '#111827', text: '#f9fafb', muted: '#9ca3af', border: '#374151' }
+};
+const DEFAULT_ACCENT = '#6366f1';
+const MAX_EMBED_ROWS = 100;
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Accept a hex colour from a query string, with or without the leading #
+ * @param {string} value - Colour
+ * @returns {string|null} #rrggbb / #rgb, or null if invalid
+ */
+function parseColor(value) {
+    const match = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.exec(String(value || ''));
+    return match ? `#${match[1]}` : null;
+}
+
+/**
+ * Individual milestone tier for a solved count
+ * @param {number} solved - Problems solved
+ * @returns {Object} Milestone definition (level, color, ...)
+ */
+function tierFor(solved) {
+    return INDIVIDUAL_MILESTONES.find(m => solved >= m.min && solved <= m.max) || INDIVIDUAL_MILESTONES[0];
+}
+
+/**
+ * Export column names, in order: the fixed columns, then a handle, solved
+ * and rating column per platform
+ * @returns {Array} Column names
+ */
+function exportColumns() {
+    const columns = ['rank', 'userId', 'name', 'score', 'totalSolved', 'tier', 'bestRating', 'bestRatingPlatform'];
+    for (const id of platforms.getPlatformIds()) {
+        columns.push(`${id}Handle`, `${id}Solved`, `${id}Rating`);
+    }
+    return columns;
+}
+
+/**
+ * Flatten leaderboard rows for export, one column set per platform
+ * @param {Array} rows - Leaderboard rows, best first
+ * @returns {Array} Plain objects with the same keys for every row
+ */
+function toExportRows(rows) {
+    const ids = platforms.getPlatformIds();
+    return rows.map((row, index) => {
+        const flat = {
+            rank: index + 1,
+            userId: row.userId,
+            name: row.name,
+            score: row.score,
+            totalSolved: row.totalSolved,
+            tier: tierFor(row.totalSolved).level,
+            bestRating: row.breakdown ? row.breakdown.rating.rating : 0,
+            bestRatingPlatform: row.breakdown ? row.breakdown.rating.platform : null
+        };
+        for (const id of ids) {
+            const entry = row.platforms[id];
+            flat[`${id}Handle`] = entry ? entry.handle : null;
+            flat[`${id}Solved`] = entry && !entry.error ? entry.totalSolved : null;
+            flat[`${id}Rating`] = entry && !entry.error ? entry.rating : null;
+        }
+        return flat;
+    });
+}
+
+/**
+ * Quote a CSV field. Fields that a spreadsheet would run as a formula are
+ * prefixed with a quote, since member names are user-supplied.
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render export rows as CSV with a header line, which is written even when
+ * there are no rows
+ * @param {Array} rows - From toExportRows
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+    const columns = exportColumns();
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Rough Verdana 11px advance, which is what shields-style badges are drawn with
+function textWidth(text) {
+    return Math.round([...text].reduce((sum, ch) => sum + (/[ilj.,:|!']/.test(ch) ? 3.5 : /[A-Z#mw]/.test(ch) ? 8.5 : 7), 0)) + 10;
+}
+
+// Light tier colours (Silver, Gold) need dark text to stay readable
+function textColorFor(background) {
+    const hex = background.length === 4
+        ? background.slice(1).split('').map(c => c + c).join('')
+        : background.slice(1);
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b > 160 ? '#333' : '#fff';
+}
+
+/**
+ * Render a two-part badge
+ * @param {Object} badge - { label, message, color } with color a #hex
+ * @returns {string} SVG markup
+ */
+function renderBadge({ label, message, color }) {
+    const left = textWidth(label);
+    const right = textWidth(message);
+    const width = left + right;
+    const messageFill = textColorFor(color);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">
+<title>${escapeXml(`${label}: ${message}`)}</title>
+<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${left}" height="20" fill="#555"/>
+<rect x="${left}" width="${right}" height="20" fill="${color}"/>
+<rect width="${width}" height="20" fill="url(#s)"/>
+</g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${left / 2}" y="14" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>
+<text x="${left / 2}" y="13">${escapeXml(label)}</text>
+<text x="${left + right / 2}" y="14" fill="#010101" fill-opacity=".3">${escapeXml(message)}</text>
+<text x="${left + right / 2}" y="13" fill="${messageFill}">${escapeXml(message)}</text>
+</g>
+</svg>
+`;
+}
+
+/**
+ * Badge for one member: tier colour, best rating and club rank
+ * @param {Array} rows - Leaderboard rows, best first
+ * @param {number} userId - Member id
+ * @returns {string} SVG markup ("not ranked" if the member is not on the board)
+ */
+function renderMemberBadge(rows, userId) {
+    const index = rows.findIndex(row => row.userId === userId);
+    if (index === -1) {
+        return renderBadge({ label: 'TSAP Club', message: 'not ranked', color: '#9f9f9f' });
+    }
+    const row = rows[index];
+    const tier = tierFor(row.totalSolved);
+    const rating = row.breakdown ? row.breakdown.rating.rating : 0;
+    const parts = [`#${index + 1}`, tier.level.replace(/\s*⭐$/, '')];
+    if (rating > 0) parts.push(String(rating));
+    return renderBadge({ label: 'TSAP Club', message: parts.join(' · '), color: tier.color });
+}
+
+/**
+ * Read widget options from query parameters
+ * @param {Object} query - { theme, accent, bg, limit, title }
+ * @returns {Object} { theme, accent, background, limit, title }
+ */
+function parseEmbedOptions(query) {
+    const theme = THEMES[query.theme] ? query.theme : 'light';
+    const limit = Math.min(MAX_EMBED_ROWS, Math.max(1, Number.parseInt(query.limit, 10) || 10));
+    return {
+        theme,
+        accent: parseColor(query.accent) || DEFAULT_ACCENT,
+        background: query.bg === 'transparent' ? 'transparent' : (parseColor(query.bg) || THEMES[theme].background),
+        limit,
+        title: typeof query.title === 'string' ? query.title.slice(0, 80) : 'TSAP Club Leaderboard'
+    };
+}
+
+/**
+ * Render the iframe widget: a self-contained page with no scripts
+ * @param {Object} board - { updatedAt, data } from the leaderboard cache
+ * @param {Object} options - From parseEmbedOptions
+ * @returns {string} HTML
+ */
+function renderEmbedPage(board, options) {
+    const colors = THEMES[options.theme];
+    const rows = board.data.slice(0, options.limit).map((row, index) => `
+        <tr>
+          <td class="rank">${index + 1}</td>
+          <td><span class="name">${escapeXml(row.name)}</span><span class="tier" style="color:${tierFor(row.totalSolved).color}">${escapeXml(tierFor(row.totalSolved).level)}</span></td>
+          <td class="num">${row.score}</td>
+          <td class="num">${row.totalSolved}</td>
+        </tr>`).join('');
+    const updated = board.updatedAt ? new Date(board.updatedAt).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'not yet';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(options.title)}</title>
+  <style>
+    body { margin: 0; padding: 12px; background: ${options.background}; color: ${colors.text}; font: 14px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; }
+    h1 { margin: 0 0 8px; font-size: 16px; color: ${options.accent}; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-size: 12px; font-weight: 600; color: ${colors.muted}; border-bottom: 2px solid ${options.accent}; padding: 4px 6px; }
+    td { padding: 6px; border-bottom: 1px solid ${colors.border}; }
+    .rank { width: 28px; color: ${colors.muted}; }
+    .name { font-weight: 600; margin-right: 6px; }
+    .tier { font-size: 12px; }
+    .num, th.num { text-align: right; }
+    footer { margin-top: 8px; font-size: 11px; color: ${colors.muted}; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(options.title)}</h1>
+  ${board.data.length === 0 ? '<p>No standings yet.</p>' : `<table>
+    <thead><tr><th>#</th><th>Member</th><th class="num">Score</th><th class="num">Solved</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`}
+  <footer>Updated ${escapeXml(updated)}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    parseColor,
+    tierFor,
+    toExportRows,
+    toCsv,
+    renderBadge,
+    renderMemberBadge,
+    parseEmbedOptions,
+    renderEmbedPage
+};
@@ -0,0 +1,217 @@
+/**
+ * Login Throttle
+ * Tracks failed sign-in attempts per account and per IP, with lockout and exponential back-off.
+ * Every attempt that is let through counts as a failure until it succeeds.
+ */
+
+const LIMITS = {
+    account: {
+        maxFailures: 5,                 // Failures allowed before the first lockout
+        baseLockoutMs: 60 * 1000,       // First lockout: 1 minute
+        maxLockoutMs: 60 * 60 * 1000    // Back-off never exceeds 1 hour
+    },
+    ip: {
+        maxFailures: 20,
+        baseLockoutMs: 5 * 60 * 1000,
+        maxLockoutMs: 24 * 60 * 60 * 1000
+    }
+};
+
+// Failures are forgotten once the key has been quiet (no failures, no lockout) this long
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Attempt records keyed by "account:<email>" or "ip:<address>"
+ */
+const attempts = new Map();
+
+function accountKey(email) {
+    return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Get the record for a key, dropping it if its failures have aged out
+ * @param {string} key - Attempt key
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Attempt record
+ */
+function getRecord(key, now) {
+    const record = attempts.get(key);
+    if (!record) return null;
+
+    // Counted from the end of the last lockout too, so back-off can grow past the window
+    const quietSince = Math.max(record.lastFailureAt, record.lockedUntil || 0);
+    if (now - quietSince > FAILURE_WINDOW_MS) {
+        attempts.delete(key);
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Register a failure against a key and apply back-off once over the limit
+ * @param {string} key - Attempt key
+ * @param {Object} limits - Limits for this kind of key
+ * @param {number} now - Current time in ms
+ */
+function addFailure(key, limits, now) {
+    const record = getRecord(key, now) || { failures: 0, lastFailureAt: now, lockedUntil: null };
+    record.failures += 1;
+    record.lastFailureAt = now;
+
+    if (record.failures >= limits.maxFailures) {
+        // Each failure past the limit doubles the lockout
+        const exponent = record.failures - limits.maxFailures;
+        const duration = Math.min(limits.baseLockoutMs * Math.pow(2, exponent), limits.maxLockoutMs);
+        record.lockedUntil = now + duration;
+    }
+
+    attempts.set(key, record);
+}
+
+/**
+ * Undo one reserved attempt against a key. The lockout it may have triggered
+ * is lifted once the key is back under its limit.
+ * @param {string} key - Attempt key
+ * @param {Object} limits - Limits for this kind of key
+ * @param {number} now - Current time in ms
+ */
+function releaseFailure(key, limits, now) {
+    const record = getRecord(key, now);
+    if (!record) return;
+
+    record.failures -= 1;
+    if (record.failures <= 0) {
+        attempts.delete(key);
+    } else if (record.failures < limits.maxFailures) {
+        record.lockedUntil = null;
+    }
+}
+
+/**
+ * Check whether a login attempt is allowed and, if so, count it as a failure
+ * straight away. Counting before the password is verified means a burst of
+ * parallel guesses cannot all get in ahead of the lockout; a successful
+ * attempt gives its reservation back through recordSuccess or releaseAttempt.
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ * @returns {Object} { allowed, reason, retryAfterMs }
+ */
+function checkLogin(email, ip) {
+    const now = Date.now();
+    const checks = [
+        { reason: 'account_locked', record: email ? getRecord(accountKey(email), now) : null },
+        { reason: 'ip_locked', record: getRecord(ipKey(ip), now) }
+    ];
+
+    for (const { reason, record } of checks) {
+        if (record && record.lockedUntil && record.lockedUntil > now) {
+            return { allowed: false, reason, retryAfterMs: record.lockedUntil - now };
+        }
+    }
+
+    if (email) {
+        addFailure(accountKey(email), LIMITS.account, now);
+    }
+    addFailure(ipKey(ip), LIMITS.ip, now);
+    return { allowed: true, reason: null, retryAfterMs: 0 };
+}
+
+/**
+ * Give back the attempt reserved by checkLogin without clearing earlier
+ * failures, for attempts that proved the password but were refused anyway
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ */
+function releaseAttempt(email, ip) {
+    const now = Date.now();
+    if (email) {
+        releaseFailure(accountKey(email), LIMITS.account, now);
+    }
+    releaseFailure(ipKey(ip), LIMITS.ip, now);
+}
+
+/**
+ * Record a successful login - clears the account's failure history and
+ * gives back the IP's reserved attempt
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP
+ */
+function recordSuccess(email, ip) {
+    attempts.delete(accountKey(email));
+    releaseFailure(ipKey(ip), LIMITS.ip, Date.now());
+}
+
+/**
+ * Get lockout state for an account
+ * @param {string} email - Account email
+ * @returns {Object|null} { failures, lockedUntil } or null if clean
+ */
+function getAccountStatus(email) {
+    const record = getRecord(accountKey(email), Date.now());
+    if (!record) return null;
+    return { failures: record.failures, lockedUntil: record.lockedUntil };
+}
+
+/**
+ * Clear failures and lockout for an account
+ * @param {string} email - Account email
+ * @returns {boolean} True if there was anything to clear
+ */
+function unlockAccount(email) {
+    return attempts.delete(accountKey(email));
+}
+
+/**
+ * IPs currently locked out
+ * @returns {Array} [{ ip, failures, lockedUntil }]
+ */
+function getLockedIps() {
+    const now = Date.now();
+    const locked = [];
+    for (const key of [...attempts.keys()]) {
+        const record = getRecord(key, now);
+        if (key.startsWith('ip:') && record && record.lockedUntil > now) {
+            locked.push({ ip: key.slice(3), failures: record.failures, lockedUntil: record.lockedUntil });
+        }
+    }
+    return locked;
+}
+
+/**
+ * Clear failures and lockout for an IP, e.g. a campus NAT that many members share
+ * @param {string} ip - Client IP
+ * @returns {boolean} True if there was anything to clear
+ */
+function unlockIp(ip) {
+    return attempts.delete(ipKey(ip));
+}
+
+/**
+ * Drop records that have aged out
+ */
+function pruneAttempts() {
+    const now = Date.now();
+    for (const key of [...attempts.keys()]) {
+        getRecord(key, now);
+    }
+}
+
+setInterval(pruneAttempts, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+    LIMITS,
+    checkLogin,
+    releaseAttempt,
+    recordSuccess,
+    getAccountStatus,
+    unlockAccount,
+    getLockedIps,
+    unlockIp,
+    pruneAttempts
+};
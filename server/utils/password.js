@@ -0,0 +1,164 @@
+/**
+ * Password Utilities
+ * Salted scrypt hashing with per-user parameters and legacy SHA-256 upgrade
+ */
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Current hashing parameters. Stored alongside every hash so they can be
+// raised later without invalidating existing passwords.
+const SCRYPT_PARAMS = {
+    N: 16384,
+    r: 8,
+    p: 1,
+    keylen: 64
+};
+const SALT_BYTES = 16;
+
+/**
+ * Encode a scrypt hash as "scrypt$N$r$p$salt$hash"
+ * @param {Object} params - scrypt parameters
+ * @param {string} salt - Hex salt
+ * @param {Buffer} derived - Derived key
+ * @returns {string} Encoded hash
+ */
+function encodeHash(params, salt, derived) {
+    return ['scrypt', params.N, params.r, params.p, salt, derived.toString('hex')].join('$');
+}
+
+/**
+ * Parse a stored password hash
+ * @param {string} stored - Stored hash
+ * @returns {Object|null} Parsed hash description or null if unrecognised
+ */
+function parseHash(stored) {
+    if (typeof stored !== 'string' || !stored) {
+        return null;
+    }
+
+    // Unsalted SHA-256 hex digests from before scrypt was introduced
+    if (/^[a-f0-9]{64}$/i.test(stored)) {
+        return { algorithm: 'sha256', hash: stored.toLowerCase() };
+    }
+
+    const parts = stored.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return null;
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    return {
+        algorithm: 'scrypt',
+        params: { N: Number(N), r: Number(r), p: Number(p), keylen: hash.length / 2 },
+        salt,
+        hash
+    };
+}
+
+/**
+ * Derive a scrypt key
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex salt
+ * @param {Object} params - scrypt parameters
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, params.keylen, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            maxmem: 128 * params.N * params.r * 2
+        }, (err, derived) => err ? reject(err) : resolve(derived));
+    });
+}
+
+/**
+ * Hash a password with a fresh salt and the current parameters
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derived = await deriveKey(password, salt, SCRYPT_PARAMS);
+    return encodeHash(SCRYPT_PARAMS, salt, derived);
+}
+
+/**
+ * Synchronous variant of hashPassword, used for seeding default accounts
+ * @param {string} password - Plain text password
+ * @returns {string} Encoded hash
+ */
+function hashPasswordSync(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derived = crypto.scryptSync(password, salt, SCRYPT_PARAMS.keylen, {
+        N: SCRYPT_PARAMS.N,
+        r: SCRYPT_PARAMS.r,
+        p: SCRYPT_PARAMS.p
+    });
+    return encodeHash(SCRYPT_PARAMS, salt, derived);
+}
+
+/**
+ * Check whether a stored hash uses an outdated algorithm or parameters
+ * @param {string} stored - Stored hash
+ * @returns {boolean} True if the hash should be regenerated
+ */
+function needsRehash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed || parsed.algorithm !== 'scrypt') {
+        return true;
+    }
+    return parsed.params.N !== SCRYPT_PARAMS.N
+        || parsed.params.r !== SCRYPT_PARAMS.r
+        || parsed.params.p !== SCRYPT_PARAMS.p
+        || parsed.params.keylen !== SCRYPT_PARAMS.keylen;
+}
+
+/**
+ * Verify a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Stored hash
+ * @returns {Promise<Object>} { match, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+    const parsed = parseHash(stored);
+    if (!parsed || typeof password !== 'string') {
+        return { match: false, needsRehash: false };
+    }
+
+    let candidate;
+    if (parsed.algorithm === 'sha256') {
+        candidate = crypto.createHash('sha256').update(password).digest();
+    } else {
+        candidate = await deriveKey(password, parsed.salt, parsed.params);
+    }
+
+    const expected = Buffer.from(parsed.hash, 'hex');
+    const match = candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+
+    return { match, needsRehash: match && needsRehash(stored) };
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Candidate password
+ * @returns {string|null} Error message or null if acceptable
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    hashPasswordSync,
+    verifyPassword,
+    needsRehash,
+    validatePassword
+};
@@ -0,0 +1,90 @@
+/**
+ * Permission Utilities
+ * Named permissions and the default roles built from them
+ */
+
+// Every permission the server checks, with a short description for the admin UI
+const PERMISSIONS = {
+    'members.read': 'View member accounts and login activity',
+    'members.write': 'Create, edit, invite, unlock and remove members',
+    'sync.trigger': 'Trigger a club data sync',
+    'milestones.edit': 'Correct club milestone achievement dates',
+    'contests.manage': 'Create and run club contests',
+    'leaderboard.manage': 'Set leaderboard scoring weights',
+    'roles.manage': 'Edit role permissions',
+    'data.backup': 'Export and import club data backups'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// The admin role always holds every permission and cannot be edited,
+// so the club can never lock itself out of role management.
+const ADMIN_ROLE = 'admin';
+
+// Roles seeded into storage on first start
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        label: 'Admin',
+        permissions: ALL_PERMISSIONS
+    },
+    {
+        name: 'coordinator',
+        label: 'Coordinator',
+        permissions: ['members.read', 'members.write', 'sync.trigger', 'milestones.edit', 'contests.manage', 'leaderboard.manage']
+    },
+    {
+        name: 'mentor',
+        label: 'Mentor',
+        permissions: ['members.read', 'contests.manage']
+    },
+    {
+        name: 'member',
+        label: 'Member',
+        permissions: []
+    }
+];
+
+/**
+ * Get the effective permissions for a role definition
+ * @param {Object|null} role - Role definition from storage
+ * @returns {Array} Permission names
+ */
+function resolvePermissions(role) {
+    if (!role) {
+        return [];
+    }
+    if (role.name === ADMIN_ROLE) {
+        return ALL_PERMISSIONS.slice();
+    }
+    return (role.permissions || []).filter(p => PERMISSIONS[p]);
+}
+
+/**
+ * Check a permission list against required permissions
+ * @param {Array} granted - Permissions held
+ * @param {Array} required - Permissions needed (all must be held)
+ * @returns {boolean} True if every required permission is held
+ */
+function hasPermissions(granted, required) {
+    return required.every(p => granted.includes(p));
+}
+
+/**
+ * Validate a role name
+ * @param {string} name - Candidate role name
+ * @returns {boolean} True if usable as a storage key
+ */
+function isValidRoleName(name) {
+    return typeof name === 'string' && /^[a-z][a-z0-9_-]{1,31}$/.test(name);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ADMIN_ROLE,
+    DEFAULT_ROLES,
+    resolvePermissions,
+    hasPermissions,
+    isValidRoleName
+};
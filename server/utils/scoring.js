@@ -0,0 +1,141 @@
+/**
+ * Leaderboard Scoring
+ * Composite score across every platform a member competes on:
+ *   solved   - solved problems, weighted by difficulty tier
+ *   rating   - the member's best rating, normalized per platform to 0-1
+ *   contests - rated contests entered, on any platform
+ * Admins can change the weights; they are kept in storage as a setting.
+ */
+
+const platforms = require('../platforms');
+
+// Name of the stored setting holding the weights
+const WEIGHTS_SETTING = 'leaderboardWeights';
+
+const DEFAULT_WEIGHTS = {
+    // Points per solved problem. Problems whose difficulty the platform does
+    // not report (CodeChef, unrated problems) count as unknown.
+    solved: { easy: 1, medium: 2, hard: 4, unknown: 1 },
+    // Points for a normalized rating of 1 (the top of the platform's scale)
+    rating: 500,
+    // Points per rated contest
+    contests: 5
+};
+
+const SOLVED_TIERS = Object.keys(DEFAULT_WEIGHTS.solved);
+
+function isWeight(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 10000;
+}
+
+/**
+ * Check weights submitted by an admin
+ * @param {Object} weights - { solved: { easy, medium, hard, unknown }, rating, contests }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWeights(weights) {
+    if (!weights || typeof weights !== 'object') {
+        return 'Weights must be an object';
+    }
+    if (!weights.solved || typeof weights.solved !== 'object') {
+        return 'solved must be an object of per-difficulty weights';
+    }
+    for (const tier of SOLVED_TIERS) {
+        if (!isWeight(weights.solved[tier])) {
+            return `solved.${tier} must be a number between 0 and 10000`;
+        }
+    }
+    for (const key of ['rating', 'contests']) {
+        if (!isWeight(weights[key])) {
+            return `${key} must be a number between 0 and 10000`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fill in anything missing from stored weights with the defaults
+ * @param {Object|null} stored - Weights from storage
+ * @returns {Object} Complete weights
+ */
+function resolveWeights(stored) {
+    const weights = stored || {};
+    return {
+        solved: { ...DEFAULT_WEIGHTS.solved, ...(weights.solved || {}) },
+        rating: isWeight(weights.rating) ? weights.rating : DEFAULT_WEIGHTS.rating,
+        contests: isWeight(weights.contests) ? weights.contests : DEFAULT_WEIGHTS.contests
+    };
+}
+
+/**
+ * Map a rating onto 0-1 using the platform's scale
+ * @param {number} rating - Rating
+ * @param {Object} scale - { floor, ceiling }
+ * @returns {number} Normalized rating
+ */
+function normalizeRating(rating, { floor, ceiling }) {
+    return Math.min(1, Math.max(0, (rating - floor) / (ceiling - floor)));
+}
+
+/**
+ * Score one member from their platform stats
+ * @param {Object} stats - Map of platform id to stats (entries with error are skipped)
+ * @param {Object} weights - Complete weights (see resolveWeights)
+ * @returns {Object} { score, breakdown: { solved, rating, contests } }
+ */
+function scoreMember(stats, weights) {
+    const solved = { easy: 0, medium: 0, hard: 0, unknown: 0 };
+    let best = null;
+    let contests = 0;
+
+    for (const [id, entry] of Object.entries(stats)) {
+        if (!entry || entry.error) continue;
+
+        const total = entry.totalProblemsSolved || 0;
+        const tiers = entry.solvedByDifficulty || {};
+        let known = 0;
+        for (const tier of ['easy', 'medium', 'hard']) {
+            const count = tiers[tier] || 0;
+            solved[tier] += count;
+            known += count;
+        }
+        solved.unknown += Math.max(0, total - known);
+
+        const adapter = platforms.getPlatform(id);
+        if (adapter && adapter.ratingScale && entry.rating > 0) {
+            const normalized = normalizeRating(entry.rating, adapter.ratingScale);
+            if (!best || normalized > best.normalized) {
+                best = { platform: id, rating: entry.rating, normalized };
+            }
+        }
+
+        contests += Array.isArray(entry.ratingHistory) ? entry.ratingHistory.length : 0;
+    }
+
+    const solvedPoints = SOLVED_TIERS.reduce((sum, tier) => sum + solved[tier] * weights.solved[tier], 0);
+    const ratingPoints = best ? best.normalized * weights.rating : 0;
+    const contestPoints = contests * weights.contests;
+
+    return {
+        score: Math.round(solvedPoints + ratingPoints + contestPoints),
+        breakdown: {
+            solved: { points: Math.round(solvedPoints), ...solved },
+            rating: {
+                points: Math.round(ratingPoints),
+                platform: best ? best.platform : null,
+                rating: best ? best.rating : 0,
+                normalized: best ? Math.round(best.normalized * 1000) / 1000 : 0
+            },
+            contests: { points: Math.round(contestPoints), count: contests }
+        }
+    };
+}
+
+module.exports = {
+    WEIGHTS_SETTING,
+    DEFAULT_WEIGHTS,
+    validateWeights,
+    resolveWeights,
+    normalizeRating,
+    scoreMember
+};
@@ -0,0 +1,180 @@
+/**
+ * Leaderboard Time Windows
+ * Resolves "this week", "this month", "this semester" or a custom date range
+ * into timestamps, and summarizes a member's solves and rating changes inside
+ * one. Weeks start on Monday and all boundaries are UTC days, matching the
+ * activity calendars. Semester boundaries are a club setting.
+ */
+
+// Name of the stored setting holding the semester list
+const SEMESTERS_SETTING = 'semesters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEMESTERS = 50;
+
+/**
+ * Parse a YYYY-MM-DD day
+ * @param {string} value - Day
+ * @returns {number|null} Midnight UTC in ms, or null if invalid
+ */
+function parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const time = Date.parse(`${value}T00:00:00Z`);
+    // Date.parse rolls over impossible days like 2024-02-31
+    return Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value ? null : time;
+}
+
+function formatDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Check a semester list submitted by an admin
+ * @param {Array} semesters - [{ name, start, end }] with YYYY-MM-DD days
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSemesters(semesters) {
+    if (!Array.isArray(semesters)) {
+        return 'Semesters must be a list';
+    }
+    if (semesters.length > MAX_SEMESTERS) {
+        return `At most ${MAX_SEMESTERS} semesters can be configured`;
+    }
+    for (const [i, semester] of semesters.entries()) {
+        const name = semester && typeof semester.name === 'string' ? semester.name.trim() : '';
+        if (!name || name.length > 40) {
+            return `Semester ${i + 1} needs a name of at most 40 characters`;
+        }
+        const start = parseDay(semester.start);
+        const end = parseDay(semester.end);
+        if (start === null || end === null) {
+            return `${name}: start and end must be YYYY-MM-DD dates`;
+        }
+        if (end < start) {
+            return `${name}: end must not be before start`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Semesters used until an admin configures some: January-June and
+ * July-December of the current year
+ * @param {number} now - Current time in ms
+ * @returns {Array} [{ name, start, end }]
+ */
+function defaultSemesters(now = Date.now()) {
+    const year = new Date(now).getUTCFullYear();
+    return [
+        { name: `Spring ${year}`, start: `${year}-01-01`, end: `${year}-06-30` },
+        { name: `Fall ${year}`, start: `${year}-07-01`, end: `${year}-12-31` }
+    ];
+}
+
+/**
+ * The semester containing now, or else the latest one that has started
+ * @param {Array} semesters - [{ name, start, end }]
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Semester
+ */
+function currentSemester(semesters, now = Date.now()) {
+    const started = semesters
+        .map(s => ({ ...s, from: parseDay(s.start), to: parseDay(s.end) + DAY_MS - 1 }))
+        .filter(s => s.from !== null && s.from <= now)
+        .sort((a, b) => b.from - a.from);
+    return started.find(s => s.to >= now) || started[0] || null;
+}
+
+/**
+ * Turn leaderboard query parameters into a time window
+ * @param {Object} query - { window: 'week'|'month'|'semester' } or { from, to } days
+ * @param {Array} semesters - Configured semesters (empty for the defaults)
+ * @param {number} now - Current time in ms
+ * @returns {Object} { window: { id, label, from, to } } with ms bounds, or { error }
+ */
+function resolveWindow(query, semesters, now = Date.now()) {
+    if (query.from || query.to) {
+        const from = parseDay(query.from);
+        const to = parseDay(query.to);
+        if (from === null || to === null) {
+            return { error: 'from and to must both be YYYY-MM-DD dates' };
+        }
+        if (to < from) {
+            return { error: 'to must not be before from' };
+        }
+        return { window: { id: 'custom', label: `${query.from} to ${query.to}`, from, to: to + DAY_MS - 1 } };
+    }
+
+    const today = parseDay(formatDay(now));
+    switch (query.window) {
+        case 'week': {
+            const sinceMonday = (new Date(today).getUTCDay() + 6) % 7;
+            return { window: { id: 'week', label: 'This week', from: today - sinceMonday * DAY_MS, to: now } };
+        }
+        case 'month': {
+            const d = new Date(today);
+            const from = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+            return { window: { id: 'month', label: 'This month', from, to: now } };
+        }
+        case 'semester': {
+            const semester = currentSemester(semesters.length > 0 ? semesters : defaultSemesters(now), now);
+            if (!semester) {
+                return { error: 'No semester has started yet' };
+            }
+            return { window: { id: 'semester', label: semester.name, from: semester.from, to: Math.min(semester.to, now) } };
+        }
+        default:
+            return { error: 'window must be week, month or semester, or pass from and to dates' };
+    }
+}
+
+/**
+ * The parts of a member's platform stats that windows are computed from
+ * @param {Object} stats - Platform stats
+ * @returns {Object} { solves: [seconds], ratings: [{ time, rating }] }
+ */
+function buildTimeline(stats) {
+    return {
+        solves: (stats.solvedProblems || [])
+            .filter(p => typeof p.solvedAt === 'number')
+            .map(p => p.solvedAt),
+        ratings: (stats.ratingHistory || [])
+            .map(r => ({ time: r.timeSeconds, rating: r.rating }))
+            .sort((a, b) => a.time - b.time)
+    };
+}
+
+/**
+ * Problems first solved and rating gained inside a window. Rating gained is
+ * measured from the last rating before the window, or from the first contest
+ * inside it for members who had none before.
+ * @param {Object} timeline - From buildTimeline
+ * @param {Object} window - { from, to } in ms
+ * @returns {Object} { solved, ratingGained, contests }
+ */
+function summarizeWindow(timeline, { from, to }) {
+    const inside = time => time * 1000 >= from && time * 1000 <= to;
+    const solved = timeline.solves.filter(inside).length;
+
+    const ratings = timeline.ratings.filter(r => inside(r.time));
+    let ratingGained = 0;
+    if (ratings.length > 0) {
+        const before = timeline.ratings.filter(r => r.time * 1000 < from).pop();
+        const baseline = before ? before.rating : ratings[0].rating;
+        ratingGained = ratings[ratings.length - 1].rating - baseline;
+    }
+    return { solved, ratingGained, contests: ratings.length };
+}
+
+module.exports = {
+    SEMESTERS_SETTING,
+    parseDay,
+    validateSemesters,
+    defaultSemesters,
+    currentSemester,
+    resolveWindow,
+    buildTimeline,
+    summarizeWindow
+};
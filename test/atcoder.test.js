@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const atcoder = require('../server/platforms/atcoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'atcoder');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+// Serves the recorded responses by URL, with optional overrides
+function fixtureFetch(overrides = {}) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        for (const [pattern, respond] of Object.entries(overrides)) {
+            if (url.includes(pattern)) return respond(url);
+        }
+        if (url.includes('/history/json')) return jsonResponse(fixture('history.json'));
+        if (url.includes('/user/submissions')) return jsonResponse(fixture('submissions.json'));
+        if (url.endsWith('/problems.json')) return jsonResponse(fixture('problems.json'));
+        if (url.endsWith('/problem-models.json')) return jsonResponse(fixture('problem-models.json'));
+        return jsonResponse({}, 404);
+    };
+    return { fetch, calls };
+}
+
+describe('AtCoder adapter', () => {
+    beforeEach(() => atcoder.clearProblemCache());
+
+    it('builds rating history from rated contests only', async () => {
+        const stats = await atcoder.fetchStats('tsap_demo', fixtureFetch());
+        assert.equal(stats.platform, 'atcoder');
+        assert.deepEqual(stats.ratingHistory.map(r => r.rating), [431, 702, 689]);
+        assert.equal(stats.ratingHistory[0].timeSeconds, Date.UTC(2023, 3, 29, 13, 40) / 1000);
+        assert.equal(stats.ratingHistory[2].contestName, 'AtCoder Beginner Contest 305');
+        assert.equal(stats.rating, 689);
+        assert.equal(stats.maxRating, 702);
+        assert.deepEqual(stats.contestFrequency, [
+            { month: '2023-04', contests: 1 },
+            { month: '2023-05', contests: 1 },
+            { month: '2023-06', contests: 1 }
+        ]);
+    });
+
+    it('counts distinct accepted problems with titles and clipped difficulty', async () => {
+        const stats = await atcoder.fetchStats('tsap_demo', fixtureFetch());
+        assert.equal(stats.totalProblemsSolved, 3);
+        assert.equal(stats.submissionAccuracy, 4 / 6);
+        assert.deepEqual(stats.solvedProblems.find(p => p.id === 'abc300_b'), {
+            id: 'abc300_b',
+            title: 'B. Same Map in the RPG World',
+            rating: 433,
+            tags: [],
+            solvedAt: 1682771580
+        });
+        // Solved again later; the first acceptance counts
+        assert.equal(stats.solvedProblems.find(p => p.id === 'abc300_a').solvedAt, 1682770894);
+        assert.equal(stats.solvedProblems.find(p => p.id === 'abc300_a').rating, 11);
+        assert.deepEqual(stats.activityCalendar, { '2023-04-29': 2, '2023-05-13': 1, '2023-05-14': 1 });
+    });
+
+    it('still returns stats when problem data is unavailable', async () => {
+        const { fetch } = fixtureFetch({ 'problem-models.json': () => jsonResponse({}, 503) });
+        const stats = await atcoder.fetchStats('tsap_demo', { fetch });
+        assert.equal(stats.totalProblemsSolved, 3);
+        assert.deepEqual(stats.solvedProblems[0], { id: 'abc300_a', title: 'abc300_a', rating: null, tags: [], solvedAt: 1682770894 });
+    });
+
+    it('pages from the last seen second without counting a submission twice', async () => {
+        const fullPage = Array.from({ length: 500 }, (_, i) => ({
+            id: i, epoch_second: 1690000000 + i, problem_id: `p${i}`, contest_id: 'x', result: 'WA'
+        }));
+        // The next page repeats the boundary second: the last submission again, and one more made in that second
+        const nextPage = [
+            fullPage[499],
+            { id: 500, epoch_second: 1690000499, problem_id: 'p499', contest_id: 'x', result: 'AC' }
+        ];
+        const { fetch, calls } = fixtureFetch({
+            'from_second=0': () => jsonResponse(fullPage),
+            'from_second=1690000499': () => jsonResponse(nextPage)
+        });
+        const stats = await atcoder.fetchStats('tsap_demo', { fetch });
+        const pages = calls.filter(url => url.includes('/user/submissions'));
+        assert.equal(pages.length, 2);
+        assert.match(pages[1], /from_second=1690000499/);
+        assert.equal(stats.totalProblemsSolved, 1);
+        assert.equal(stats.submissionAccuracy, 1 / 501);
+        assert.equal(stats.submissionsComplete, true);
+    });
+
+    it('flags a history cut short by the page limit', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        // Every page is full, one submission per second
+        const { fetch } = fixtureFetch({
+            '/user/submissions': url => {
+                const from = Number(new URL(url).searchParams.get('from_second'));
+                return jsonResponse(Array.from({ length: 500 }, (_, i) => ({
+                    id: from + i, epoch_second: from + i, problem_id: 'p', contest_id: 'x', result: 'WA'
+                })));
+            }
+        });
+        const stats = await atcoder.fetchStats('tsap_demo', { fetch });
+        assert.equal(stats.submissionsComplete, false);
+        assert.match(warn.mock.calls[0].arguments[0], /more than 9981 submissions/);
+    });
+
+    it('syncs only submissions from the stored cursor on', async () => {
+        const saved = new Map();
+        const store = {
+            getSubmissionStore: async (platform, handle) => saved.get(`${platform}:${handle}`) || null,
+            saveSubmissionStore: async record => saved.set(`${record.platform}:${record.handle}`, record)
+        };
+        const first = fixtureFetch();
+        await atcoder.fetchStats('tsap_demo', { fetch: first.fetch, store });
+        const record = saved.get('atcoder:tsap_demo');
+        assert.equal(record.submissions.length, 6);
+        assert.equal(record.cursor, record.submissions[5].epoch_second);
+
+        // The newest submission comes back again along with a new one
+        const newest = fixture('submissions.json').at(-1);
+        const second = fixtureFetch({
+            '/user/submissions': () => jsonResponse([
+                newest,
+                { ...newest, id: newest.id + 1, epoch_second: newest.epoch_second + 60, problem_id: 'abc301_c', result: 'AC' }
+            ])
+        });
+        const stats = await atcoder.fetchStats('tsap_demo', { fetch: second.fetch, store });
+        assert.match(second.calls.find(url => url.includes('/user/submissions')), new RegExp(`from_second=${record.cursor}$`));
+        assert.equal(saved.get('atcoder:tsap_demo').submissions.length, 7);
+        assert.equal(stats.totalProblemsSolved, 4);
+    });
+
+    it('rejects unknown users', async () => {
+        const { fetch } = fixtureFetch({ '/history/json': () => jsonResponse({}, 404) });
+        await assert.rejects(atcoder.fetchStats('nobody_here', { fetch }), /not found/);
+    });
+
+    it('validates usernames', () => {
+        assert.equal(atcoder.isValidHandle('tsap_demo'), true);
+        assert.equal(atcoder.isValidHandle('ab'), false);
+        assert.equal(atcoder.isValidHandle('has-dash'), false);
+    });
+});
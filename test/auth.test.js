@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIMITS } = require('../server/utils/loginThrottle');
+const { startServer } = require('./helpers/startServer');
+
+describe('login route', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('rejects an email or password that is not a string without counting an attempt', async () => {
+        for (const body of [{ email: 123, password: 'member123' }, { email: 'aarpan.lohora@tsap.club', password: ['member123'] }]) {
+            const res = await server.request(null, 'POST', '/api/auth/login', body);
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body, { error: 'Email and password must be strings' });
+        }
+
+        // More bad requests than the IP may fail, and a real login still gets through
+        for (let i = 0; i < LIMITS.ip.maxFailures; i++) {
+            await server.request(null, 'POST', '/api/auth/login', { email: { $ne: null }, password: 'x' });
+        }
+        const login = await server.request(null, 'POST', '/api/auth/login', { email: 'aarpan.lohora@tsap.club', password: 'member123' });
+        assert.equal(login.status, 200);
+    });
+
+    it('makes a member choose a new password and signs them out after an admin reset', async () => {
+        const admin = await server.signIn('ravi.sharma@tsap.club', 'admin123');
+        const member = await server.signIn('aarpan.lohora@tsap.club', 'member123');
+        assert.equal((await server.request(member, 'GET', '/api/me')).status, 200);
+
+        const reset = await server.request(admin, 'POST', '/api/admin/members/2/password', { password: 'temporary-pass-1' });
+        assert.equal(reset.status, 200);
+        assert.equal(reset.body.revoked, 1);
+
+        assert.equal((await server.request(member, 'GET', '/api/me')).status, 401);
+        const login = await server.request(null, 'POST', '/api/auth/login', { email: 'aarpan.lohora@tsap.club', password: 'temporary-pass-1' });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.mustChangePassword, true);
+    });
+});
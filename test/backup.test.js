@@ -0,0 +1,197 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Never touch a real store configured in the environment
+process.env.STORAGE_BACKEND = 'memory';
+const db = require('../db');
+const backup = require('../server/services/backup');
+
+describe('backup archives', () => {
+    before(async () => {
+        await db.init();
+        await db.saveActivity({ id: 'a1', type: 'member_join', timestamp: '2026-01-01T00:00:00.000Z', message: 'Ada joined the club' });
+        await db.saveClubData({ totalProblemsSolved: 900, milestones: [{ threshold: 800, achieved: true, date: '2026-01-02T00:00:00.000Z' }] });
+        await db.saveSnapshot('leaderboard', { rows: [] });
+        await db.saveSetting('semesters', { semesters: [{ name: 'Spring 2026', start: '2026-01-01', end: '2026-06-30' }] });
+        await db.createContest({ name: 'Warmup', startTime: 1767225600000, endTime: 1767232800000, problems: [{ contestId: 1910, index: 'A' }] });
+    });
+
+    it('exports users without secrets by default', async () => {
+        const archive = await backup.exportArchive(db);
+        assert.equal(archive.format, backup.ARCHIVE_FORMAT);
+        assert.equal(archive.schemaVersion, backup.SCHEMA_VERSION);
+        assert.equal(archive.includesSecrets, false);
+        assert.ok(archive.data.users.length > 0);
+        assert.ok(archive.data.users.every(u => u.passwordHash === undefined));
+        assert.deepEqual(backup.validateArchive(archive), []);
+    });
+
+    it('exports password hashes when asked', async () => {
+        const archive = await backup.exportArchive(db, { includeSecrets: true });
+        assert.ok(archive.data.users.every(u => typeof u.passwordHash === 'string'));
+    });
+
+    it('carries activities, milestone dates and snapshots', async () => {
+        const { data } = await backup.exportArchive(db);
+        assert.deepEqual(data.activities.map(a => a.id), ['a1']);
+        assert.equal(data.clubData.milestones[0].date, '2026-01-02T00:00:00.000Z');
+        assert.equal(data.snapshots.length, 1);
+        assert.equal(data.snapshots[0].kind, 'leaderboard');
+    });
+
+    it('carries settings and contests', async () => {
+        const { data } = await backup.exportArchive(db);
+        assert.deepEqual(Object.keys(data.settings), ['semesters']);
+        assert.equal(data.settings.semesters.semesters[0].name, 'Spring 2026');
+        assert.deepEqual(data.contests.map(c => c.name), ['Warmup']);
+    });
+
+    it('restores settings and contests with their ids', async () => {
+        const archive = await backup.exportArchive(db);
+        const contest = { ...archive.data.contests[0], id: 'c0ffee', name: 'Restored' };
+        archive.data.contests.push(contest);
+        archive.data.settings.leaderboardWeights = { solved: { easy: 1, medium: 3, hard: 6, unknown: 1 }, rating: 400, contests: 5 };
+
+        const plan = await backup.planImport(db, archive);
+        assert.deepEqual(plan.changes.contests.add.map(c => c.id), ['c0ffee']);
+        assert.deepEqual(plan.changes.settings.add.map(s => s.id), ['leaderboardWeights']);
+        assert.equal(plan.changes.settings.unchanged, 1);
+
+        assert.equal((await backup.applyImport(db, archive)).applied, true);
+        assert.equal((await db.getContest('c0ffee')).name, 'Restored');
+        assert.deepEqual(await db.getSetting('leaderboardWeights'), archive.data.settings.leaderboardWeights);
+    });
+
+    it('rejects settings this server does not know', async () => {
+        const archive = await backup.exportArchive(db);
+        archive.data.settings.theme = { dark: true };
+        assert.deepEqual(backup.validateArchive(archive), ['archive.data.settings.theme: unknown setting']);
+    });
+
+    it('refuses settings the settings routes would not save', async () => {
+        const archive = await backup.exportArchive(db);
+        archive.data.settings.leaderboardWeights = { solved: { easy: 'lots', medium: 2, hard: 4, unknown: 1 }, rating: 500, contests: 10 };
+        archive.data.settings.semesters = { semesters: 'spring' };
+
+        const result = await backup.applyImport(db, archive);
+        assert.equal(result.applied, false);
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, [
+            'archive.data.settings.leaderboardWeights: solved.easy must be a number between 0 and 10000',
+            'archive.data.settings.semesters: Semesters must be a list'
+        ]);
+        assert.equal((await db.getSetting('leaderboardWeights')).solved.easy, 1);
+    });
+
+    it('migrates a version 1 archive to one without settings or contests', async () => {
+        const archive = await backup.exportArchive(db);
+        delete archive.data.settings;
+        delete archive.data.contests;
+        archive.schemaVersion = 1;
+
+        const migrated = backup.migrateArchive(archive);
+        assert.equal(migrated.schemaVersion, backup.SCHEMA_VERSION);
+        assert.deepEqual(migrated.data.settings, {});
+        assert.deepEqual(migrated.data.contests, []);
+        assert.deepEqual(backup.validateArchive(migrated), []);
+    });
+
+    it('reports nothing to change when re-importing its own export', async () => {
+        const plan = await backup.planImport(db, await backup.exportArchive(db));
+        assert.equal(plan.valid, true);
+        assert.equal(plan.changes.users.add.length, 0);
+        assert.equal(plan.changes.users.overwrite.length, 0);
+        assert.equal(plan.changes.clubData, 'unchanged');
+    });
+
+    it('dry-runs additions and overwrites without changing anything', async () => {
+        const archive = await backup.exportArchive(db);
+        archive.data.users[0].name = 'Renamed';
+        archive.data.users.push({ id: 50, name: 'Grace', email: 'Grace@tsap.club', role: 'member', handles: { codeforces: 'grace' } });
+
+        const plan = await backup.planImport(db, archive);
+        assert.deepEqual(plan.changes.users.add.map(u => u.id), [50]);
+        assert.deepEqual(plan.changes.users.overwrite[0].fields, ['name']);
+        assert.equal(await db.getUserById(50), null);
+    });
+
+    it('applies an import and keeps existing password hashes', async () => {
+        const before = await db.getUserById(1);
+        const archive = await backup.exportArchive(db);
+        archive.data.users[0].name = 'Renamed';
+        archive.data.users.push({ id: 50, name: 'Grace', email: 'Grace@tsap.club', role: 'member', handles: { codeforces: 'grace' } });
+
+        const result = await backup.applyImport(db, archive);
+        assert.equal(result.applied, true);
+
+        const renamed = await db.getUserById(1);
+        assert.equal(renamed.name, 'Renamed');
+        assert.equal(renamed.passwordHash, before.passwordHash);
+        assert.equal((await db.getUserByEmail('grace@tsap.club')).id, 50);
+
+        // New members continue after the highest imported id
+        const created = await db.createUser({ name: 'Next', email: 'next@tsap.club', role: 'member', handles: {} });
+        assert.equal(created.id, 51);
+    });
+
+    it('holds role and member changes to the importer\'s permissions', async () => {
+        const backupOnly = { permissions: ['data.backup'] };
+        const archive = await backup.exportArchive(db);
+
+        // Re-importing unchanged roles and members needs nothing more
+        assert.deepEqual((await backup.planImport(db, archive, backupOnly)).forbidden, []);
+
+        const member = archive.data.users.find(u => u.role === 'member');
+        archive.data.roles.find(r => r.name === 'member').permissions = ['roles.manage', 'data.backup'];
+        archive.data.users.find(u => u.role === 'admin').name = 'Demoted';
+        archive.data.users.push({ id: 60, name: 'Eve', email: 'eve@tsap.club', role: 'admin', handles: {} });
+
+        const result = await backup.applyImport(db, archive, backupOnly);
+        assert.equal(result.applied, false);
+        assert.deepEqual(result.forbidden, [
+            'Changing role "member" needs the roles.manage permission',
+            `${archive.data.users.find(u => u.role === 'admin').email} has more permissions than you and cannot be changed`,
+            'eve@tsap.club would get role "admin", which has more permissions than your own'
+        ]);
+        assert.deepEqual((await db.getRole('member')).permissions, []);
+        assert.equal(await db.getUserById(60), null);
+
+        // Holding roles.manage is not enough to grant what the importer lacks
+        const manager = { permissions: ['data.backup', 'roles.manage'] };
+        const raised = await backup.exportArchive(db);
+        raised.data.roles.find(r => r.name === 'member').permissions = ['members.write'];
+        raised.data.users.find(u => u.id === member.id).role = 'coordinator';
+        assert.deepEqual((await backup.planImport(db, raised, manager)).forbidden, [
+            'Role "member" grants permissions you do not hold',
+            `${member.email} would get role "coordinator", which has more permissions than your own`
+        ]);
+    });
+
+    it('refuses an archive whose email belongs to another member', async () => {
+        const archive = await backup.exportArchive(db);
+        archive.data.users = [{ id: 99, name: 'Imposter', email: 'grace@tsap.club', role: 'member', handles: {} }];
+
+        const result = await backup.applyImport(db, archive);
+        assert.equal(result.applied, false);
+        assert.equal(result.conflicts.length, 1);
+        assert.equal(await db.getUserById(99), null);
+    });
+
+    it('reports schema errors with their path', async () => {
+        const archive = await backup.exportArchive(db);
+        archive.data.users[0].id = 'one';
+        delete archive.data.roles;
+
+        const plan = await backup.planImport(db, archive);
+        assert.equal(plan.valid, false);
+        assert.ok(plan.errors.includes('archive.data.roles: is required'));
+        assert.ok(plan.errors.includes('archive.data.users[0].id: expected integer, got string'));
+    });
+
+    it('rejects files that are not archives or are from a newer version', async () => {
+        assert.throws(() => backup.migrateArchive({ hello: 'world' }), /Not a TSAP club archive/);
+        const archive = await backup.exportArchive(db);
+        archive.schemaVersion = backup.SCHEMA_VERSION + 1;
+        assert.throws(() => backup.migrateArchive(archive), /newer than this server supports/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const codechef = require('../server/platforms/codechef');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'codechef');
+
+function page(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function pageFetch(html, status = 200) {
+    return async () => ({ ok: status === 200, status, text: async () => html });
+}
+
+describe('CodeChef profile parser', () => {
+    it('reads every field from the current profile layout', () => {
+        const profile = codechef.parseProfile(page('profile.html'));
+        assert.equal(profile.parseError, null);
+        assert.equal(profile.rating, 1687);
+        assert.equal(profile.highestRating, 1712);
+        assert.equal(profile.stars, 3);
+        assert.equal(profile.globalRank, 9431);
+        assert.equal(profile.countryRank, 8102);
+        assert.equal(profile.country, 'India');
+        assert.equal(profile.totalProblemsSolved, 176);
+        assert.deepEqual(profile.ratingHistory.map(r => r.rating), [1544, 1618, 1712, 1687]);
+        assert.deepEqual(profile.ratingHistory[0], {
+            contestName: 'Starters 98 (Rated till 5 stars)',
+            rating: 1544,
+            timeSeconds: Date.UTC(2023, 6, 19, 16, 30) / 1000
+        });
+    });
+
+    it('reads the older layout and treats inactive ranks as present but unranked', () => {
+        const profile = codechef.parseProfile(page('profile-legacy.html'));
+        assert.equal(profile.parseError, null);
+        assert.equal(profile.rating, 1502);
+        assert.equal(profile.stars, 2);
+        assert.equal(profile.globalRank, null);
+        assert.equal(profile.totalProblemsSolved, 58);
+        assert.deepEqual(profile.ratingHistory, []);
+    });
+
+    it('lists missing fields instead of reporting zeros', () => {
+        const profile = codechef.parseProfile(page('profile-redesigned.html'));
+        assert.equal(profile.rating, null);
+        assert.equal(profile.totalProblemsSolved, null);
+        assert.deepEqual(profile.parseError.missing, [
+            'rating', 'totalProblemsSolved', 'highestRating', 'stars', 'globalRank', 'countryRank', 'ratingHistory'
+        ]);
+    });
+});
+
+describe('CodeChef adapter', () => {
+    it('returns stats in the common shape', async () => {
+        const stats = await codechef.fetchStats('tsap_demo', { fetch: pageFetch(page('profile.html')) });
+        assert.equal(stats.platform, 'codechef');
+        assert.equal(stats.totalProblemsSolved, 176);
+        assert.equal(stats.rating, 1687);
+        assert.equal(stats.maxRating, 1712);
+        assert.deepEqual(stats.contestFrequency, [
+            { month: '2023-07', contests: 1 },
+            { month: '2023-08', contests: 2 },
+            { month: '2023-09', contests: 1 }
+        ]);
+        assert.equal(stats.parseError, null);
+    });
+
+    it('fails with the parse error when required fields are missing', async () => {
+        await assert.rejects(
+            codechef.fetchStats('tsap_demo', { fetch: pageFetch(page('profile-redesigned.html')) }),
+            err => err.parseError && err.parseError.missing.includes('rating')
+        );
+    });
+
+    it('fails when the profile cannot be fetched', async () => {
+        await assert.rejects(codechef.fetchStats('nobody', { fetch: pageFetch('', 404) }), /404/);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Never touch a real store configured in the environment
+process.env.STORAGE_BACKEND = 'memory';
+const db = require('../db');
+const codeforces = require('../server/platforms/codeforces');
+
+function jsonResponse(body) {
+    return { ok: true, status: 200, json: async () => body };
+}
+
+function submission(id, verdict = 'OK', tags = ['math']) {
+    return {
+        id,
+        creationTimeSeconds: 1700000000 + id,
+        verdict,
+        problem: { contestId: 1000 + id, index: 'A', name: `Problem ${id}`, rating: 800, tags }
+    };
+}
+
+// A fake Codeforces API over a submission history (newest first), recording user.status pages
+function fakeApi(history) {
+    const pages = [];
+    const fetch = async (url) => {
+        const parsed = new URL(url);
+        if (parsed.pathname.endsWith('user.info')) {
+            return jsonResponse({ status: 'OK', result: [{ handle: 'tourist', rating: 1500, maxRating: 1500 }] });
+        }
+        if (parsed.pathname.endsWith('user.rating')) {
+            return jsonResponse({ status: 'OK', result: [] });
+        }
+        const from = Number(parsed.searchParams.get('from'));
+        const count = Number(parsed.searchParams.get('count'));
+        pages.push(from);
+        return jsonResponse({ status: 'OK', result: history.slice(from - 1, from - 1 + count) });
+    };
+    return { fetch, pages };
+}
+
+describe('Codeforces incremental submission sync', () => {
+    beforeEach(async () => {
+        await db.init();
+        await db.deleteSubmissionStore('codeforces', 'tourist');
+    });
+
+    it('pages through the full history on first sync and stores a cursor', async () => {
+        const history = Array.from({ length: 700 }, (_, i) => submission(700 - i));
+        const api = fakeApi(history);
+        const stats = await codeforces.fetchStats('tourist', { fetch: api.fetch, store: db });
+
+        assert.deepEqual(api.pages, [1, 501]);
+        assert.equal(stats.totalProblemsSolved, 700);
+        const saved = await db.getSubmissionStore('codeforces', 'Tourist');
+        assert.equal(saved.cursor, 700);
+        assert.equal(saved.submissions.length, 700);
+    });
+
+    it('only fetches submissions newer than the cursor', async () => {
+        const history = [submission(3), submission(2, 'WRONG_ANSWER'), submission(1)];
+        await codeforces.fetchStats('tourist', { fetch: fakeApi(history).fetch, store: db });
+
+        const api = fakeApi([submission(5, 'OK', ['dp']), submission(4), ...history]);
+        const stats = await codeforces.fetchStats('tourist', { fetch: api.fetch, store: db });
+
+        assert.deepEqual(api.pages, [1]);
+        assert.equal(stats.totalProblemsSolved, 4);
+        assert.equal(stats.submissionAccuracy, 4 / 5);
+        assert.deepEqual(stats.tagStrengths, [{ tag: 'math', solved: 3 }, { tag: 'dp', solved: 1 }]);
+        assert.equal(stats.solvedProblems[0].id, '1005-A');
+        assert.equal((await db.getSubmissionStore('codeforces', 'tourist')).cursor, 5);
+    });
+
+    it('picks up the final verdict of submissions that were still being judged', async () => {
+        await codeforces.fetchStats('tourist', { fetch: fakeApi([submission(2, 'TESTING'), submission(1)]).fetch, store: db });
+        assert.equal((await db.getSubmissionStore('codeforces', 'tourist')).cursor, 1);
+
+        const stats = await codeforces.fetchStats('tourist', { fetch: fakeApi([submission(2), submission(1)]).fetch, store: db });
+        assert.equal(stats.totalProblemsSolved, 2);
+        assert.equal((await db.getSubmissionStore('codeforces', 'tourist')).cursor, 2);
+    });
+
+    it('fetches the whole history when no store is attached', async () => {
+        const api = fakeApi([submission(2), submission(1)]);
+        await codeforces.fetchStats('tourist', { fetch: api.fetch, store: null });
+        await codeforces.fetchStats('tourist', { fetch: api.fetch, store: null });
+        assert.deepEqual(api.pages, [1, 1]);
+        assert.equal(await db.getSubmissionStore('codeforces', 'tourist'), null);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+const db = require('../db');
+const platforms = require('../server/platforms');
+const activityLogger = require('../server/utils/activityLogger');
+const contests = require('../server/services/contests');
+
+const START = Date.UTC(2024, 0, 15, 12, 0);
+const END = START + 2 * 60 * 60 * 1000;
+
+function jsonResponse(body) {
+    return { ok: true, status: 200, json: async () => body };
+}
+
+function submission(id, minute, contestId, index, verdict = 'OK') {
+    return {
+        id,
+        creationTimeSeconds: START / 1000 + minute * 60,
+        verdict,
+        problem: { contestId, index, name: `Problem ${contestId}${index}`, tags: [] }
+    };
+}
+
+// user.status histories (newest first) for the seeded members' Codeforces handles
+const histories = {
+    'ravisharma-09': [
+        submission(6, 40, 1910, 'B'),
+        submission(5, 25, 1910, 'B', 'WRONG_ANSWER'),
+        submission(4, 12, 1910, 'A'),
+        submission(3, -30, 1910, 'A')
+    ],
+    AarpanLohora: [
+        submission(9, 90, 1910, 'B', 'TESTING'),
+        submission(8, 20, 1910, 'A'),
+        submission(7, 5, 1800, 'C')
+    ]
+};
+
+async function fakeFetch(url) {
+    const parsed = new URL(url);
+    const history = histories[parsed.searchParams.get('handle')];
+    if (!parsed.pathname.endsWith('user.status') || !history) {
+        return jsonResponse({ status: 'FAILED', comment: 'handle not found' });
+    }
+    const from = Number(parsed.searchParams.get('from'));
+    const count = Number(parsed.searchParams.get('count'));
+    return jsonResponse({ status: 'OK', result: history.slice(from - 1, from - 1 + count) });
+}
+
+describe('contest setup', () => {
+    it('reads Codeforces problem references in several forms', () => {
+        assert.deepEqual(contests.parseProblem('1910a'), { contestId: 1910, index: 'A' });
+        assert.deepEqual(contests.parseProblem('1910 B1'), { contestId: 1910, index: 'B1' });
+        assert.deepEqual(contests.parseProblem('1910/C'), { contestId: 1910, index: 'C' });
+        assert.deepEqual(contests.parseProblem('https://codeforces.com/problemset/problem/1920/D'), { contestId: 1920, index: 'D' });
+        assert.deepEqual(contests.parseProblem('https://codeforces.com/gym/104000/problem/E'), { contestId: 104000, index: 'E' });
+        assert.deepEqual(contests.parseProblem({ contestId: '1910', index: 'f' }), { contestId: 1910, index: 'F' });
+        assert.equal(contests.parseProblem('two sum'), null);
+        assert.equal(contests.parseProblem({ contestId: -1, index: 'A' }), null);
+    });
+
+    it('validates names, times and problems', () => {
+        const valid = { name: ' Week 1 ', startTime: '2024-01-15T12:00:00Z', endTime: '2024-01-15T14:00:00Z', problems: ['1910A', '1910B'] };
+        assert.deepEqual(contests.validateContest(valid), {
+            contest: { name: 'Week 1', startTime: START, endTime: END, problems: [{ contestId: 1910, index: 'A' }, { contestId: 1910, index: 'B' }] }
+        });
+        assert.match(contests.validateContest({ ...valid, name: '' }).error, /Name/);
+        assert.match(contests.validateContest({ ...valid, endTime: valid.startTime }).error, /end after/);
+        assert.match(contests.validateContest({ ...valid, startTime: 'soon' }).error, /ISO 8601/);
+        assert.match(contests.validateContest({ ...valid, problems: [] }).error, /between 1 and 26/);
+        assert.match(contests.validateContest({ ...valid, problems: ['1910A', '1910 a'] }).error, /listed twice/);
+        assert.match(contests.validateContest({ ...valid, problems: ['1910A', 'nope'] }).error, /Problem 2/);
+    });
+
+    it('tracks where a contest is in its life', () => {
+        const contest = { startTime: START, endTime: END };
+        assert.equal(contests.contestStatus(contest, START - 1), 'upcoming');
+        assert.equal(contests.contestStatus(contest, START), 'running');
+        assert.equal(contests.contestStatus(contest, END), 'judging');
+        assert.equal(contests.contestStatus({ ...contest, finalizedAt: END }, END), 'final');
+    });
+});
+
+describe('contest polling', () => {
+    let contest;
+
+    before(async () => {
+        await db.init();
+        activityLogger.clearActivities();
+        platforms.setFetch(fakeFetch);
+        const { contest: fields } = contests.validateContest({
+            name: 'Week 1', startTime: START, endTime: END, problems: ['1910A', '1910B']
+        });
+        contest = await db.createContest(fields);
+    });
+
+    after(() => {
+        platforms.setFetch(null);
+    });
+
+    it('collects submissions to contest problems inside the window', async () => {
+        const polled = await contests.pollContest(db, contest, START + 60 * 60 * 1000);
+        const standings = contests.getStandings(polled, START + 60 * 60 * 1000);
+
+        assert.equal(standings.final, false);
+        assert.equal(standings.contest.status, 'running');
+        assert.deepEqual(standings.rows.map(r => [r.name, r.rank, r.solved, r.penalty]), [
+            ['Ravi Sharma', 1, 2, 12 + 40 + 20],
+            ['Aarpan Lohora', 2, 1, 20]
+        ]);
+        // The solve before the start and the problem outside the set are left out
+        const aarpan = polled.participants.find(p => p.handle === 'AarpanLohora');
+        assert.deepEqual(aarpan.submissions.map(s => s.id), [9, 8]);
+    });
+
+    it('waits for pending verdicts before freezing an ended contest', async () => {
+        await contests.pollContests(db, END + 60 * 1000);
+        assert.equal((await db.getContest(contest.id)).finalizedAt, undefined);
+
+        // After the grace period the result is frozen anyway
+        await contests.pollContests(db, END + 16 * 60 * 1000);
+        const final = await db.getContest(contest.id);
+        assert.equal(typeof final.finalizedAt, 'number');
+        assert.equal(contests.getStandings(final).final, true);
+
+        const [snapshot] = await db.listSnapshots(contests.SNAPSHOT_KIND);
+        assert.equal(snapshot.id, final.resultSnapshotId);
+        assert.equal(snapshot.contestId, contest.id);
+        assert.deepEqual(snapshot.standings.rows.map(r => r.name), ['Ravi Sharma', 'Aarpan Lohora']);
+
+        const [activity] = activityLogger.getRecentActivities(1);
+        assert.equal(activity.type, activityLogger.ACTIVITY_TYPES.CONTEST_RESULT);
+        assert.equal(activity.message, 'Ravi Sharma won Week 1 with 2 solved');
+    });
+
+    it('leaves final contests alone', async () => {
+        histories['ravisharma-09'].unshift(submission(10, 60, 1910, 'A'));
+        await contests.pollContests(db, END + 30 * 60 * 1000);
+        const final = await db.getContest(contest.id);
+        assert.equal(final.participants.find(p => p.handle === 'ravisharma-09').submissions.length, 3);
+    });
+
+    it('freezes a contest once when the poller and an admin finalize it together', async () => {
+        const { contest: fields } = contests.validateContest({
+            name: 'Week 2', startTime: START, endTime: END, problems: ['1910A']
+        });
+        const created = await db.createContest(fields);
+        const snapshotsBefore = (await db.listSnapshots(contests.SNAPSHOT_KIND)).length;
+        activityLogger.clearActivities();
+
+        const [, byAdmin, again] = await Promise.all([
+            contests.pollContests(db, END + 16 * 60 * 1000),
+            contests.finalizeContest(db, created),
+            contests.finalizeContest(db, created)
+        ]);
+
+        assert.equal(byAdmin.resultSnapshotId, again.resultSnapshotId);
+        assert.equal((await db.getContest(created.id)).resultSnapshotId, byAdmin.resultSnapshotId);
+        assert.equal((await db.listSnapshots(contests.SNAPSHOT_KIND)).length, snapshotsBefore + 1);
+        assert.equal(activityLogger.getRecentActivities().filter(a => a.contestId === created.id).length, 1);
+
+        // A later call finds it final and changes nothing
+        const later = await contests.finalizeContest(db, created);
+        assert.equal(later.finalizedAt, byAdmin.finalizedAt);
+        assert.equal((await db.listSnapshots(contests.SNAPSHOT_KIND)).length, snapshotsBefore + 1);
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const platforms = require('../server/platforms');
+const handleVerification = require('../server/services/handleVerification');
+const { startServer } = require('./helpers/startServer');
+
+const CODE = 'tsap-0123456789';
+
+function response(body, status = 200) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => JSON.parse(text),
+        text: async () => text
+    };
+}
+
+// Profile pages with the owner's name and About Me (CodeChef) or Affiliation (AtCoder)
+// set, and other page content that the owner does not control
+function codechefPage(name, about, elsewhere = '') {
+    return `<html><section class="user-details"><header><h1 class="h2-style">${name}</h1></header>`
+        + `<ul class="side-nav"><li><label>Username:</label><span>tsap_demo</span></li><li><label>About Me:</label><span>${about}</span></li></ul>`
+        + `</section><div class="recent-activity">${elsewhere}</div></html>`;
+}
+
+function atcoderPage(affiliation, elsewhere = '') {
+    return `<html><table class="dl-table"><tr><th class="no-break">Country/Region</th><td>Japan</td></tr>`
+        + `<tr><th class="no-break">Affiliation</th><td class="break-all">${affiliation}</td></tr></table>`
+        + `<div class="comments">${elsewhere}</div></html>`;
+}
+
+// Each judge's profile, with the code in the field its instructions name (or nowhere)
+const profiles = {
+    codeforces: withCode => response({
+        status: 'OK',
+        result: [{ handle: 'Tsap_Demo', firstName: 'Demo', organization: withCode ? `TSAP ${CODE}` : 'TSAP' }]
+    }),
+    leetcode: withCode => response({
+        data: { matchedUser: { username: 'tsap_demo', profile: { realName: 'Demo', aboutMe: withCode ? CODE : '' } } }
+    }),
+    codechef: withCode => response(codechefPage('Demo', withCode ? CODE : '')),
+    atcoder: withCode => response(atcoderPage(withCode ? CODE : 'TSAP'))
+};
+
+describe('platform verifiers', () => {
+    afterEach(() => platforms.setFetch(null));
+
+    for (const id of Object.keys(profiles)) {
+        it(`${id} finds the code on the profile`, async () => {
+            platforms.setFetch(async () => profiles[id](true));
+            const result = await platforms.checkVerification(id, 'tsap_demo', CODE);
+            assert.equal(result.verified, true);
+        });
+
+        it(`${id} rejects a profile without the code`, async () => {
+            platforms.setFetch(async () => profiles[id](false));
+            const result = await platforms.checkVerification(id, 'tsap_demo', CODE);
+            assert.equal(result.verified, false);
+        });
+    }
+
+    it('reports the handle with the casing Codeforces uses', async () => {
+        platforms.setFetch(async () => profiles.codeforces(true));
+        const result = await platforms.checkVerification('codeforces', 'tsap_demo', CODE);
+        assert.equal(result.handle, 'Tsap_Demo');
+    });
+
+    it('finds the code in a CodeChef name as well as About Me', async () => {
+        platforms.setFetch(async () => response(codechefPage(`Demo ${CODE}`, '')));
+        assert.equal((await platforms.checkVerification('codechef', 'tsap_demo', CODE)).verified, true);
+    });
+
+    it('ignores the code anywhere on the page but the owner\'s fields', async () => {
+        platforms.setFetch(async () => response(codechefPage('Demo', '', `Someone said ${CODE}`)));
+        assert.equal((await platforms.checkVerification('codechef', 'tsap_demo', CODE)).verified, false);
+
+        platforms.setFetch(async () => response(atcoderPage('TSAP', `<table><tr><th>Affiliation</th><td>${CODE}</td></tr></table>`)));
+        assert.equal((await platforms.checkVerification('atcoder', 'tsap_demo', CODE)).verified, false);
+    });
+
+    it('treats a missing profile as unverified', async () => {
+        platforms.setFetch(async () => response('Not Found', 404));
+        for (const id of ['codechef', 'atcoder']) {
+            assert.equal((await platforms.checkVerification(id, 'nobody', CODE)).verified, false);
+        }
+    });
+});
+
+describe('verifyChallenge', () => {
+    afterEach(() => platforms.setFetch(null));
+
+    it('verifies a live challenge', async () => {
+        platforms.setFetch(async () => profiles.atcoder(true));
+        const challenge = { ...handleVerification.createChallenge('atcoder', 'tsap_demo'), code: CODE };
+        assert.deepEqual(await handleVerification.verifyChallenge('atcoder', challenge), { verified: true, handle: 'tsap_demo' });
+    });
+
+    it('refuses an expired challenge without asking the judge', async () => {
+        let fetched = false;
+        platforms.setFetch(async () => {
+            fetched = true;
+            return profiles.atcoder(true);
+        });
+        const challenge = { handle: 'tsap_demo', code: CODE, expiresAt: Date.now() - 1 };
+        const result = await handleVerification.verifyChallenge('atcoder', challenge);
+        assert.equal(result.verified, false);
+        assert.match(result.error, /expired/);
+        assert.equal(fetched, false);
+    });
+
+    it('explains a mismatch and an unreachable judge differently', async () => {
+        const challenge = handleVerification.createChallenge('codeforces', 'tsap_demo');
+
+        platforms.setFetch(async () => profiles.codeforces(false));
+        assert.match((await handleVerification.verifyChallenge('codeforces', challenge)).error, /Could not find the code/);
+
+        platforms.setFetch(async () => {
+            throw new Error('ECONNRESET');
+        });
+        assert.match((await handleVerification.verifyChallenge('codeforces', challenge)).error, /Could not reach Codeforces/);
+    });
+});
+
+// The routes run in a server child process, with the judges stubbed by test/helpers/stubPlatformFetch.js
+describe('handle change flow', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsap-verify-'));
+    const responsesFile = path.join(dir, 'responses.json');
+    const profileUrl = 'https://atcoder.jp/users/tsap_demo';
+    let server;
+    let request;
+    let signIn;
+
+    function setProfile(body) {
+        fs.writeFileSync(responsesFile, JSON.stringify(body === null ? {} : { [profileUrl]: body }));
+    }
+
+    const atcoder = handles => handles.find(h => h.platform === 'atcoder');
+
+    before(async () => {
+        setProfile(null);
+        server = await startServer({ STUB_PLATFORM_RESPONSES: responsesFile });
+        ({ request, signIn } = server);
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps a new handle pending until the code shows up on the profile', async () => {
+        const cookie = await signIn('aarpan.lohora@tsap.club', 'member123');
+
+        const changed = await request(cookie, 'PATCH', '/api/me/handles', { atcoder: 'tsap_demo' });
+        assert.equal(changed.status, 200);
+        const { pending } = atcoder(changed.body);
+        assert.equal(pending.handle, 'tsap_demo');
+        assert.match(pending.code, /^tsap-[0-9a-f]{10}$/);
+        assert.equal(atcoder(changed.body).verified, false);
+
+        setProfile(atcoderPage('TSAP', pending.code));
+        const mismatch = await request(cookie, 'POST', '/api/me/handles/atcoder/verify');
+        assert.equal(mismatch.status, 400);
+        assert.match(mismatch.body.error, /Could not find the code/);
+        assert.equal(atcoder((await request(cookie, 'GET', '/api/me/handles')).body).pending.code, pending.code);
+
+        setProfile(atcoderPage(pending.code));
+        const verified = await request(cookie, 'POST', '/api/me/handles/atcoder/verify');
+        assert.equal(verified.status, 200);
+        assert.deepEqual(
+            { handle: atcoder(verified.body).handle, verified: atcoder(verified.body).verified, pending: atcoder(verified.body).pending },
+            { handle: 'tsap_demo', verified: true, pending: null }
+        );
+    });
+
+    it('does not let a second member verify a handle that is already linked', async () => {
+        const cookie = await signIn('ravi.sharma@tsap.club', 'admin123');
+
+        const invalid = await request(cookie, 'PATCH', '/api/me/handles', { atcoder: 'no spaces' });
+        assert.equal(invalid.status, 400);
+
+        const changed = await request(cookie, 'PATCH', '/api/me/handles', { atcoder: 'tsap_demo' });
+        setProfile(atcoderPage(atcoder(changed.body).pending.code));
+
+        const taken = await request(cookie, 'POST', '/api/me/handles/atcoder/verify');
+        assert.equal(taken.status, 409);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Start server.js in a child process on a free port, with memory storage and
+ * the judges stubbed by stubPlatformFetch.js, for route tests.
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * @param {Object} env - Extra environment, e.g. { STUB_PLATFORM_RESPONSES }
+ * @returns {Promise<Object>} { base, request(cookie, method, url, body), signIn(email, password), stop() }
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const base = `http://localhost:${port}`;
+    const childEnv = { ...process.env, PORT: String(port), STORAGE_BACKEND: 'memory', ...env };
+    delete childEnv.PLATFORM_FIXTURES;
+    delete childEnv.SERVICE_ACCOUNT_KEY;
+
+    const child = spawn(process.execPath, ['-r', path.join(__dirname, 'stubPlatformFetch.js'), 'server.js'], {
+        cwd: path.join(__dirname, '..', '..'),
+        env: childEnv,
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    await new Promise((resolve, reject) => {
+        child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('TSAP server running')) resolve();
+        });
+    });
+
+    async function request(cookie, method, url, body) {
+        const res = await fetch(`${base}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await res.text();
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            parsed = text;
+        }
+        return { status: res.status, body: parsed, setCookie: res.headers.get('set-cookie') };
+    }
+
+    // Sign in as a seeded member and get past the seed-password change
+    async function signIn(email, password) {
+        const login = await request(null, 'POST', '/api/auth/login', { email, password });
+        if (login.status !== 200) {
+            throw new Error(`login as ${email} failed with ${login.status}`);
+        }
+        const cookie = login.setCookie.split(';')[0];
+        const changed = await request(cookie, 'POST', '/api/me/password', { currentPassword: password, newPassword: `${password}-changed` });
+        if (changed.status !== 200) {
+            throw new Error(`password change for ${email} failed with ${changed.status}`);
+        }
+        return changed.setCookie ? changed.setCookie.split(';')[0] : cookie;
+    }
+
+    return {
+        base,
+        request,
+        signIn,
+        // Resolves once the server has flushed its storage and exited
+        stop: () => new Promise(resolve => {
+            child.removeAllListeners('exit');
+            child.once('exit', resolve);
+            child.kill();
+        })
+    };
+}
+
+module.exports = { startServer };
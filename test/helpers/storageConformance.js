@@ -0,0 +1,137 @@
+/**
+ * Storage Adapter Conformance Suite
+ * Behaviour every storage adapter must share. Register it for an adapter with:
+ *   runStorageConformance('file', async () => createFileAdapter({ ... }))
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Register the conformance tests for an adapter
+ * @param {string} name - Adapter name for test titles
+ * @param {Function} createAdapter - Returns (or resolves to) a fresh, empty adapter.
+ *   The suite calls init() on it, and close() afterwards if the adapter has one.
+ */
+function runStorageConformance(name, createAdapter) {
+    describe(`${name} storage adapter`, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await createAdapter();
+            await store.init();
+        });
+
+        afterEach(async () => {
+            if (typeof store.close === 'function') {
+                await store.close();
+            }
+        });
+
+        it('returns null for a missing record', async () => {
+            assert.equal(await store.get('users', 'missing'), null);
+        });
+
+        it('reads back what was written', async () => {
+            const user = { id: 1, name: 'Ada', handles: { codeforces: 'ada' }, tags: ['a', 'b'] };
+            await store.set('users', 1, user);
+            assert.deepEqual(await store.get('users', 1), user);
+        });
+
+        it('treats numeric and string ids as the same key', async () => {
+            await store.set('users', 7, { id: 7 });
+            assert.deepEqual(await store.get('users', '7'), { id: 7 });
+        });
+
+        it('replaces a record on set', async () => {
+            await store.set('users', 1, { id: 1, name: 'Ada', role: 'admin' });
+            await store.set('users', 1, { id: 1, name: 'Ada L.' });
+            assert.deepEqual(await store.get('users', 1), { id: 1, name: 'Ada L.' });
+        });
+
+        it('does not share objects with callers', async () => {
+            const user = { id: 1, handles: { codeforces: 'ada' } };
+            await store.set('users', 1, user);
+            user.handles.codeforces = 'changed';
+
+            const read = await store.get('users', 1);
+            read.handles.codeforces = 'changed again';
+            assert.equal((await store.get('users', 1)).handles.codeforces, 'ada');
+        });
+
+        it('deletes records and reports whether they existed', async () => {
+            await store.set('sessions', 'abc', { id: 'abc', userId: 1 });
+            assert.equal(await store.delete('sessions', 'abc'), true);
+            assert.equal(await store.get('sessions', 'abc'), null);
+            assert.equal(await store.delete('sessions', 'abc'), false);
+        });
+
+        it('lists every record in a collection', async () => {
+            await store.set('invites', 'a', { id: 'a', email: 'a@x.io' });
+            await store.set('invites', 'b', { id: 'b', email: 'b@x.io' });
+            const ids = (await store.list('invites')).map(i => i.id).sort();
+            assert.deepEqual(ids, ['a', 'b']);
+        });
+
+        it('lists an empty collection as an empty array', async () => {
+            assert.deepEqual(await store.list('snapshots'), []);
+        });
+
+        it('keeps collections separate', async () => {
+            await store.set('users', 1, { id: 1 });
+            await store.set('roles', 1, { name: '1' });
+            assert.deepEqual(await store.get('users', 1), { id: 1 });
+            assert.deepEqual((await store.list('users')).length, 1);
+        });
+
+        it('finds records by an indexed field', async () => {
+            await store.set('users', 1, { id: 1, email: 'ada@tsap.club' });
+            await store.set('users', 2, { id: 2, email: 'bob@tsap.club' });
+            const found = await store.findBy('users', 'email', 'bob@tsap.club');
+            assert.deepEqual(found, [{ id: 2, email: 'bob@tsap.club' }]);
+        });
+
+        it('finds every record sharing a value', async () => {
+            await store.set('sessions', 's1', { id: 's1', userId: 1 });
+            await store.set('sessions', 's2', { id: 's2', userId: 2 });
+            await store.set('sessions', 's3', { id: 's3', userId: 1 });
+            const ids = (await store.findBy('sessions', 'userId', 1)).map(s => s.id).sort();
+            assert.deepEqual(ids, ['s1', 's3']);
+        });
+
+        it('finds records by a field without an index', async () => {
+            await store.set('invites', 'a', { id: 'a', role: 'member' });
+            await store.set('invites', 'b', { id: 'b', role: 'mentor' });
+            const found = await store.findBy('invites', 'role', 'mentor');
+            assert.deepEqual(found.map(i => i.id), ['b']);
+        });
+
+        it('keeps lookups current when a record changes or is deleted', async () => {
+            await store.set('users', 1, { id: 1, email: 'old@tsap.club' });
+            await store.set('users', 1, { id: 1, email: 'new@tsap.club' });
+            assert.deepEqual(await store.findBy('users', 'email', 'old@tsap.club'), []);
+            assert.equal((await store.findBy('users', 'email', 'new@tsap.club')).length, 1);
+
+            await store.delete('users', 1);
+            assert.deepEqual(await store.findBy('users', 'email', 'new@tsap.club'), []);
+        });
+
+        it('returns an empty array when nothing matches', async () => {
+            assert.deepEqual(await store.findBy('apiTokens', 'userId', 99), []);
+        });
+
+        it('clears a single collection', async () => {
+            await store.set('activities', 'a', { id: 'a' });
+            await store.set('users', 1, { id: 1, email: 'ada@tsap.club' });
+            await store.clear('activities');
+            assert.deepEqual(await store.list('activities'), []);
+            assert.equal((await store.list('users')).length, 1);
+        });
+
+        it('has a name', () => {
+            assert.equal(typeof store.name, 'string');
+        });
+    });
+}
+
+module.exports = { runStorageConformance };
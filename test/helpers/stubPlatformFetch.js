@@ -0,0 +1,24 @@
+/**
+ * Preloaded into a server child process (node -r) so route tests can stub the
+ * judges. Platform requests are answered from the JSON file named by
+ * STUB_PLATFORM_RESPONSES, { "<url>": "<response body>" }, re-read on every
+ * request so a test can change a profile between calls. Any other URL (every
+ * URL, without STUB_PLATFORM_RESPONSES) is a 404.
+ */
+
+const fs = require('fs');
+
+const platforms = require('../../server/platforms');
+
+platforms.setFetch(async (url) => {
+    const file = process.env.STUB_PLATFORM_RESPONSES;
+    const responses = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const body = responses[url];
+    const status = body === undefined ? 404 : 200;
+    return {
+        ok: status === 200,
+        status,
+        json: async () => JSON.parse(body),
+        text: async () => body || ''
+    };
+});
@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHttpClient } = require('../server/utils/httpClient');
+
+function response(status) {
+    return { ok: status >= 200 && status < 300, status, headers: new Map() };
+}
+
+// A client on a virtual clock: sleeping advances time instantly
+function testClient(statuses, options = {}) {
+    let time = 0;
+    const sleeps = [];
+    const calls = [];
+    const queue = statuses.slice();
+    const client = createHttpClient({
+        hosts: { 'judge.test': { capacity: 1, ratePerSec: 0.5 } },
+        now: () => time,
+        sleep: async ms => {
+            sleeps.push(ms);
+            time += ms;
+        },
+        random: () => 0.5,
+        fetch: async (url) => {
+            calls.push(url);
+            const next = queue.length > 1 ? queue.shift() : queue[0];
+            if (next instanceof Error) throw next;
+            return response(next);
+        },
+        ...options
+    });
+    return { client, sleeps, calls, advance: ms => { time += ms; } };
+}
+
+const URL_A = 'https://judge.test/api/a';
+
+describe('HTTP client', () => {
+    it('spaces requests to the host rate', async () => {
+        const { client, sleeps } = testClient([200]);
+        await client.fetch(URL_A);
+        await client.fetch(URL_A);
+        assert.deepEqual(sleeps, [2000]);
+        assert.equal(client.getStats()['judge.test'].throttledMs, 2000);
+    });
+
+    it('retries 5xx and 429 with jittered back-off', async () => {
+        const { client, sleeps, calls } = testClient([503, 429, 200], { hosts: {} });
+        const res = await client.fetch(URL_A);
+        assert.equal(res.status, 200);
+        assert.equal(calls.length, 3);
+        // Half of 500ms, then half of 1000ms
+        assert.deepEqual(sleeps, [250, 500]);
+        const stats = client.getStats()['judge.test'];
+        assert.equal(stats.retries, 2);
+        assert.equal(stats.rateLimited, 1);
+        assert.equal(stats.successes, 1);
+    });
+
+    it('returns client errors without retrying', async () => {
+        const { client, calls } = testClient([404], { hosts: {} });
+        const res = await client.fetch(URL_A);
+        assert.equal(res.status, 404);
+        assert.equal(calls.length, 1);
+        assert.equal(client.getStats()['judge.test'].state, 'closed');
+    });
+
+    it('opens the circuit after repeated failures and probes after the cooldown', async () => {
+        const { client, calls, advance } = testClient([new Error('ECONNREFUSED')], {
+            hosts: {}, retries: 0, failureThreshold: 2, cooldownMs: 1000
+        });
+        await assert.rejects(client.fetch(URL_A), /ECONNREFUSED/);
+        await assert.rejects(client.fetch(URL_A), /ECONNREFUSED/);
+        await assert.rejects(client.fetch(URL_A), err => err.code === 'CIRCUIT_OPEN');
+        assert.equal(calls.length, 2);
+        assert.equal(client.getStats()['judge.test'].shortCircuited, 1);
+
+        advance(1000);
+        await assert.rejects(client.fetch(URL_A), /ECONNREFUSED/);
+        assert.equal(client.getStats()['judge.test'].state, 'open');
+    });
+
+    it('closes the circuit when the probe succeeds', async () => {
+        const { client, advance } = testClient([500, 500, 200], {
+            hosts: {}, retries: 0, failureThreshold: 2, cooldownMs: 1000
+        });
+        await client.fetch(URL_A);
+        await client.fetch(URL_A);
+        assert.equal(client.getStats()['judge.test'].state, 'open');
+        advance(1000);
+        const res = await client.fetch(URL_A);
+        assert.equal(res.status, 200);
+        assert.equal(client.getStats()['judge.test'].state, 'closed');
+    });
+
+    it('refuses requests that would queue too long', async () => {
+        // Time stands still, so the bucket does not refill while the requests queue
+        const { client } = testClient([200], { maxQueueMs: 3000, maxQueued: 1, sleep: async () => {} });
+        const pending = [client.fetch(URL_A), client.fetch(URL_A), client.fetch(URL_A)];
+        const results = await Promise.allSettled(pending);
+        assert.deepEqual(results.map(r => r.status), ['fulfilled', 'fulfilled', 'rejected']);
+        assert.equal(results[2].reason.code, 'RATE_LIMITED');
+    });
+
+    it('queues a leaderboard refresh worth of requests to a slow host', async () => {
+        // Codeforces' limits, with time standing still so nothing drains
+        const { client } = testClient([200], { hosts: { 'codeforces.com': { capacity: 1, ratePerSec: 0.5 } }, sleep: async () => {} });
+        const url = 'https://codeforces.com/api/user.info?handles=tourist';
+
+        const results = await Promise.allSettled(Array.from({ length: 40 }, () => client.fetch(url)));
+        assert.ok(results.every(r => r.status === 'fulfilled'));
+        assert.equal(client.getStats()['codeforces.com'].queueRejected, 0);
+
+        // The queue is still bounded
+        const overflow = await Promise.allSettled(Array.from({ length: 40 }, () => client.fetch(url)));
+        assert.ok(overflow.some(r => r.status === 'rejected' && r.reason.code === 'RATE_LIMITED'));
+    });
+
+    it('times out slow requests', async () => {
+        const client = createHttpClient({
+            hosts: {},
+            timeoutMs: 20,
+            retries: 0,
+            fetch: (url, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            })
+        });
+        await assert.rejects(client.fetch(URL_A), err => err.code === 'TIMEOUT');
+        assert.equal(client.getStats()['judge.test'].timeouts, 1);
+    });
+
+    it('times out a body that stalls after the headers', async () => {
+        const client = createHttpClient({
+            hosts: {},
+            timeoutMs: 20,
+            retries: 0,
+            fetch: async () => ({ ...response(200), json: () => new Promise(() => {}) })
+        });
+        const res = await client.fetch(URL_A);
+        await assert.rejects(res.json(), err => err.code === 'TIMEOUT');
+        assert.equal(client.getStats()['judge.test'].timeouts, 1);
+    });
+
+    it('reads a body that arrives in time', async () => {
+        const client = createHttpClient({
+            hosts: {},
+            timeoutMs: 20,
+            fetch: async () => ({ ...response(200), text: async () => 'ok' })
+        });
+        const res = await client.fetch(URL_A);
+        assert.equal(await res.text(), 'ok');
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(client.getStats()['judge.test'].timeouts, 0);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeStandings } = require('../server/utils/icpcStandings');
+
+const START = Date.UTC(2024, 0, 15, 12, 0);
+const contest = {
+    startTime: START,
+    endTime: START + 2 * 60 * 60 * 1000,
+    problems: [{ contestId: 1910, index: 'A' }, { contestId: 1910, index: 'B' }]
+};
+
+let nextId = 1;
+// A submission the given number of minutes into the contest
+function sub(problemKey, minute, verdict = 'OK') {
+    return { id: nextId++, time: START / 1000 + minute * 60, problemKey, verdict };
+}
+
+describe('ICPC standings', () => {
+    it('ranks by solved, then penalty with 20 minutes per rejected attempt', () => {
+        const { rows } = computeStandings(contest, [
+            { userId: 1, name: 'Asha', handle: 'asha', submissions: [sub('1910-A', 10, 'WRONG_ANSWER'), sub('1910-A', 15), sub('1910-B', 50)] },
+            { userId: 2, name: 'Bo', handle: 'bo', submissions: [sub('1910-A', 5), sub('1910-B', 30)] },
+            { userId: 3, name: 'Cy', handle: 'cy', submissions: [sub('1910-A', 1)] }
+        ]);
+
+        assert.deepEqual(rows.map(r => [r.userId, r.rank, r.solved, r.penalty]), [
+            [2, 1, 2, 35],
+            [1, 2, 2, 15 + 20 + 50],
+            [3, 3, 1, 1]
+        ]);
+        assert.deepEqual(rows[1].results[0], { solved: true, time: 15, rejected: 1, pending: 0 });
+    });
+
+    it('ignores compilation errors, attempts after the solve and submissions outside the window', () => {
+        const { rows } = computeStandings(contest, [{
+            userId: 1,
+            name: 'Asha',
+            handle: 'asha',
+            submissions: [
+                sub('1910-A', -5),
+                sub('1910-A', 3, 'COMPILATION_ERROR'),
+                sub('1910-A', 7),
+                sub('1910-A', 9, 'WRONG_ANSWER'),
+                sub('1910-B', 121),
+                sub('1999-A', 30)
+            ]
+        }]);
+
+        assert.deepEqual(rows[0].results, [
+            { solved: true, time: 7, rejected: 0, pending: 0 },
+            { solved: false, time: null, rejected: 0, pending: 0 }
+        ]);
+        assert.equal(rows[0].penalty, 7);
+    });
+
+    it('shows submissions still being judged as pending', () => {
+        const { rows } = computeStandings(contest, [{
+            userId: 1, name: 'Asha', handle: 'asha', submissions: [sub('1910-B', 100, 'TIME_LIMIT_EXCEEDED'), sub('1910-B', 110, 'TESTING')]
+        }]);
+        assert.deepEqual(rows[0].results[1], { solved: false, time: null, rejected: 1, pending: 1 });
+    });
+
+    it('shares a rank on a full tie and counts solves and attempts per problem', () => {
+        const { rows, problems } = computeStandings(contest, [
+            { userId: 1, name: 'Bo', handle: 'bo', submissions: [sub('1910-A', 20)] },
+            { userId: 2, name: 'Asha', handle: 'asha', submissions: [sub('1910-A', 20)] },
+            { userId: 3, name: 'Cy', handle: 'cy', submissions: [sub('1910-A', 4, 'WRONG_ANSWER')] }
+        ]);
+
+        assert.deepEqual(rows.map(r => [r.name, r.rank]), [['Asha', 1], ['Bo', 1], ['Cy', 3]]);
+        assert.deepEqual(problems, [
+            { label: 'A', key: '1910-A', solvedBy: 2, attempts: 3 },
+            { label: 'B', key: '1910-B', solvedBy: 0, attempts: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Never touch a real store configured in the environment
+process.env.STORAGE_BACKEND = 'memory';
+const db = require('../db');
+const {
+    SNAPSHOT_KIND,
+    saveLeaderboardSnapshot,
+    selectSnapshotsToPrune,
+    findComparisonSnapshot,
+    applyRankDeltas,
+    getRankHistory
+} = require('../server/services/leaderboardHistory');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function snapshotsEvery(stepMs, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `s${i}`,
+        createdAt: NOW - (count - 1 - i) * stepMs
+    }));
+}
+
+function row(userId, score) {
+    return { userId, name: `Member ${userId}`, score, totalSolved: score, breakdown: { rating: { rating: 1500 } } };
+}
+
+describe('leaderboard history', () => {
+    it('keeps every recent snapshot, then one per day, then one per week', () => {
+        // Every 6 hours for 120 days
+        const snapshots = snapshotsEvery(6 * HOUR, 4 * 120);
+        const prune = new Set(selectSnapshotsToPrune(snapshots, NOW));
+        const kept = snapshots.filter(s => !prune.has(s.id));
+
+        const age = s => NOW - s.createdAt;
+        assert.equal(kept.filter(s => age(s) <= 2 * DAY).length, 9);
+        const daily = kept.filter(s => age(s) > 2 * DAY && age(s) <= 60 * DAY);
+        assert.ok(daily.length >= 58 && daily.length <= 59, `${daily.length} daily snapshots`);
+        const weekly = kept.filter(s => age(s) > 60 * DAY);
+        assert.ok(weekly.length >= 8 && weekly.length <= 10, `${weekly.length} weekly snapshots`);
+        // The newest snapshot of each full day survives
+        assert.ok(daily.filter(s => age(s) > 3 * DAY).every(s => new Date(s.createdAt).getUTCHours() === 18));
+    });
+
+    it('finds comparison snapshots by position, age or id', () => {
+        const snapshots = snapshotsEvery(DAY, 10);
+        assert.equal(findComparisonSnapshot(snapshots, 'previous', NOW).id, 's8');
+        assert.equal(findComparisonSnapshot(snapshots, '7d', NOW).id, 's2');
+        assert.equal(findComparisonSnapshot(snapshots, '30d', NOW), null);
+        assert.equal(findComparisonSnapshot(snapshots, 's4', NOW).id, 's4');
+        assert.equal(findComparisonSnapshot(snapshots, 'nope', NOW), null);
+    });
+
+    it('reports rank movement and newcomers', () => {
+        const earlier = { entries: [{ userId: 1, rank: 1 }, { userId: 2, rank: 2 }, { userId: 3, rank: 3 }] };
+        const rows = applyRankDeltas([row(3, 90), row(1, 80), row(4, 70), row(2, 60)], earlier);
+        assert.deepEqual(rows.map(r => [r.userId, r.rank, r.previousRank, r.rankDelta]), [
+            [3, 1, 3, 2],
+            [1, 2, 1, -1],
+            [4, 3, null, null],
+            [2, 4, 2, -2]
+        ]);
+    });
+
+    it('stores builds as snapshots and charts one member across them', async () => {
+        await saveLeaderboardSnapshot(db, [row(1, 50), row(2, 40)]);
+        await saveLeaderboardSnapshot(db, [row(2, 60), row(1, 55)]);
+
+        const snapshots = await db.listSnapshots(SNAPSHOT_KIND);
+        assert.equal(snapshots.length, 2);
+        assert.deepEqual(snapshots[1].entries[0], { userId: 2, name: 'Member 2', rank: 1, score: 60, rating: 1500, solved: 60 });
+
+        const history = await getRankHistory(db, 1);
+        assert.deepEqual(history.map(h => [h.rank, h.score, h.members]), [[1, 50, 2], [2, 55, 2]]);
+    });
+});
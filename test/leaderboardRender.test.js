@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseColor,
+    tierFor,
+    toExportRows,
+    toCsv,
+    renderMemberBadge,
+    parseEmbedOptions,
+    renderEmbedPage
+} = require('../server/utils/leaderboardRender');
+
+function row(userId, name, totalSolved, rating = 0) {
+    return {
+        userId,
+        name,
+        score: totalSolved * 2,
+        totalSolved,
+        breakdown: { rating: { rating, platform: rating ? 'codeforces' : null } },
+        platforms: {
+            codeforces: { handle: `cf_${userId}`, totalSolved, rating },
+            codechef: { handle: `cc_${userId}`, totalSolved: 0, rating: 0, error: 'Failed to fetch' }
+        }
+    };
+}
+
+const rows = [row(7, 'Asha', 320, 1850), row(3, 'Bo', 40)];
+
+describe('leaderboard exports', () => {
+    it('flattens rows with a rank, tier and columns for every platform', () => {
+        const [first, second] = toExportRows(rows);
+        assert.equal(first.rank, 1);
+        assert.equal(first.tier, 'Gold Solver');
+        assert.equal(first.bestRating, 1850);
+        assert.equal(first.codeforcesSolved, 320);
+        assert.equal(first.leetcodeHandle, null);
+        // A failed fetch keeps the handle but reports no numbers
+        assert.equal(second.codechefHandle, 'cc_3');
+        assert.equal(second.codechefSolved, null);
+        assert.deepEqual(Object.keys(first), Object.keys(second));
+    });
+
+    it('quotes CSV fields and defuses spreadsheet formulas', () => {
+        const csv = toCsv(toExportRows([row(1, 'Lee, "Jr"', 0), row(2, '=HYPERLINK("x")', 0)]));
+        const lines = csv.trim().split('\r\n');
+        assert.equal(lines.length, 3);
+        assert.ok(lines[0].startsWith('rank,userId,name,'));
+        assert.ok(lines[1].includes(',"Lee, ""Jr""",'));
+        assert.ok(lines[2].includes(',"\'=HYPERLINK(""x"")",'));
+    });
+
+    it('writes the header for an empty board', () => {
+        const header = toCsv(toExportRows(rows)).split('\r\n')[0];
+        assert.equal(toCsv([]), `${header}\r\n`);
+        assert.ok(header.startsWith('rank,userId,name,score,totalSolved,tier,bestRating,bestRatingPlatform,codeforcesHandle,'));
+    });
+});
+
+describe('rank badges', () => {
+    it('shows club rank, tier and best rating in the tier colour', () => {
+        const svg = renderMemberBadge(rows, 7);
+        assert.ok(svg.includes('TSAP Club: #1 · Gold Solver · 1850'));
+        assert.ok(svg.includes(`fill="${tierFor(320).color}"`));
+        // Gold is light, so the message is drawn in dark text
+        assert.ok(svg.includes('fill="#333"'));
+    });
+
+    it('leaves out a rating the member does not have', () => {
+        assert.ok(renderMemberBadge(rows, 3).includes('TSAP Club: #2 · Beginner<'));
+    });
+
+    it('renders a grey badge for members not on the board', () => {
+        assert.ok(renderMemberBadge(rows, 99).includes('not ranked'));
+    });
+});
+
+describe('embed widget', () => {
+    it('accepts hex colours with or without #', () => {
+        assert.equal(parseColor('ff0000'), '#ff0000');
+        assert.equal(parseColor('#abc'), '#abc');
+        assert.equal(parseColor('red;}body{'), null);
+    });
+
+    it('falls back to safe defaults for bad options', () => {
+        const options = parseEmbedOptions({ theme: 'neon', accent: 'url(x)', limit: '5000' });
+        assert.equal(options.theme, 'light');
+        assert.equal(options.accent, '#6366f1');
+        assert.equal(options.limit, 100);
+        assert.equal(parseEmbedOptions({ bg: 'transparent' }).background, 'transparent');
+    });
+
+    it('escapes member names and titles and honours the row limit', () => {
+        const board = { updatedAt: Date.UTC(2026, 0, 2, 3, 4), data: [row(1, '<script>x</script>', 10), ...rows] };
+        const html = renderEmbedPage(board, parseEmbedOptions({ limit: '2', title: 'Top <b>' }));
+        assert.ok(!html.includes('<script>'));
+        assert.ok(html.includes('&lt;script&gt;'));
+        assert.ok(html.includes('Top &lt;b&gt;'));
+        assert.ok(html.includes('Asha'));
+        assert.ok(!html.includes('>Bo<'));
+        assert.ok(html.includes('Updated 2026-01-02 03:04 UTC'));
+    });
+});
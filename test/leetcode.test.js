@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const leetcode = require('../server/platforms/leetcode');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'leetcode');
+
+function graphqlFetch(body) {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return { ok: true, status: 200, json: async () => body };
+    };
+    return { fetch, requests };
+}
+
+describe('LeetCode adapter', () => {
+    const profile = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'profile.json'), 'utf8'));
+
+    it('maps contest history onto rating history', async () => {
+        const { fetch, requests } = graphqlFetch(profile);
+        const stats = await leetcode.fetchStats('tsap_demo', { fetch });
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].body.variables.username, 'tsap_demo');
+        assert.deepEqual(stats.ratingHistory, [
+            { contestName: 'Weekly Contest 378', rating: 1522, timeSeconds: 1703989800 },
+            { contestName: 'Biweekly Contest 122', rating: 1563, timeSeconds: 1705764600 }
+        ]);
+        assert.equal(stats.rating, 1563);
+        assert.equal(stats.maxRating, 1563);
+        assert.deepEqual(stats.contestFrequency, [{ month: '2023-12', contests: 1 }, { month: '2024-01', contests: 1 }]);
+        assert.equal(stats.contestRanking.attended, 2);
+    });
+
+    it('merges topic counts across levels and skips unsolved topics', async () => {
+        const stats = await leetcode.fetchStats('tsap_demo', graphqlFetch(profile));
+        assert.deepEqual(stats.tagStrengths, [
+            { tag: 'Array', solved: 81 },
+            { tag: 'Hash Table', solved: 38 },
+            { tag: 'Dynamic Programming', solved: 24 },
+            { tag: 'Math', solved: 20 }
+        ]);
+    });
+
+    it('builds the activity calendar and recent solved problems', async () => {
+        const stats = await leetcode.fetchStats('tsap_demo', graphqlFetch(profile));
+        assert.equal(stats.totalProblemsSolved, 142);
+        assert.deepEqual(stats.activityCalendar, { '2024-01-01': 3, '2024-01-02': 1, '2024-02-01': 5 });
+        assert.deepEqual(stats.solvedProblems.map(p => p.id), ['two-sum', 'climbing-stairs']);
+        assert.equal(stats.solvedProblems[0].title, 'Two Sum');
+    });
+
+    it('handles members who never entered a contest', async () => {
+        const data = structuredClone(profile);
+        data.data.userContestRanking = null;
+        data.data.userContestRankingHistory = null;
+        const stats = await leetcode.fetchStats('tsap_demo', graphqlFetch(data));
+        assert.deepEqual(stats.ratingHistory, []);
+        assert.equal(stats.rating, 0);
+        assert.equal(stats.contestRanking, null);
+    });
+
+    it('rejects unknown users', async () => {
+        const { fetch } = graphqlFetch({ data: { matchedUser: null } });
+        await assert.rejects(leetcode.fetchStats('nobody', { fetch }), /not found/);
+    });
+});
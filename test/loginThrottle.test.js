@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const loginThrottle = require('../server/utils/loginThrottle');
+
+const { account, ip } = loginThrottle.LIMITS;
+
+// Attempt records are module state, so every test uses its own email and IP
+let n = 0;
+function fresh() {
+    n += 1;
+    return { email: `member${n}@tsap.club`, ip: `10.0.0.${n}` };
+}
+
+// A failed login as the route sees it: reserved on check, never released
+function fail(email, address) {
+    return loginThrottle.checkLogin(email, address);
+}
+
+describe('loginThrottle', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = 1_000_000;
+        mock.method(Date, 'now', () => clock);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('locks an account after the allowed number of failures', () => {
+        const { email, ip: address } = fresh();
+        for (let i = 0; i < account.maxFailures; i++) {
+            assert.equal(fail(email, address).allowed, true);
+        }
+
+        const blocked = loginThrottle.checkLogin(email, address);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.reason, 'account_locked');
+        assert.equal(blocked.retryAfterMs, account.baseLockoutMs);
+        assert.equal(loginThrottle.getAccountStatus(email).failures, account.maxFailures);
+    });
+
+    it('doubles the lockout for each failure past the limit', () => {
+        const { email, ip: address } = fresh();
+        for (let i = 0; i < account.maxFailures; i++) {
+            fail(email, address);
+        }
+
+        clock += account.baseLockoutMs;
+        assert.equal(fail(email, address).allowed, true);
+        assert.equal(loginThrottle.checkLogin(email, address).retryAfterMs, account.baseLockoutMs * 2);
+
+        clock += account.baseLockoutMs * 2;
+        fail(email, address);
+        assert.equal(loginThrottle.checkLogin(email, address).retryAfterMs, account.baseLockoutMs * 4);
+    });
+
+    it('never backs off past the maximum lockout', () => {
+        const { email, ip: address } = fresh();
+        for (let i = 0; i < account.maxFailures; i++) {
+            fail(email, address);
+        }
+        // Wait out each lockout and fail again
+        for (let i = 0; i < 10; i++) {
+            clock += loginThrottle.checkLogin(email, address).retryAfterMs;
+            fail(email, address);
+        }
+        assert.equal(loginThrottle.checkLogin(email, address).retryAfterMs, account.maxLockoutMs);
+    });
+
+    it('counts attempts that are still being verified', () => {
+        const { email, ip: address } = fresh();
+        // A burst of parallel guesses: every check happens before any password is verified
+        const results = Array.from({ length: 10 }, () => loginThrottle.checkLogin(email, address));
+
+        assert.equal(results.filter(r => r.allowed).length, account.maxFailures);
+        assert.equal(results.at(-1).reason, 'account_locked');
+    });
+
+    it('gives back the reservation and clears the account on success', () => {
+        const { email, ip: address } = fresh();
+        for (let i = 0; i < account.maxFailures - 1; i++) {
+            fail(email, address);
+        }
+
+        // The last allowed attempt succeeds even though its reservation reached the limit
+        assert.equal(loginThrottle.checkLogin(email, address).allowed, true);
+        loginThrottle.recordSuccess(email, address);
+
+        assert.equal(loginThrottle.getAccountStatus(email), null);
+        assert.equal(loginThrottle.checkLogin(email, address).allowed, true);
+    });
+
+    it('releases an attempt without forgetting earlier failures', () => {
+        const { email, ip: address } = fresh();
+        fail(email, address);
+        fail(email, address);
+
+        loginThrottle.checkLogin(email, address);
+        loginThrottle.releaseAttempt(email, address);
+
+        assert.equal(loginThrottle.getAccountStatus(email).failures, 2);
+    });
+
+    it('forgets failures once they age out', () => {
+        const { email, ip: address } = fresh();
+        fail(email, address);
+
+        clock += 16 * 60 * 1000;
+        assert.equal(loginThrottle.getAccountStatus(email), null);
+    });
+
+    it('lets an admin unlock an account', () => {
+        const { email, ip: address } = fresh();
+        for (let i = 0; i < account.maxFailures; i++) {
+            fail(email, address);
+        }
+
+        assert.equal(loginThrottle.unlockAccount(email), true);
+        assert.equal(loginThrottle.getAccountStatus(email), null);
+        assert.equal(loginThrottle.unlockAccount(email), false);
+    });
+
+    it('locks an IP across accounts and lets an admin unlock it', () => {
+        const address = fresh().ip;
+        for (let i = 0; i < ip.maxFailures; i++) {
+            fail(fresh().email, address);
+        }
+
+        const blocked = loginThrottle.checkLogin(fresh().email, address);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.reason, 'ip_locked');
+        assert.deepEqual(loginThrottle.getLockedIps().find(l => l.ip === address), {
+            ip: address,
+            failures: ip.maxFailures,
+            lockedUntil: clock + ip.baseLockoutMs
+        });
+
+        assert.equal(loginThrottle.unlockIp(address), true);
+        assert.equal(loginThrottle.checkLogin(fresh().email, address).allowed, true);
+        assert.equal(loginThrottle.getLockedIps().some(l => l.ip === address), false);
+    });
+});
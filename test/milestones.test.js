@@ -0,0 +1,33 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+const db = require('../db');
+const dataSync = require('../server/services/dataSync');
+
+describe('milestone date corrections', () => {
+    before(async () => {
+        await db.init();
+        await db.saveClubData({
+            totalProblemsSolved: 900,
+            milestones: [
+                { threshold: 800, achieved: true, date: '2026-03-01T00:00:00.000Z' },
+                { threshold: 1200, achieved: false, date: null }
+            ]
+        });
+    });
+
+    it('stores the corrected date of an achieved milestone', async () => {
+        const result = await dataSync.setMilestoneDate(db, 800, '2026-02-14T00:00:00.000Z');
+        assert.equal(result.milestone.date, '2026-02-14T00:00:00.000Z');
+
+        const stored = await db.getClubData();
+        assert.equal(stored.milestones[0].date, '2026-02-14T00:00:00.000Z');
+        assert.equal(stored.totalProblemsSolved, 900);
+    });
+
+    it('refuses milestones that are not achieved or do not exist', async () => {
+        assert.match((await dataSync.setMilestoneDate(db, 1200, '2026-02-14T00:00:00.000Z')).error, /not been achieved/);
+        assert.equal(await dataSync.setMilestoneDate(db, 5, '2026-02-14T00:00:00.000Z'), null);
+    });
+});
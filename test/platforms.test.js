@@ -0,0 +1,81 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const platforms = require('../server/platforms');
+const { aggregateClubStats } = require('../server/utils/aggregator');
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('platform registry', () => {
+    afterEach(() => platforms.setFetch(null));
+
+    it('registers the built-in judges in order', () => {
+        assert.deepEqual(platforms.getPlatformIds(), ['codeforces', 'leetcode', 'codechef', 'atcoder']);
+        for (const adapter of platforms.listPlatforms()) {
+            assert.equal(typeof adapter.fetchStats, 'function');
+            assert.equal(typeof adapter.verification.check, 'function');
+            assert.deepEqual(Object.keys(adapter.capabilities).sort(), ['contests', 'rating', 'submissions', 'tags']);
+        }
+    });
+
+    it('rejects incomplete and duplicate adapters', () => {
+        assert.throws(() => platforms.registerPlatform({ id: 'partial', name: 'Partial' }), /missing/);
+        assert.throws(() => platforms.registerPlatform(platforms.getPlatform('codeforces')), /already registered/);
+    });
+
+    it('validates handles per platform', () => {
+        assert.equal(platforms.getPlatform('codeforces').isValidHandle('tourist'), true);
+        assert.equal(platforms.getPlatform('codeforces').isValidHandle('a b'), false);
+        assert.equal(platforms.getPlatform('codechef').isValidHandle('has-dash'), false);
+    });
+
+    it('returns the common stats shape and isolates failing platforms', async () => {
+        platforms.setFetch(async (url) => {
+            if (url.includes('user.info')) {
+                return jsonResponse({ status: 'OK', result: [{ handle: 'tourist', rating: 3300, maxRating: 3500 }] });
+            }
+            if (url.includes('user.rating')) {
+                return jsonResponse({ status: 'OK', result: [
+                    { contestName: 'Round 1', newRating: 3400, ratingUpdateTimeSeconds: 1700000000 },
+                    { contestName: 'Round 2', newRating: 3300, ratingUpdateTimeSeconds: 1700600000 }
+                ] });
+            }
+            if (url.includes('user.status')) {
+                return jsonResponse({ status: 'OK', result: [
+                    { verdict: 'OK', creationTimeSeconds: 1700000000, problem: { contestId: 1, index: 'A', name: 'A', tags: ['math'] } },
+                    { verdict: 'WRONG_ANSWER', creationTimeSeconds: 1700000000, problem: { contestId: 1, index: 'B', name: 'B', tags: [] } }
+                ] });
+            }
+            return jsonResponse({}, 503);
+        });
+
+        const stats = await platforms.fetchAllStats({ codeforces: 'tourist', codechef: 'someone' });
+        assert.equal(stats.codeforces.totalProblemsSolved, 1);
+        assert.equal(stats.codeforces.rating, 3300);
+        assert.equal(stats.codeforces.maxRating, 3500);
+        assert.equal(stats.codeforces.submissionAccuracy, 0.5);
+        assert.equal(stats.codechef.platform, 'codechef');
+        assert.match(stats.codechef.error, /503/);
+        assert.equal(stats.leetcode, undefined);
+    });
+});
+
+describe('club stats aggregation', () => {
+    it('reports every registered platform and averages ratings only where members have them', () => {
+        const result = aggregateClubStats([
+            { id: '1', name: 'A', problemsSolved: 30, solvedByPlatform: { codeforces: 10, leetcode: 20 }, ratings: { codeforces: 1500 } },
+            { id: '2', name: 'B', problemsSolved: 50, solvedByPlatform: { leetcode: 40, codechef: 10 }, ratings: { codechef: 1700 } }
+        ]);
+        assert.equal(result.totalProblemsSolved, 80);
+        assert.deepEqual(result.platformStats.codeforces, { count: 1, avgProblems: 10, avgRating: 1500 });
+        assert.deepEqual(result.platformStats.leetcode, { count: 2, avgProblems: 30, avgRating: 0 });
+        assert.equal(result.averageRating, 1600);
+    });
+});
@@ -0,0 +1,204 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Serve every platform request from test/fixtures/recorded; anything unrecorded fails
+process.env.PLATFORM_FIXTURES = 'replay';
+delete process.env.PLATFORM_FIXTURES_DIR;
+process.env.STORAGE_BACKEND = 'memory';
+
+const platforms = require('../server/platforms');
+const { httpClient } = require('../server/utils/httpClient');
+const leaderboard = require('../server/services/leaderboard');
+const { getRecommendations } = require('../recommendations');
+const { resolveWindow } = require('../server/utils/timeWindows');
+
+// Stand-in for the db: the leaderboard lists users, reads its weights and stores snapshots
+function fakeDb(users, settings = {}) {
+    const snapshots = [];
+    return {
+        snapshots,
+        getAllUsers: async () => users,
+        getUserById: async id => users.find(u => u.id === id) || null,
+        getSetting: async name => settings[name] || null,
+        saveSnapshot: async (kind, data) => {
+            const snapshot = { ...data, id: `${kind}_${snapshots.length}`, kind, createdAt: Date.now() };
+            snapshots.push(snapshot);
+            return snapshot;
+        },
+        listSnapshots: async () => snapshots.slice(),
+        deleteSnapshot: async () => {}
+    };
+}
+
+describe('replayed platform responses', () => {
+    it('fails loudly on a request that was never recorded', async () => {
+        await assert.rejects(
+            httpClient.fetch('https://codeforces.com/api/user.info?handles=nobody'),
+            err => err.code === 'FIXTURE_MISSING' && /No recorded response/.test(err.message)
+        );
+    });
+
+    it('computes Codeforces stats from recorded responses', async () => {
+        const stats = await platforms.fetchStats('codeforces', 'tsap_demo', { fresh: true });
+        assert.equal(stats.platform, 'codeforces');
+        assert.equal(stats.totalProblemsSolved, 4);
+        assert.equal(stats.rating, 1500);
+        assert.equal(stats.maxRating, 1550);
+        assert.equal(stats.submissionAccuracy, 5 / 6);
+        assert.deepEqual(stats.ratingHistory.map(r => r.rating), [1400, 1550, 1500]);
+        assert.deepEqual(stats.solvedProblems.map(p => p.id).sort(), ['1910-A', '1910-C', '1920-A', '1920-B']);
+        const tags = Object.fromEntries(stats.tagStrengths.map(t => [t.tag, t.solved]));
+        assert.deepEqual(tags, { implementation: 2, greedy: 2, math: 2, sortings: 1 });
+        assert.equal(stats.activityCalendar['2024-01-15'], 2);
+        assert.equal(stats.stale, false);
+    });
+
+    it('aggregates a member dashboard across platforms', async () => {
+        const data = await leaderboard.aggregateStatsForHandles({
+            codeforces: 'tsap_demo',
+            leetcode: 'tsap_demo',
+            codechef: 'nobody'
+        });
+
+        assert.equal(data.totalProblemsSolved, 4 + 142);
+        // LeetCode does not report accuracy, so only Codeforces counts
+        assert.equal(data.aggregatedAccuracy, 5 / 6);
+        assert.deepEqual(data.platforms.map(p => p.platform), ['codeforces', 'leetcode', 'codechef']);
+        assert.ok(data.platforms[2].error);
+        assert.deepEqual(data.leaderboardByProblemsSolved, [
+            { platform: 'leetcode', handle: 'tsap_demo', totalProblemsSolved: 142 },
+            { platform: 'codeforces', handle: 'tsap_demo', totalProblemsSolved: 4 }
+        ]);
+    });
+
+    it('ranks active members with verified handles', async () => {
+        const users = [
+            { id: 1, name: 'Ghost', handles: { codeforces: 'ghost' } },
+            { id: 2, name: 'Demo', handles: { codeforces: 'tsap_demo', leetcode: 'tsap_demo' } },
+            { id: 3, name: 'Left', active: false, handles: { codeforces: 'tsap_demo' } },
+            { id: 4, name: 'Unverified', handles: { codeforces: 'tsap_demo' }, verifiedHandles: {} }
+        ];
+        const db = fakeDb(users);
+        const rows = await leaderboard.updateGlobalLeaderboard(db);
+
+        assert.deepEqual(rows.map(r => r.userId), [2, 1]);
+        const [demo, ghost] = rows;
+        assert.equal(demo.platforms.codeforces.rating, 1500);
+        assert.equal(demo.platforms.codeforces.maxRating, 1550);
+        assert.equal(demo.totalSolved, 146);
+        // Codeforces: 2 easy, 2 medium; LeetCode: 71 easy, 60 medium, 11 hard
+        assert.deepEqual(demo.breakdown.solved, { points: 241, easy: 73, medium: 62, hard: 11, unknown: 0 });
+        assert.equal(demo.breakdown.rating.platform, 'codeforces');
+        assert.deepEqual(demo.breakdown.contests, { points: 25, count: 5 });
+        assert.equal(demo.score, 396);
+        assert.equal(ghost.score, 0);
+        assert.equal(demo.platforms.leetcode.totalSolved, 142);
+        assert.equal(typeof demo.platforms.codeforces.fetchedAt, 'number');
+        assert.equal(ghost.error, 'Failed to fetch');
+
+        const board = leaderboard.getLeaderboard();
+        assert.equal(board.isUpdating, false);
+        assert.deepEqual(board.data, rows);
+
+        assert.equal(db.snapshots.length, 1);
+        assert.deepEqual(db.snapshots[0].entries.map(e => [e.userId, e.rank, e.score]), [[2, 1, 396], [1, 2, 0]]);
+    });
+
+    it('ranks solves and rating gained inside a time window', () => {
+        const { window } = resolveWindow({ from: '2024-01-01', to: '2024-01-31' }, []);
+        const board = leaderboard.getWindowedLeaderboard(window);
+
+        assert.equal(board.window.id, 'custom');
+        const demo = board.data.find(r => r.userId === 2);
+        assert.deepEqual(demo.platforms.codeforces, { handle: 'tsap_demo', solved: 2, ratingGained: -50, contests: 1 });
+        assert.equal(demo.platforms.leetcode.contests, 1);
+        assert.equal(board.data[0].userId, 2);
+    });
+
+    it('keeps the last good numbers, marked stale, when a fetch fails', async () => {
+        const db = fakeDb([
+            { id: 1, name: 'Ghost', handles: { codeforces: 'ghost' } },
+            { id: 2, name: 'Demo', handles: { codeforces: 'tsap_demo', leetcode: 'tsap_demo' } }
+        ]);
+        platforms.setFetch(async () => {
+            throw new Error('Network is down');
+        });
+        try {
+            const rows = await leaderboard.updateGlobalLeaderboard(db);
+            const demo = rows.find(r => r.userId === 2);
+            assert.equal(demo.stale, true);
+            assert.equal(demo.score, 396);
+            assert.equal(demo.platforms.codeforces.rating, 1500);
+            assert.equal(demo.platforms.codeforces.stale, true);
+            assert.match(demo.platforms.codeforces.lastError, /Network is down/);
+            assert.equal(demo.error, undefined);
+            // Nothing good was ever fetched for Ghost
+            assert.equal(rows.find(r => r.userId === 1).error, 'Failed to fetch');
+        } finally {
+            platforms.setFetch(null);
+        }
+    });
+
+    it('publishes progress while a rebuild runs', async () => {
+        const db = fakeDb([
+            { id: 1, name: 'Ghost', handles: { codeforces: 'ghost' } },
+            { id: 2, name: 'Demo', handles: { codeforces: 'tsap_demo', leetcode: 'tsap_demo' } }
+        ]);
+        let release;
+        const gate = new Promise(resolve => {
+            release = resolve;
+        });
+        platforms.setFetch((...args) => gate.then(() => httpClient.fetch(...args)));
+        try {
+            const update = leaderboard.updateGlobalLeaderboard(db);
+            while (!leaderboard.getLeaderboard().progress || leaderboard.getLeaderboard().progress.fetching.length < 2) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            const during = leaderboard.getLeaderboard();
+            assert.equal(during.isUpdating, true);
+            assert.deepEqual({ ...during.progress, fetching: during.progress.fetching.sort() },
+                { done: 0, total: 2, failed: 0, fetching: ['Demo', 'Ghost'] });
+            // The previous rows stay up while members are refetched
+            assert.equal(during.data.length, 2);
+
+            release();
+            const rows = await update;
+            assert.equal(rows.find(r => r.userId === 2).stale, false);
+            assert.equal(leaderboard.getLeaderboard().progress, null);
+        } finally {
+            platforms.setFetch(null);
+        }
+    });
+
+    it('refreshes a single member on demand', async () => {
+        const result = await leaderboard.refreshMember({ id: 2, name: 'Demo', handles: { codeforces: 'tsap_demo' } });
+        assert.equal(result.rank, 1);
+        assert.equal(result.row.totalSolved, 4);
+        assert.deepEqual(Object.keys(result.row.platforms), ['codeforces']);
+
+        // A new handle does not inherit the old one's numbers
+        const changed = await leaderboard.refreshMember({ id: 2, name: 'Demo', handles: { codeforces: 'ghost' } });
+        assert.equal(changed.row.error, 'Failed to fetch');
+
+        assert.equal(await leaderboard.refreshMember({ id: 2, name: 'Demo', active: false, handles: {} }), null);
+        assert.deepEqual(leaderboard.getLeaderboard().data.map(r => r.userId), [1]);
+    });
+
+    it('recommends unsolved problems just above the current rating', async () => {
+        const stats = await platforms.fetchStats('codeforces', 'tsap_demo');
+        const recs = await getRecommendations(stats);
+
+        const solved = new Set(stats.solvedProblems.map(p => p.id));
+        assert.equal(recs.length, 5);
+        for (const rec of recs) {
+            assert.ok(rec.rating >= 1600 && rec.rating <= 1900, `${rec.title} is rated ${rec.rating}`);
+            assert.equal(solved.has(`${rec.contestId}-${rec.index}`), false);
+            assert.equal(rec.link, `https://codeforces.com/contest/${rec.contestId}/problem/${rec.index}`);
+        }
+    });
+
+    it('recommends nothing for other platforms', async () => {
+        assert.deepEqual(await getRecommendations({ platform: 'leetcode', handle: 'tsap_demo' }), []);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { startServer } = require('./helpers/startServer');
+
+// Storage written by an older release: coordinator predates milestones.edit and
+// contests.manage, and an admin took contests.manage away from the mentor role
+const OLD_STORAGE = {
+    version: 1,
+    collections: {
+        roles: {
+            admin: { name: 'admin', label: 'Admin', permissions: ['members.read'] },
+            coordinator: { name: 'coordinator', label: 'Coordinator', permissions: ['members.read', 'members.write', 'sync.trigger'] },
+            mentor: { name: 'mentor', label: 'Mentor', permissions: ['members.read'] },
+            member: { name: 'member', label: 'Member', permissions: [] }
+        },
+        settings: {
+            defaultRolePermissions: {
+                coordinator: ['members.read', 'members.write', 'sync.trigger'],
+                mentor: ['members.read', 'contests.manage']
+            }
+        }
+    }
+};
+
+describe('built-in roles after an upgrade', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsap-roles-'));
+    const file = path.join(dir, 'data.json');
+    let server;
+    let admin;
+
+    before(async () => {
+        fs.writeFileSync(file, JSON.stringify(OLD_STORAGE));
+        server = await startServer({ STORAGE_BACKEND: 'file', STORAGE_FILE: file });
+        admin = await server.signIn('ravi.sharma@tsap.club', 'admin123');
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('gives built-in roles the permissions added since, but not ones an admin removed', async () => {
+        const { body } = await server.request(admin, 'GET', '/api/roles');
+        const permissions = name => body.roles.find(r => r.name === name).permissions;
+
+        assert.deepEqual(permissions('coordinator'), [
+            'members.read', 'members.write', 'sync.trigger', 'milestones.edit', 'contests.manage', 'leaderboard.manage'
+        ]);
+        assert.deepEqual(permissions('mentor'), ['members.read']);
+        assert.deepEqual(permissions('member'), []);
+    });
+
+    it('keeps milestone corrections to members with milestones.edit', async () => {
+        const member = await server.signIn('aarpan.lohora@tsap.club', 'member123');
+        const forbidden = await server.request(member, 'PATCH', '/api/admin/milestones/800', { date: '2026-01-02' });
+        assert.equal(forbidden.status, 403);
+
+        const future = await server.request(admin, 'PATCH', '/api/admin/milestones/800', { date: '2999-01-01' });
+        assert.equal(future.status, 400);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_WEIGHTS, validateWeights, resolveWeights, normalizeRating, scoreMember } = require('../server/utils/scoring');
+
+const weights = resolveWeights(null);
+
+describe('leaderboard scoring', () => {
+    it('weights solved problems by difficulty and counts the rest as unknown', () => {
+        const { score, breakdown } = scoreMember({
+            leetcode: { totalProblemsSolved: 10, solvedByDifficulty: { easy: 5, medium: 3, hard: 2 } },
+            codechef: { totalProblemsSolved: 7 }
+        }, weights);
+
+        assert.deepEqual(breakdown.solved, { points: 5 + 6 + 8 + 7, easy: 5, medium: 3, hard: 2, unknown: 7 });
+        assert.equal(breakdown.rating.points, 0);
+        assert.equal(score, 26);
+    });
+
+    it('scores the best normalized rating across platforms', () => {
+        const { breakdown } = scoreMember({
+            codeforces: { totalProblemsSolved: 0, rating: 2150, ratingHistory: [{}, {}] },
+            atcoder: { totalProblemsSolved: 0, rating: 2100, ratingHistory: [{}] }
+        }, weights);
+
+        // Codeforces 2150 is halfway up its scale; AtCoder 2100 is three quarters
+        assert.equal(breakdown.rating.platform, 'atcoder');
+        assert.equal(breakdown.rating.normalized, 0.75);
+        assert.equal(breakdown.rating.points, 375);
+        assert.deepEqual(breakdown.contests, { points: 15, count: 3 });
+    });
+
+    it('ignores platforms that failed to fetch', () => {
+        const { score } = scoreMember({
+            codeforces: { platform: 'codeforces', handle: 'x', error: 'down' }
+        }, weights);
+        assert.equal(score, 0);
+    });
+
+    it('clamps ratings to the platform scale', () => {
+        assert.equal(normalizeRating(500, { floor: 800, ceiling: 3500 }), 0);
+        assert.equal(normalizeRating(4000, { floor: 800, ceiling: 3500 }), 1);
+    });
+
+    it('validates admin weights and fills gaps with defaults', () => {
+        assert.equal(validateWeights(DEFAULT_WEIGHTS), null);
+        assert.match(validateWeights({ ...DEFAULT_WEIGHTS, rating: -1 }), /rating/);
+        assert.match(validateWeights({ ...DEFAULT_WEIGHTS, solved: { easy: 1 } }), /solved\.medium/);
+        assert.deepEqual(resolveWeights({ contests: 20 }), { ...DEFAULT_WEIGHTS, contests: 20 });
+    });
+});
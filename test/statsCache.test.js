@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStatsCache } = require('../server/platforms/statsCache');
+
+const TTL = 60 * 1000;
+
+// A loader that counts calls and can be held open or made to fail
+function makeLoader() {
+    const loader = {
+        calls: 0,
+        fail: false,
+        pending: null,
+        load: async (platform, handle) => {
+            loader.calls += 1;
+            if (loader.pending) {
+                await loader.pending;
+            }
+            if (loader.fail) {
+                throw new Error('judge down');
+            }
+            return { platform, handle, totalProblemsSolved: loader.calls };
+        }
+    };
+    return loader;
+}
+
+function makeCache(loader, extra = {}) {
+    const clock = { t: 1000 };
+    const cache = createStatsCache({ load: loader.load, ttlMs: TTL, now: () => clock.t, ...extra });
+    return { cache, clock };
+}
+
+// Let background refreshes settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('stats cache', () => {
+    it('serves fresh entries without refetching', async () => {
+        const loader = makeLoader();
+        const { cache, clock } = makeCache(loader);
+
+        const first = await cache.get('codeforces', 'Tourist');
+        assert.equal(first.totalProblemsSolved, 1);
+        assert.equal(first.fetchedAt, 1000);
+        assert.equal(first.stale, false);
+
+        clock.t += TTL - 1;
+        const second = await cache.get('codeforces', 'tourist');
+        assert.equal(second.totalProblemsSolved, 1);
+        assert.equal(loader.calls, 1);
+    });
+
+    it('serves stale entries while refreshing in the background', async () => {
+        const loader = makeLoader();
+        const { cache, clock } = makeCache(loader);
+
+        await cache.get('codeforces', 'tourist');
+        clock.t += TTL;
+        const stale = await cache.get('codeforces', 'tourist');
+        assert.equal(stale.stale, true);
+        assert.equal(stale.totalProblemsSolved, 1);
+
+        await flush();
+        const refreshed = await cache.get('codeforces', 'tourist');
+        assert.equal(refreshed.stale, false);
+        assert.equal(refreshed.totalProblemsSolved, 2);
+        assert.equal(refreshed.fetchedAt, clock.t);
+    });
+
+    it('waits for the refresh of a stale entry when asked to', async () => {
+        const loader = makeLoader();
+        const { cache, clock } = makeCache(loader);
+
+        await cache.get('codeforces', 'tourist');
+        clock.t += TTL - 1;
+        const fresh = await cache.get('codeforces', 'tourist', { waitForStale: true });
+        assert.equal(fresh.totalProblemsSolved, 1);
+        assert.equal(loader.calls, 1);
+
+        clock.t += 1;
+        const refreshed = await cache.get('codeforces', 'tourist', { waitForStale: true });
+        assert.equal(refreshed.stale, false);
+        assert.equal(refreshed.totalProblemsSolved, 2);
+
+        loader.fail = true;
+        clock.t += TTL;
+        const fallback = await cache.get('codeforces', 'tourist', { waitForStale: true });
+        assert.equal(fallback.stale, true);
+        assert.equal(fallback.totalProblemsSolved, 2);
+    });
+
+    it('shares one fetch between concurrent requests', async () => {
+        const loader = makeLoader();
+        const { cache } = makeCache(loader);
+        let release;
+        loader.pending = new Promise(resolve => { release = resolve; });
+
+        const requests = [1, 2, 3].map(() => cache.get('leetcode', 'alice'));
+        release();
+        const results = await Promise.all(requests);
+        assert.equal(loader.calls, 1);
+        assert.ok(results.every(r => r.totalProblemsSolved === 1));
+    });
+
+    it('keeps serving stale stats when a refresh fails', async () => {
+        const loader = makeLoader();
+        const { cache, clock } = makeCache(loader);
+
+        await cache.get('codechef', 'bob');
+        loader.fail = true;
+        clock.t += TTL * 2;
+        const first = await cache.get('codechef', 'bob');
+        await flush();
+        const second = await cache.get('codechef', 'bob');
+        assert.equal(first.totalProblemsSolved, 1);
+        assert.equal(second.totalProblemsSolved, 1);
+        assert.equal(second.stale, true);
+    });
+
+    it('rejects when nothing is cached and the fetch fails', async () => {
+        const loader = makeLoader();
+        loader.fail = true;
+        const { cache } = makeCache(loader);
+        await assert.rejects(cache.get('atcoder', 'carol'), /judge down/);
+    });
+
+    it('bypasses the cache for fresh requests', async () => {
+        const loader = makeLoader();
+        const { cache } = makeCache(loader);
+
+        await cache.get('codeforces', 'tourist');
+        const fresh = await cache.get('codeforces', 'tourist', { fresh: true });
+        assert.equal(fresh.totalProblemsSolved, 2);
+        assert.equal(loader.calls, 2);
+    });
+
+    it('persists entries through storage and reads them back after a restart', async () => {
+        const saved = new Map();
+        const store = {
+            getCachedStats: async (platform, handle) => saved.get(`${platform}:${handle}`) || null,
+            saveCachedStats: async entry => { saved.set(`${entry.platform}:${entry.handle}`, entry); },
+            deleteCachedStats: async (platform, handle) => { saved.delete(`${platform}:${handle}`); }
+        };
+
+        const loader = makeLoader();
+        const { cache } = makeCache(loader);
+        cache.attachStorage(store);
+        await cache.get('codeforces', 'tourist');
+        assert.equal(saved.size, 1);
+
+        const restarted = makeLoader();
+        const { cache: next } = makeCache(restarted);
+        next.attachStorage(store);
+        const result = await next.get('codeforces', 'tourist');
+        assert.equal(result.totalProblemsSolved, 1);
+        assert.equal(restarted.calls, 0);
+
+        await next.invalidate('codeforces', 'tourist');
+        assert.equal(saved.size, 0);
+    });
+
+    it('evicts the least recently used entry past maxEntries', async () => {
+        const loader = makeLoader();
+        const { cache } = makeCache(loader, { maxEntries: 2 });
+
+        await cache.get('codeforces', 'a');
+        await cache.get('codeforces', 'b');
+        await cache.get('codeforces', 'a');
+        await cache.get('codeforces', 'c');
+        assert.equal(loader.calls, 3);
+
+        // b was used least recently and is fetched again; a and c are still cached
+        await cache.get('codeforces', 'a');
+        await cache.get('codeforces', 'c');
+        assert.equal(loader.calls, 3);
+        await cache.get('codeforces', 'b');
+        assert.equal(loader.calls, 4);
+    });
+});
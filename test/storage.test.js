@@ -0,0 +1,93 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { runStorageConformance } = require('./helpers/storageConformance');
+const { createMemoryAdapter } = require('../server/storage/memoryAdapter');
+const { createFileAdapter } = require('../server/storage/fileAdapter');
+const { createFirebaseAdapter } = require('../server/storage/firebaseAdapter');
+const { INDEXES, createStorage } = require('../server/storage');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsap-storage-'));
+let fileCount = 0;
+
+function tmpFile() {
+    fileCount += 1;
+    return path.join(tmpDir, `store-${fileCount}.json`);
+}
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+runStorageConformance('memory', () => createMemoryAdapter({ indexes: INDEXES }));
+
+runStorageConformance('file', () => createFileAdapter({ file: tmpFile(), indexes: INDEXES }));
+
+// Run against the Firebase emulator when one is available:
+//   FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 npm test
+if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+    const admin = require('firebase-admin');
+    const app = admin.initializeApp({ projectId: 'tsap-test', databaseURL: `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=tsap-test` }, 'storage-test');
+    runStorageConformance('firebase', async () => {
+        await app.database().ref().remove();
+        return createFirebaseAdapter({ database: app.database(), indexes: INDEXES });
+    });
+    after(() => app.delete());
+}
+
+describe('file storage adapter persistence', () => {
+    it('keeps data across restarts', async () => {
+        const file = tmpFile();
+        const first = createFileAdapter({ file, indexes: INDEXES });
+        await first.init();
+        await first.set('users', 1, { id: 1, email: 'ada@tsap.club' });
+        await first.close();
+
+        const second = createFileAdapter({ file, indexes: INDEXES });
+        await second.init();
+        assert.deepEqual(await second.get('users', 1), { id: 1, email: 'ada@tsap.club' });
+        assert.equal((await second.findBy('users', 'email', 'ada@tsap.club')).length, 1);
+        await second.close();
+    });
+
+    it('batches writes until flushed', async () => {
+        const file = tmpFile();
+        const store = createFileAdapter({ file, writeDelayMs: 60 * 1000 });
+        await store.init();
+        await store.set('users', 1, { id: 1 });
+        assert.equal(fs.existsSync(file), false);
+
+        await store.flush();
+        assert.equal(fs.existsSync(file), true);
+        assert.deepEqual(fs.readdirSync(path.dirname(file)).filter(f => f.endsWith('.tmp')), []);
+        await store.close();
+    });
+
+    it('refuses to start from a corrupt file', async () => {
+        const file = tmpFile();
+        fs.writeFileSync(file, '{ not json');
+        const store = createFileAdapter({ file });
+        await assert.rejects(() => store.init());
+    });
+});
+
+describe('storage backend selection', () => {
+    it('uses memory by default without Firebase', () => {
+        assert.equal(createStorage({}).name, 'memory');
+    });
+
+    it('uses the file backend when configured', () => {
+        assert.equal(createStorage({ STORAGE_BACKEND: 'file', STORAGE_FILE: tmpFile() }).name, 'file');
+    });
+
+    it('rejects an unknown backend', () => {
+        assert.throws(() => createStorage({ STORAGE_BACKEND: 'mongo' }), /Unknown STORAGE_BACKEND/);
+    });
+
+    it('rejects firebase when it is not initialized', () => {
+        assert.throws(() => createStorage({ STORAGE_BACKEND: 'firebase' }), /not initialized/);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseDay,
+    validateSemesters,
+    resolveWindow,
+    buildTimeline,
+    summarizeWindow
+} = require('../server/utils/timeWindows');
+
+// Wednesday 2024-03-13, 15:00 UTC
+const NOW = Date.parse('2024-03-13T15:00:00Z');
+const sec = iso => Date.parse(iso) / 1000;
+
+describe('leaderboard time windows', () => {
+    it('starts weeks on Monday and months on the 1st (UTC)', () => {
+        const week = resolveWindow({ window: 'week' }, [], NOW).window;
+        assert.equal(new Date(week.from).toISOString(), '2024-03-11T00:00:00.000Z');
+        assert.equal(week.to, NOW);
+
+        const month = resolveWindow({ window: 'month' }, [], NOW).window;
+        assert.equal(new Date(month.from).toISOString(), '2024-03-01T00:00:00.000Z');
+    });
+
+    it('uses the configured semester containing today', () => {
+        const semesters = [
+            { name: 'Odd 2023', start: '2023-08-01', end: '2023-12-15' },
+            { name: 'Even 2024', start: '2024-01-08', end: '2024-05-31' }
+        ];
+        const { window } = resolveWindow({ window: 'semester' }, semesters, NOW);
+        assert.equal(window.label, 'Even 2024');
+        assert.equal(new Date(window.from).toISOString(), '2024-01-08T00:00:00.000Z');
+        assert.equal(window.to, NOW);
+    });
+
+    it('falls back to the latest semester during a break, and to calendar halves when none are set', () => {
+        const semesters = [{ name: 'Odd 2023', start: '2023-08-01', end: '2023-12-15' }];
+        assert.equal(resolveWindow({ window: 'semester' }, semesters, NOW).window.label, 'Odd 2023');
+        assert.equal(resolveWindow({ window: 'semester' }, [], NOW).window.label, 'Spring 2024');
+    });
+
+    it('includes the whole last day of a custom range', () => {
+        const { window } = resolveWindow({ from: '2024-02-01', to: '2024-02-29' }, [], NOW);
+        assert.equal(window.id, 'custom');
+        assert.equal(new Date(window.to).toISOString(), '2024-02-29T23:59:59.999Z');
+    });
+
+    it('rejects bad windows and dates', () => {
+        assert.match(resolveWindow({ window: 'year' }, [], NOW).error, /window must be/);
+        assert.match(resolveWindow({ from: '2024-02-30', to: '2024-03-01' }, [], NOW).error, /YYYY-MM-DD/);
+        assert.match(resolveWindow({ from: '2024-03-02', to: '2024-03-01' }, [], NOW).error, /before/);
+        assert.equal(parseDay('2024-2-1'), null);
+    });
+
+    it('validates semester lists', () => {
+        assert.equal(validateSemesters([{ name: 'Even 2024', start: '2024-01-08', end: '2024-05-31' }]), null);
+        assert.match(validateSemesters([{ name: '', start: '2024-01-08', end: '2024-05-31' }]), /name/);
+        assert.match(validateSemesters([{ name: 'Bad', start: '2024-05-31', end: '2024-01-08' }]), /end/);
+        assert.match(validateSemesters('spring'), /list/);
+    });
+
+    it('counts first solves and rating gained inside the window', () => {
+        const timeline = buildTimeline({
+            solvedProblems: [
+                { id: 'a', solvedAt: sec('2024-02-20T10:00:00Z') },
+                { id: 'b', solvedAt: sec('2024-03-11T09:00:00Z') },
+                { id: 'c', solvedAt: sec('2024-03-12T09:00:00Z') },
+                { id: 'd' }
+            ],
+            ratingHistory: [
+                { rating: 1400, timeSeconds: sec('2024-02-25T18:00:00Z') },
+                { rating: 1480, timeSeconds: sec('2024-03-11T18:00:00Z') },
+                { rating: 1450, timeSeconds: sec('2024-03-12T18:00:00Z') }
+            ]
+        });
+        const week = resolveWindow({ window: 'week' }, [], NOW).window;
+        assert.deepEqual(summarizeWindow(timeline, week), { solved: 2, ratingGained: 50, contests: 2 });
+    });
+
+    it('measures a newcomer from their first contest in the window', () => {
+        const timeline = buildTimeline({
+            ratingHistory: [
+                { rating: 900, timeSeconds: sec('2024-03-11T18:00:00Z') },
+                { rating: 1100, timeSeconds: sec('2024-03-12T18:00:00Z') }
+            ]
+        });
+        const week = resolveWindow({ window: 'week' }, [], NOW).window;
+        assert.deepEqual(summarizeWindow(timeline, week), { solved: 0, ratingGained: 200, contests: 2 });
+    });
+});